@@ -1,3 +1,10 @@
+// Settings read while the state is built
+const SUMMARY_DETAILS_KEY = 'postman_summary_details';
+const PROMPT_BUDGET_KEY = 'postman_prompt_budget';
+const TRANSPORT_SETTINGS_KEY = 'postman_transport';
+const REDACTION_SETTINGS_KEY = 'postman_redaction';
+const DEFAULT_PROXY_URL = 'http://localhost:8787';
+
 // State Management
 const state = {
     apiKey: null,
@@ -5,9 +12,42 @@ const state = {
     selectedEndpoints: new Map(),
     soundEnabled: true,
     currentCollection: null,
-    filteredCollections: []
+    filteredCollections: [],
+    localCollections: [],
+    userId: null,
+    workspaces: [],
+    activeWorkspace: localStorage.getItem('postman_active_workspace') || '',
+    collectionWorkspaces: new Map(),
+    lastSyncedAt: null,
+    searchMode: 'collections',
+    isOffline: false,
+    environments: [],
+    activeEnvironment: null,
+    variableMode: localStorage.getItem('postman_variable_mode') || 'resolve',
+    exampleMode: localStorage.getItem('postman_example_mode') || 'examples',
+    summaryDetails: readSummaryDetails(),
+    transport: readTransportSettings(),
+    redaction: readRedactionSettings(),
+    scriptVariables: { environment: {}, collections: {} },
+    promptBudget: readPromptBudget(),
+    promptText: '',
+    promptParts: [],
+    promptSplitOptions: null,
+    snippetLanguage: localStorage.getItem('postman_snippet_language') || 'curl',
+    includeSnippets: localStorage.getItem('postman_include_snippets') === 'true',
+    modelLanguage: localStorage.getItem('postman_model_language') || 'typescript'
 };
 
+const LOCAL_COLLECTIONS_KEY = 'postman_local_collections';
+const SUPPORTED_COLLECTION_SCHEMAS = ['v2.0.0', 'v2.1.0'];
+const LOCAL_ENVIRONMENTS_KEY = 'postman_local_environments';
+const ACTIVE_ENVIRONMENT_KEY = 'postman_active_environment';
+const VARIABLE_PATTERN = /\{\{\s*([^{}\s]+)\s*\}\}/g;
+const SUMMARY_IGNORED_HEADERS = ['content-length', 'host', 'user-agent', 'postman-token', 'accept-encoding', 'connection', 'cache-control'];
+const SECRET_HEADER_PATTERN = /authorization|api[-_]?key|token|secret|cookie|password/i;
+const CACHE_DB_NAME = 'postman-explorer';
+const CACHE_DB_VERSION = 1;
+
 // DOM Elements
 const loginScreen = document.getElementById('loginScreen');
 const mainScreen = document.getElementById('mainScreen');
@@ -19,27 +59,117 @@ const refreshBtn = document.getElementById('refreshBtn');
 const soundToggle = document.getElementById('soundToggle');
 const soundIcon = document.getElementById('soundIcon');
 const searchInput = document.getElementById('searchInput');
+const searchModeSelect = document.getElementById('searchModeSelect');
+const endpointResults = document.getElementById('endpointResults');
 const collectionsContainer = document.getElementById('collectionsContainer');
 const collectionsSection = document.querySelector('.collections-section');
 const collectionDetailSection = document.getElementById('collectionDetailSection');
 const backToCollectionsBtn = document.getElementById('backToCollectionsBtn');
+const selectAllBtn = document.getElementById('selectAllBtn');
+const invertSelectionBtn = document.getElementById('invertSelectionBtn');
 const detailCollectionName = document.getElementById('detailCollectionName');
 const detailCollectionDesc = document.getElementById('detailCollectionDesc');
 const folderTreeContainer = document.getElementById('folderTreeContainer');
 const selectionCount = document.getElementById('selectionCount');
+const lastSyncedLabel = document.getElementById('lastSyncedLabel');
 const clearSelectionBtn = document.getElementById('clearSelectionBtn');
+const presetsMenu = document.getElementById('presetsMenu');
+const presetsBtn = document.getElementById('presetsBtn');
+const presetList = document.getElementById('presetList');
+const savePresetBtn = document.getElementById('savePresetBtn');
+const importPresetsBtn = document.getElementById('importPresetsBtn');
+const exportPresetsBtn = document.getElementById('exportPresetsBtn');
+const presetFileInput = document.getElementById('presetFileInput');
 const summarySection = document.getElementById('summarySection');
 const summaryContent = document.getElementById('summaryContent');
 const copyBtn = document.getElementById('copyBtn');
 const downloadBtn = document.getElementById('downloadBtn');
+const downloadMenu = document.getElementById('downloadMenu');
 const expandAllBtn = document.getElementById('expandAllBtn');
 const collapseAllBtn = document.getElementById('collapseAllBtn');
 const toast = document.getElementById('toast');
+const importBtn = document.getElementById('importBtn');
+const collectionFileInput = document.getElementById('collectionFileInput');
+const dropZone = document.getElementById('dropZone');
+const browseFilesBtn = document.getElementById('browseFilesBtn');
+const openLocalBtn = document.getElementById('openLocalBtn');
+const dropOverlay = document.getElementById('dropOverlay');
+const environmentSelect = document.getElementById('environmentSelect');
+const workspaceSelect = document.getElementById('workspaceSelect');
+const variableModeSelect = document.getElementById('variableModeSelect');
+const exampleModeSelect = document.getElementById('exampleModeSelect');
+const detailsMenu = document.getElementById('detailsMenu');
+const detailsBtn = document.getElementById('detailsBtn');
+const includePathVariablesInput = document.getElementById('includePathVariablesInput');
+const includeHeadersInput = document.getElementById('includeHeadersInput');
+const includeDescriptionsInput = document.getElementById('includeDescriptionsInput');
+const templateBtn = document.getElementById('templateBtn');
+const templateModal = document.getElementById('templateModal');
+const alwaysRedactInput = document.getElementById('alwaysRedactInput');
+const redactionRulesBtn = document.getElementById('redactionRulesBtn');
+const redactionModal = document.getElementById('redactionModal');
+const redactionKeysInput = document.getElementById('redactionKeysInput');
+const redactionPatternsInput = document.getElementById('redactionPatternsInput');
+const saveRedactionBtn = document.getElementById('saveRedactionBtn');
+const closeRedactionModalBtn = document.getElementById('closeRedactionModalBtn');
+const redactionReportModal = document.getElementById('redactionReportModal');
+const redactionReportSummary = document.getElementById('redactionReportSummary');
+const redactionReportList = document.getElementById('redactionReportList');
+const reportAlwaysRedactInput = document.getElementById('reportAlwaysRedactInput');
+const redactOutputBtn = document.getElementById('redactOutputBtn');
+const keepOriginalBtn = document.getElementById('keepOriginalBtn');
+const closeRedactionReportBtn = document.getElementById('closeRedactionReportBtn');
+const reportRulesBtn = document.getElementById('reportRulesBtn');
+const lintModal = document.getElementById('lintModal');
+const lintTitle = document.getElementById('lintTitle');
+const lintContent = document.getElementById('lintContent');
+const closeLintModalBtn = document.getElementById('closeLintModalBtn');
+const changelogModal = document.getElementById('changelogModal');
+const changelogTitle = document.getElementById('changelogTitle');
+const changelogContent = document.getElementById('changelogContent');
+const closeChangelogModalBtn = document.getElementById('closeChangelogModalBtn');
+const copyChangelogBtn = document.getElementById('copyChangelogBtn');
+const markChangelogSeenBtn = document.getElementById('markChangelogSeenBtn');
+const transportModal = document.getElementById('transportModal');
+const closeTransportModalBtn = document.getElementById('closeTransportModalBtn');
+const transportModeSelect = document.getElementById('transportModeSelect');
+const proxyUrlInput = document.getElementById('proxyUrlInput');
+const transportTimeoutInput = document.getElementById('transportTimeoutInput');
+const transportRulesInput = document.getElementById('transportRulesInput');
+const saveTransportBtn = document.getElementById('saveTransportBtn');
+const closeTemplateModalBtn = document.getElementById('closeTemplateModalBtn');
+const templateListSelect = document.getElementById('templateListSelect');
+const templateNameInput = document.getElementById('templateNameInput');
+const templateEditor = document.getElementById('templateEditor');
+const templatePreview = document.getElementById('templatePreview');
+const templateHelp = document.getElementById('templateHelp');
+const newTemplateBtn = document.getElementById('newTemplateBtn');
+const deleteTemplateBtn = document.getElementById('deleteTemplateBtn');
+const importTemplateBtn = document.getElementById('importTemplateBtn');
+const exportTemplateBtn = document.getElementById('exportTemplateBtn');
+const saveTemplateBtn = document.getElementById('saveTemplateBtn');
+const useTemplateBtn = document.getElementById('useTemplateBtn');
+const templateFileInput = document.getElementById('templateFileInput');
+const openApiMenu = document.getElementById('openApiMenu');
+const openApiBtn = document.getElementById('openApiBtn');
+const modelsMenu = document.getElementById('modelsMenu');
+const modelsBtn = document.getElementById('modelsBtn');
+const budgetMenu = document.getElementById('budgetMenu');
+const tokenEstimateBtn = document.getElementById('tokenEstimateBtn');
+const budgetTokensInput = document.getElementById('budgetTokensInput');
+const budgetArrayInput = document.getElementById('budgetArrayInput');
+const budgetDepthInput = document.getElementById('budgetDepthInput');
+const budgetDedupeInput = document.getElementById('budgetDedupeInput');
+const promptPartsBar = document.getElementById('promptPartsBar');
+const includeSnippetsInput = document.getElementById('includeSnippetsInput');
 const clickSound = document.getElementById('clickSound');
 const successSound = document.getElementById('successSound');
 
 // Initialize App
 function init() {
+    state.localCollections = readLocalCollections();
+    updateOpenLocalButton();
+
     const savedApiKey = localStorage.getItem('postman_api_key');
     if (savedApiKey) {
         state.apiKey = savedApiKey;
@@ -47,6 +177,7 @@ function init() {
     }
     
     attachEventListeners();
+    registerServiceWorker();
 }
 
 // Event Listeners
@@ -59,20 +190,209 @@ function attachEventListeners() {
     refreshBtn.addEventListener('click', handleRefresh);
     soundToggle.addEventListener('click', toggleSound);
     searchInput.addEventListener('input', handleSearch);
+    searchModeSelect.addEventListener('change', () => setSearchMode(searchModeSelect.value));
+    workspaceSelect.addEventListener('change', () => selectWorkspace(workspaceSelect.value));
     backToCollectionsBtn.addEventListener('click', backToCollections);
+    selectAllBtn.addEventListener('click', selectAllInCollection);
+    invertSelectionBtn.addEventListener('click', invertCollectionSelection);
     clearSelectionBtn.addEventListener('click', clearAllSelections);
+    
+    // Selection presets
+    presetsBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        renderPresetList();
+        toggleExportMenu(presetsMenu);
+    });
+    presetsMenu.querySelector('.dropdown-menu').addEventListener('click', (e) => e.stopPropagation());
+    savePresetBtn.addEventListener('click', saveSelectionAsPreset);
+    exportPresetsBtn.addEventListener('click', exportPresets);
+    importPresetsBtn.addEventListener('click', () => presetFileInput.click());
+    presetFileInput.addEventListener('change', async () => {
+        await importPresetsFile(presetFileInput.files[0]);
+        presetFileInput.value = '';
+    });
     copyBtn.addEventListener('click', copyToClipboard);
-    downloadBtn.addEventListener('click', downloadSummary);
+    downloadBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleExportMenu(downloadMenu);
+    });
+    downloadMenu.querySelectorAll('[data-export]').forEach(item => {
+        item.addEventListener('click', () => exportSummary(item.dataset.export));
+    });
     expandAllBtn.addEventListener('click', () => setAllSummaryItemsOpen(true));
     collapseAllBtn.addEventListener('click', () => setAllSummaryItemsOpen(false));
     
+    // Local collection import
+    importBtn.addEventListener('click', openFilePicker);
+    browseFilesBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openFilePicker();
+    });
+    dropZone.addEventListener('click', openFilePicker);
+    openLocalBtn.addEventListener('click', enterOfflineMode);
+    collectionFileInput.addEventListener('change', async () => {
+        await importCollectionFiles(collectionFileInput.files);
+        collectionFileInput.value = '';
+    });
+    attachDropListeners();
+    
+    environmentSelect.addEventListener('change', () => selectEnvironment(environmentSelect.value));
+    variableModeSelect.value = state.variableMode;
+    variableModeSelect.addEventListener('change', () => {
+        state.variableMode = variableModeSelect.value;
+        localStorage.setItem('postman_variable_mode', state.variableMode);
+        generateSummary();
+    });
+    exampleModeSelect.value = state.exampleMode;
+    exampleModeSelect.addEventListener('change', () => {
+        state.exampleMode = exampleModeSelect.value;
+        localStorage.setItem('postman_example_mode', state.exampleMode);
+        generateSummary();
+    });
+    
+    // Summary details
+    includePathVariablesInput.checked = state.summaryDetails.pathVariables;
+    includeHeadersInput.checked = state.summaryDetails.headers;
+    includeDescriptionsInput.checked = state.summaryDetails.descriptions;
+    detailsBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleExportMenu(detailsMenu);
+    });
+    detailsMenu.querySelector('.dropdown-menu').addEventListener('click', (e) => e.stopPropagation());
+    [includePathVariablesInput, includeHeadersInput, includeDescriptionsInput].forEach(input => {
+        input.addEventListener('change', handleSummaryDetailsChange);
+    });
+    
+    // Prompt templates
+    updateTemplateButton();
+    templateBtn.addEventListener('click', openTemplateModal);
+    closeTemplateModalBtn.addEventListener('click', closeTemplateModal);
+    templateModal.addEventListener('click', (e) => {
+        if (e.target === templateModal) closeTemplateModal();
+    });
+    templateListSelect.addEventListener('change', () => {
+        const template = getAllTemplates().find(t => t.id === templateListSelect.value);
+        if (template) loadTemplateIntoEditor(template);
+    });
+    templateEditor.addEventListener('input', updateTemplatePreview);
+    newTemplateBtn.addEventListener('click', newTemplate);
+    deleteTemplateBtn.addEventListener('click', deleteEditedTemplate);
+    saveTemplateBtn.addEventListener('click', saveEditedTemplate);
+    useTemplateBtn.addEventListener('click', useEditedTemplate);
+    exportTemplateBtn.addEventListener('click', exportEditedTemplate);
+    importTemplateBtn.addEventListener('click', () => templateFileInput.click());
+    templateFileInput.addEventListener('change', async () => {
+        await importTemplateFile(templateFileInput.files[0]);
+        templateFileInput.value = '';
+    });
+    // Change reports
+    closeChangelogModalBtn.addEventListener('click', closeChangelogModal);
+    changelogModal.addEventListener('click', (e) => {
+        if (e.target === changelogModal) closeChangelogModal();
+    });
+    copyChangelogBtn.addEventListener('click', copyChangelogPrompt);
+    markChangelogSeenBtn.addEventListener('click', markOpenChangelogSeen);
+    
+    // Redaction
+    alwaysRedactInput.checked = state.redaction.alwaysOn;
+    alwaysRedactInput.addEventListener('change', () => setAlwaysRedact(alwaysRedactInput.checked));
+    redactionRulesBtn.addEventListener('click', openRedactionModal);
+    closeRedactionModalBtn.addEventListener('click', closeRedactionModal);
+    redactionModal.addEventListener('click', (e) => {
+        if (e.target === redactionModal) closeRedactionModal();
+    });
+    saveRedactionBtn.addEventListener('click', saveRedactionSettings);
+    redactOutputBtn.addEventListener('click', () => closeRedactionReport(true));
+    keepOriginalBtn.addEventListener('click', () => closeRedactionReport(false));
+    closeRedactionReportBtn.addEventListener('click', () => closeRedactionReport(null));
+    redactionReportModal.addEventListener('click', (e) => {
+        if (e.target === redactionReportModal) closeRedactionReport(null);
+    });
+    reportRulesBtn.addEventListener('click', () => {
+        closeRedactionReport(null);
+        openRedactionModal();
+    });
+    
+    // Lint report
+    closeLintModalBtn.addEventListener('click', closeLintModal);
+    lintModal.addEventListener('click', (e) => {
+        if (e.target === lintModal) closeLintModal();
+    });
+    
+    // Try it transport
+    closeTransportModalBtn.addEventListener('click', closeTransportModal);
+    transportModal.addEventListener('click', (e) => {
+        if (e.target === transportModal) closeTransportModal();
+    });
+    saveTransportBtn.addEventListener('click', saveTransportSettings);
+    
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeTemplateModal();
+            closeTransportModal();
+            closeChangelogModal();
+            closeLintModal();
+            closeRedactionReport(null);
+            closeRedactionModal();
+            closeExportMenus();
+        }
+    });
+    
+    // OpenAPI export
+    openApiBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleExportMenu(openApiMenu);
+    });
+    openApiMenu.querySelectorAll('[data-format]').forEach(item => {
+        item.addEventListener('click', () => exportOpenApi(item.dataset.format));
+    });
+    
+    // Typed models export
+    modelsBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleExportMenu(modelsMenu);
+    });
+    modelsMenu.querySelectorAll('[data-language]').forEach(item => {
+        item.addEventListener('click', () => exportModels(item.dataset.language));
+    });
+    document.addEventListener('click', closeExportMenus);
+    
+    // Code snippets in the prompt
+    includeSnippetsInput.checked = state.includeSnippets;
+    includeSnippetsInput.addEventListener('change', () => {
+        state.includeSnippets = includeSnippetsInput.checked;
+        localStorage.setItem('postman_include_snippets', String(state.includeSnippets));
+        if (state.selectedEndpoints.size > 0) updatePromptStats();
+    });
+    
+    // Token budget
+    loadBudgetInputs();
+    tokenEstimateBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleExportMenu(budgetMenu);
+    });
+    budgetMenu.querySelector('.dropdown-menu').addEventListener('click', (e) => e.stopPropagation());
+    [budgetTokensInput, budgetArrayInput, budgetDepthInput, budgetDedupeInput].forEach(input => {
+        input.addEventListener('change', handleBudgetChange);
+    });
+    
     window.addEventListener('hashchange', handleHashChange);
 }
 
-async function handleHashChange() {
+// The browser percent-encodes the uid when it is written to the hash
+function getHashCollectionUid() {
     const hash = window.location.hash.replace('#', '');
-    if (hash.startsWith('collection/')) {
-        const uid = hash.substring('collection/'.length);
+    if (!hash.startsWith('collection/')) return null;
+    try {
+        return decodeURIComponent(hash.substring('collection/'.length));
+    } catch {
+        return hash.substring('collection/'.length);
+    }
+}
+
+async function handleHashChange() {
+    const uid = getHashCollectionUid();
+    if (uid) {
         await openCollectionByUid(uid);
     } else {
         closeCollectionDetail();
@@ -80,11 +400,12 @@ async function handleHashChange() {
 }
 
 async function openCollectionByUid(uid) {
-    if (!state.apiKey) return;
-
     let collection = state.collections.find(c => c.uid === uid);
     
     if (!collection) {
+        // Shared collections can only be fetched with an API key
+        if (!state.apiKey) return;
+
         // Show loading state while fetching individual collection
         collectionsSection.style.display = 'none';
         collectionDetailSection.style.display = 'block';
@@ -113,8 +434,8 @@ async function openCollectionByUid(uid) {
 async function retryCollectionLoad() {
     if (state.currentCollection && state.currentCollection.uid) {
         folderTreeContainer.innerHTML = '<div class="skeleton-card"></div><div class="skeleton-card"></div>';
-        const details = await loadCollectionDetails(state.currentCollection.uid);
-        state.currentCollection.details = details;
+        state.currentCollection.details = null;
+        const details = await ensureCollectionDetails(state.currentCollection);
         renderFolderTree(details);
     }
 }
@@ -151,22 +472,36 @@ async function handleLogin() {
 
 async function validateAndLogin(apiKey) {
     try {
-        const response = await fetch('https://api.getpostman.com/me', {
-            headers: {
-                'X-Api-Key': apiKey
+        let response;
+        try {
+            response = await fetch('https://api.getpostman.com/me', {
+                headers: {
+                    'X-Api-Key': apiKey
+                }
+            });
+        } catch (networkError) {
+            // Offline: a previously used key can still browse the cached list loadCollections will read
+            if (apiKey === localStorage.getItem('postman_api_key') && await readCacheMeta(`collections:${state.activeWorkspace || 'all'}`)) {
+                state.apiKey = apiKey;
+                loginBtn.classList.remove('loading');
+                showMainScreen();
+                await loadCollections();
+                return;
             }
-        });
+            throw networkError;
+        }
         
         if (!response.ok) {
             throw new Error('Invalid API key');
         }
         
+        const data = await response.json().catch(() => ({}));
+        state.userId = data.user ? data.user.id : null;
         state.apiKey = apiKey;
         localStorage.setItem('postman_api_key', apiKey);
         
         loginBtn.classList.remove('loading');
-        loginScreen.classList.remove('active');
-        mainScreen.classList.add('active');
+        showMainScreen();
         
         playSound(successSound);
         await loadCollections();
@@ -176,20 +511,35 @@ async function validateAndLogin(apiKey) {
     }
 }
 
+function showMainScreen() {
+    loginScreen.classList.remove('active');
+    mainScreen.classList.add('active');
+}
+
 function handleLogout() {
     playSound(clickSound);
     if (confirm('Are you sure you want to logout?')) {
         state.apiKey = null;
         state.collections = [];
+        state.userId = null;
+        state.workspaces = [];
+        state.collectionWorkspaces.clear();
+        state.environments = [];
+        state.activeEnvironment = null;
         state.selectedEndpoints.clear();
         state.currentCollection = null;
         localStorage.removeItem('postman_api_key');
+        clearCache();
+        state.lastSyncedAt = null;
+        updateLastSynced();
         
         mainScreen.classList.remove('active');
         loginScreen.classList.add('active');
         apiKeyInput.value = '';
         collectionsContainer.innerHTML = '';
         updateSelectionUI();
+        updateOpenLocalButton();
+        renderWorkspaceSelect();
     }
 }
 
@@ -205,7 +555,12 @@ async function handleRefresh() {
     
     try {
         await loadCollections();
-        showToast('Collections synced successfully!', 'success');
+        const changed = state.isOffline ? [] : await detectCollectionChanges();
+        if (changed.length > 0) {
+            showToast(`Synced: ${changed.map(c => c.name).join(', ')} changed`, 'success');
+        } else if (!state.isOffline) {
+            showToast(state.apiKey ? 'Collections synced successfully!' : 'Imported collections reloaded', 'success');
+        }
     } catch (error) {
         showToast('Sync failed', 'error');
     } finally {
@@ -226,8 +581,13 @@ function showError(message) {
 }
 
 // Search
-function handleSearch(e) {
-    const query = e.target.value.toLowerCase().trim();
+function handleSearch() {
+    if (state.searchMode === 'endpoints') {
+        renderEndpointSearch();
+        return;
+    }
+    
+    const query = searchInput.value.toLowerCase().trim();
     
     if (!query) {
         state.filteredCollections = state.collections;
@@ -241,10 +601,239 @@ function handleSearch(e) {
     renderCollections();
 }
 
+// Endpoint Search
+const SEARCH_RESULT_LIMIT = 100;
+const SEARCH_FIELD_WEIGHTS = {
+    name: 10,
+    path: 8,
+    method: 6,
+    folder: 4,
+    queryKeys: 3,
+    bodyFields: 3,
+    description: 1
+};
+const SEARCH_HAS_FILTERS = {
+    example: entry => entry.endpoint.response.length > 0,
+    body: entry => entry.bodyFields.length > 0 || !!entry.endpoint.request.body?.mode,
+    query: entry => entry.queryKeys.length > 0,
+    description: entry => entry.description.length > 0
+};
+const SEARCH_HELP = 'Search every request by name, path, folder, query keys, body fields or description. ' +
+    'Filters: method:POST, has:example, has:body, has:query, has:description, collection:name';
+
+// Index entries are cached per details object, so refetched collections are reindexed
+const searchIndexCache = new WeakMap();
+
+function setSearchMode(mode) {
+    playSound(clickSound);
+    state.searchMode = mode;
+    searchModeSelect.value = mode;
+    
+    const isEndpoints = mode === 'endpoints';
+    searchInput.placeholder = isEndpoints
+        ? '🔍 Search endpoints... e.g. refund method:POST has:example'
+        : '🔍 Search collections...';
+    collectionsContainer.style.display = isEndpoints ? 'none' : '';
+    endpointResults.style.display = isEndpoints ? 'block' : 'none';
+    
+    if (isEndpoints) {
+        indexAllCollections();
+    } else {
+        handleSearch();
+    }
+    searchInput.focus();
+}
+
+// Details load lazily, so fetch whatever is missing before searching everything
+async function indexAllCollections() {
+    const missing = state.collections.filter(c => !c.details && !c.isLocal);
+    renderEndpointSearch(missing.length);
+    if (missing.length === 0) return;
+    
+    await Promise.all(missing.map(collection => ensureCollectionDetails(collection)));
+    if (state.searchMode === 'endpoints') renderEndpointSearch();
+}
+
+function getCollectionSearchEntries(collection) {
+    const details = collection.details;
+    if (!details || details.error) return [];
+    if (searchIndexCache.has(details)) return searchIndexCache.get(details);
+    
+    const entries = [];
+    const traverse = (items, folders) => {
+        (items || []).forEach(item => {
+            if (item.request) {
+                const endpoint = parseEndpoint(item);
+                const folderPath = folders.map(folder => folder.name);
+                const queryKeys = extractQueryParams(endpoint.request).map(param => param.key);
+                const bodyFields = getBodyFieldNames(endpoint.request.body);
+                const description = getDescriptionText(endpoint.request.description);
+                entries.push({
+                    collection,
+                    endpoint,
+                    folderPath,
+                    queryKeys,
+                    bodyFields,
+                    description,
+                    fields: {
+                        name: (endpoint.name || '').toLowerCase(),
+                        path: `${endpoint.path} ${endpoint.url}`.toLowerCase(),
+                        method: endpoint.method.toLowerCase(),
+                        folder: folderPath.join(' / ').toLowerCase(),
+                        queryKeys: queryKeys.join(' ').toLowerCase(),
+                        bodyFields: bodyFields.join(' ').toLowerCase(),
+                        description: description.toLowerCase()
+                    }
+                });
+            }
+            if (item.item) traverse(item.item, [...folders, item]);
+        });
+    };
+    traverse(details.item, []);
+    
+    searchIndexCache.set(details, entries);
+    return entries;
+}
+
+// `method:POST has:example refund` -> filters plus free text terms
+function parseSearchQuery(query) {
+    const parsed = { terms: [], methods: [], has: [], collections: [] };
+    query.trim().split(/\s+/).filter(Boolean).forEach(token => {
+        const match = token.match(/^(method|has|collection):(.+)$/i);
+        if (!match) {
+            parsed.terms.push(token.toLowerCase());
+            return;
+        }
+        const [, filter, value] = match;
+        if (filter.toLowerCase() === 'method') parsed.methods.push(value.toUpperCase());
+        else if (filter.toLowerCase() === 'has') parsed.has.push(value.toLowerCase());
+        else parsed.collections.push(value.toLowerCase());
+    });
+    return parsed;
+}
+
+// Every term has to match some field; name and path matches rank highest
+function scoreSearchEntry(entry, terms) {
+    let score = 0;
+    for (const term of terms) {
+        let best = 0;
+        Object.entries(SEARCH_FIELD_WEIGHTS).forEach(([field, weight]) => {
+            const text = entry.fields[field];
+            const index = text.indexOf(term);
+            if (index === -1) return;
+            
+            const atWordStart = index === 0 || /[^a-z0-9]/.test(text[index - 1]);
+            const fieldScore = weight * (text === term ? 3 : atWordStart ? 2 : 1);
+            best = Math.max(best, fieldScore);
+        });
+        if (best === 0) return 0;
+        score += best;
+    }
+    return score;
+}
+
+function searchEndpoints(query) {
+    const parsed = parseSearchQuery(query);
+    const unknownFilters = parsed.has.filter(name => !SEARCH_HAS_FILTERS[name]);
+    const results = [];
+    
+    state.collections.forEach(collection => {
+        if (parsed.collections.length > 0 &&
+            !parsed.collections.some(name => collection.name.toLowerCase().includes(name))) return;
+        
+        getCollectionSearchEntries(collection).forEach(entry => {
+            if (parsed.methods.length > 0 && !parsed.methods.includes(entry.endpoint.method.toUpperCase())) return;
+            if (!parsed.has.every(name => !SEARCH_HAS_FILTERS[name] || SEARCH_HAS_FILTERS[name](entry))) return;
+            
+            const score = parsed.terms.length > 0 ? scoreSearchEntry(entry, parsed.terms) : 1;
+            if (score > 0) results.push({ entry, score });
+        });
+    });
+    
+    results.sort((a, b) => b.score - a.score || (a.entry.endpoint.name || '').localeCompare(b.entry.endpoint.name || ''));
+    return { results, unknownFilters };
+}
+
+function renderEndpointSearch(pendingCount = 0) {
+    const query = searchInput.value.trim();
+    endpointResults.innerHTML = '';
+    
+    const status = document.createElement('div');
+    status.className = 'search-status';
+    endpointResults.appendChild(status);
+    
+    if (!query) {
+        status.textContent = pendingCount > 0 ? `Indexing ${pendingCount} collections... ${SEARCH_HELP}` : SEARCH_HELP;
+        return;
+    }
+    
+    const { results, unknownFilters } = searchEndpoints(query);
+    const parts = [`${results.length} endpoint${results.length === 1 ? '' : 's'} found`];
+    if (results.length > SEARCH_RESULT_LIMIT) parts.push(`showing the first ${SEARCH_RESULT_LIMIT}`);
+    if (pendingCount > 0) parts.push(`still indexing ${pendingCount} collections`);
+    if (unknownFilters.length > 0) parts.push(`ignored ${unknownFilters.map(name => `has:${name}`).join(', ')}`);
+    status.textContent = parts.join(' · ');
+    
+    results.slice(0, SEARCH_RESULT_LIMIT).forEach(({ entry }) => {
+        endpointResults.appendChild(createSearchResultElement(entry));
+    });
+}
+
+function createSearchResultElement(entry) {
+    const { collection, endpoint, folderPath } = entry;
+    const isChecked = state.selectedEndpoints.has(getSelectionKey(endpoint, collection));
+    const breadcrumb = [collection.name, ...folderPath].map(escapeHtml).join(' › ');
+    
+    const div = document.createElement('label');
+    div.className = 'endpoint-item search-result';
+    div.innerHTML = `
+        <input type="checkbox" class="endpoint-checkbox search-result-checkbox" ${isChecked ? 'checked' : ''}>
+        <span class="endpoint-method method-${escapeHtml(endpoint.method).toLowerCase()}">${escapeHtml(endpoint.method)}</span>
+        <div class="search-result-main">
+            <div class="search-result-name">${escapeHtml(endpoint.name)}</div>
+            <div class="endpoint-path">${escapeHtml(endpoint.path)}</div>
+            <button class="search-breadcrumb" type="button" title="Open in collection">${breadcrumb}</button>
+        </div>
+        ${endpoint.response.length > 0 ? '<span class="response-badge" title="Has saved response">💾</span>' : ''}
+    `;
+    
+    const checkbox = div.querySelector('.search-result-checkbox');
+    checkbox.addEventListener('change', () => {
+        handleEndpointSelection(endpoint, checkbox.checked, collection);
+    });
+    
+    div.querySelector('.search-breadcrumb').addEventListener('click', (e) => {
+        e.preventDefault();
+        playSound(clickSound);
+        showCollectionDetail(collection);
+    });
+    
+    return div;
+}
+
 // Collections
 async function loadCollections() {
+    // Offline mode: only the imported collections are available
+    if (!state.apiKey) {
+        state.collections = [...state.localCollections];
+        state.filteredCollections = state.collections;
+        await loadEnvironments();
+        renderCollections();
+        await Promise.all(state.collections.map(updateCollectionChangelog));
+        
+        if (window.location.hash.startsWith('#collection/')) {
+            handleHashChange();
+        }
+        return;
+    }
+    
+    await loadWorkspaces();
+    const listKey = `collections:${state.activeWorkspace || 'all'}`;
+    let remoteCollections;
+    
     try {
-        const response = await fetch('https://api.getpostman.com/collections', {
+        const query = state.activeWorkspace ? `?workspace=${encodeURIComponent(state.activeWorkspace)}` : '';
+        const response = await fetch(`https://api.getpostman.com/collections${query}`, {
             headers: {
                 'X-Api-Key': state.apiKey
             }
@@ -253,23 +842,63 @@ async function loadCollections() {
         if (!response.ok) throw new Error('Failed to fetch collections');
         
         const data = await response.json();
-        state.collections = data.collections || [];
-        state.filteredCollections = state.collections;
-        
-        // Load detailed info for each collection
-        await Promise.all(state.collections.map(async (collection) => {
-            const details = await loadCollectionDetails(collection.uid);
-            collection.details = details;
-        }));
-        
-        renderCollections();
-        
-        if (window.location.hash.startsWith('#collection/')) {
-            handleHashChange();
-        }
+        remoteCollections = data.collections || [];
+        state.isOffline = false;
+        state.lastSyncedAt = new Date().toISOString();
+        writeCacheMeta(listKey, { collections: remoteCollections, syncedAt: state.lastSyncedAt });
+        if (state.activeWorkspace) rememberCollectionWorkspaces(state.activeWorkspace, remoteCollections);
     } catch (error) {
-        showToast('Failed to load collections', 'error');
+        const cached = await readCacheMeta(listKey);
+        if (!cached) {
+            showToast('Failed to load collections', 'error');
+            return;
+        }
+        remoteCollections = cached.collections;
+        state.isOffline = true;
+        state.lastSyncedAt = cached.syncedAt;
+        showToast('Offline: showing cached collections', 'error');
+    }
+    
+    // Reuse cached details when the collection has not changed since; the rest load lazily
+    await Promise.all([
+        ...remoteCollections.map(async (collection) => {
+            const cached = await readCachedCollection(collection.uid);
+            if (cached && (state.isOffline || cached.updatedAt === collection.updatedAt)) {
+                collection.details = indexItemFolders(cached.details);
+            }
+        }),
+        loadEnvironments()
+    ]);
+    
+    state.collections = [...remoteCollections, ...state.localCollections];
+    state.filteredCollections = state.collections;
+    
+    renderCollections();
+    updateLastSynced();
+    await Promise.all(state.collections.filter(collection => collection.details).map(updateCollectionChangelog));
+    
+    if (window.location.hash.startsWith('#collection/')) {
+        handleHashChange();
+    }
+}
+
+// Fetches and caches details once per collection, concurrent callers share the request
+async function ensureCollectionDetails(collection) {
+    if (collection.details && !collection.details.error) return collection.details;
+    if (collection.isLocal || !state.apiKey) return collection.details;
+    
+    if (!collection.detailsRequest) {
+        collection.detailsRequest = loadCollectionDetails(collection.uid).then(async details => {
+            collection.details = details;
+            collection.detailsRequest = null;
+            if (!details.error) {
+                writeCachedCollection({ uid: collection.uid, updatedAt: collection.updatedAt, details });
+                await updateCollectionChangelog(collection);
+            }
+            return details;
+        });
     }
+    return collection.detailsRequest;
 }
 
 async function loadCollectionDetails(collectionId) {
@@ -286,7 +915,7 @@ async function loadCollectionDetails(collectionId) {
         }
         
         const data = await response.json();
-        return data.collection;
+        return indexItemFolders(data.collection);
     } catch (error) {
         console.error('Error loading collection details:', error);
         return { error: error.message };
@@ -300,22 +929,39 @@ function renderCollections() {
         const card = createCollectionCard(collection);
         collectionsContainer.appendChild(card);
     });
+    
+    if (state.searchMode === 'endpoints') indexAllCollections();
 }
 
 function createCollectionCard(collection) {
     const card = document.createElement('div');
     card.className = 'collection-card';
+    card.dataset.uid = collection.uid;
+    
+    const endpointCount = collection.details ? countEndpoints(collection.details) : '…';
     
-    const endpointCount = countEndpoints(collection.details);
+    if (collection.isLocal) card.classList.add('local');
     
     card.innerHTML = `
         <div class="collection-header">
-            <div class="collection-name">${collection.name}</div>
-            <div class="collection-badge">${endpointCount} endpoints</div>
+            <div class="collection-name">${escapeHtml(collection.name)}</div>
+            <div class="collection-badges">
+                ${collection.isLocal ? '<span class="collection-badge local-badge" title="Imported from a file">Local</span>' : ''}
+                <span class="collection-badge endpoint-count-badge">${endpointCount} endpoints</span>
+            </div>
         </div>
         <div class="collection-description">
-            ${collection.description || 'No description available'}
+            ${escapeHtml(collection.description) || 'No description available'}
         </div>
+        ${!collection.isLocal && collection.id ? `
+        <div class="collection-footer">
+            <span class="collection-meta">${getCollectionMeta(collection)}</span>
+        </div>` : ''}
+        ${collection.isLocal ? `
+        <div class="collection-footer">
+            <span class="collection-meta">📄 ${escapeHtml(collection.fileName || 'Imported file')} · schema ${escapeHtml(collection.schemaVersion)}</span>
+            <button class="btn-copy-small remove-local-btn" title="Remove imported collection">Remove</button>
+        </div>` : ''}
     `;
     
     card.addEventListener('click', () => {
@@ -323,9 +969,50 @@ function createCollectionCard(collection) {
         showCollectionDetail(collection);
     });
     
+    const removeBtn = card.querySelector('.remove-local-btn');
+    if (removeBtn) {
+        removeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            removeLocalCollection(collection.uid);
+        });
+    }
+    
+    if (!collection.details) observeCardForDetails(card, collection);
+    if (collection.changelog) setTimeout(() => updateChangelogBadge(collection));
+    updateLintBadge(card, collection);
+    
     return card;
 }
 
+// Details are only counted once the card scrolls into view
+let cardDetailsObserver = null;
+
+function observeCardForDetails(card, collection) {
+    const countDetails = async () => {
+        const details = await ensureCollectionDetails(collection);
+        const badge = card.querySelector('.endpoint-count-badge');
+        if (badge && details) badge.textContent = `${countEndpoints(details)} endpoints`;
+        updateLintBadge(card, collection);
+    };
+    
+    if (typeof IntersectionObserver === 'undefined') {
+        countDetails();
+        return;
+    }
+    
+    if (!cardDetailsObserver) {
+        cardDetailsObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                cardDetailsObserver.unobserve(entry.target);
+                entry.target.countDetails();
+            });
+        });
+    }
+    card.countDetails = countDetails;
+    cardDetailsObserver.observe(card);
+}
+
 function countEndpoints(collection) {
     if (!collection || collection.error) return 0;
     let count = 0;
@@ -342,731 +1029,7211 @@ function countEndpoints(collection) {
     return count;
 }
 
-// Collection Detail View
-function showCollectionDetail(collection, updateHash = true) {
-    if (updateHash) {
-        window.location.hash = `collection/${collection.uid}`;
-        return;
-    }
-
-    state.currentCollection = collection;
-    
-    // Hide collections, show detail
-    collectionsSection.style.display = 'none';
-    collectionDetailSection.style.display = 'block';
+// Workspaces
+async function loadWorkspaces() {
+    const cached = await readCacheMeta('workspaces');
+    state.collectionWorkspaces = new Map(cached ? cached.collectionWorkspaces : []);
     
-    // Set collection info
-    detailCollectionName.textContent = collection.name;
-    detailCollectionDesc.textContent = collection.description || 'No description available';
+    try {
+        const response = await fetch('https://api.getpostman.com/workspaces', {
+            headers: {
+                'X-Api-Key': state.apiKey
+            }
+        });
+        if (!response.ok) throw new Error(`HTTP Error ${response.status}`);
+        
+        const data = await response.json();
+        state.workspaces = data.workspaces || [];
+        writeWorkspacesCache();
+    } catch (error) {
+        console.error('Error loading workspaces:', error);
+        state.workspaces = cached ? cached.workspaces : [];
+    }
     
-    // Render folder tree
-    renderFolderTree(collection.details);
+    if (state.activeWorkspace && !state.workspaces.some(w => w.id === state.activeWorkspace)) {
+        state.activeWorkspace = '';
+        localStorage.removeItem('postman_active_workspace');
+    }
+    renderWorkspaceSelect();
 }
 
-function closeCollectionDetail() {
-    state.currentCollection = null;
+function writeWorkspacesCache() {
+    writeCacheMeta('workspaces', {
+        workspaces: state.workspaces,
+        collectionWorkspaces: [...state.collectionWorkspaces.entries()]
+    });
+}
+
+// The collection list only tells which workspace a collection lives in when it is filtered by one,
+// so memberships are picked up as workspaces are opened instead of fetching every workspace up front
+function rememberCollectionWorkspaces(workspaceId, collections) {
+    const workspace = state.workspaces.find(w => w.id === workspaceId);
+    if (!workspace) return;
     
-    collectionsSection.style.display = 'block';
-    collectionDetailSection.style.display = 'none';
+    state.collectionWorkspaces.forEach((workspaces, uid) => {
+        const others = workspaces.filter(w => w.id !== workspaceId);
+        if (others.length > 0) {
+            state.collectionWorkspaces.set(uid, others);
+        } else {
+            state.collectionWorkspaces.delete(uid);
+        }
+    });
+    collections.forEach(collection => {
+        state.collectionWorkspaces.set(collection.uid, [...(state.collectionWorkspaces.get(collection.uid) || []), workspace]);
+    });
+    writeWorkspacesCache();
 }
 
-function backToCollections() {
+function renderWorkspaceSelect() {
+    workspaceSelect.innerHTML = '<option value="">All workspaces</option>';
+    state.workspaces.forEach(workspace => {
+        const option = document.createElement('option');
+        option.value = workspace.id;
+        option.textContent = workspace.type && workspace.type !== 'personal'
+            ? `${workspace.name} (${workspace.type})`
+            : workspace.name;
+        workspaceSelect.appendChild(option);
+    });
+    workspaceSelect.value = state.activeWorkspace;
+    workspaceSelect.style.display = state.workspaces.length > 0 ? 'block' : 'none';
+}
+
+async function selectWorkspace(id) {
     playSound(clickSound);
-    window.location.hash = ''; // This will trigger hashchange and close detail view
+    state.activeWorkspace = id;
+    if (id) {
+        localStorage.setItem('postman_active_workspace', id);
+    } else {
+        localStorage.removeItem('postman_active_workspace');
+    }
+    
+    searchInput.value = '';
+    collectionsContainer.innerHTML = '<div class="skeleton-card"></div><div class="skeleton-card"></div><div class="skeleton-card"></div>';
+    await loadCollections();
 }
 
-function renderFolderTree(collection) {
-    folderTreeContainer.innerHTML = '';
+// Workspace, owner and fork line shown on remote collection cards
+function getCollectionMeta(collection) {
+    const parts = [];
     
-    if (!collection) {
-        folderTreeContainer.innerHTML = '<div class="error-message show">Failed to load collection details.</div>';
-        return;
+    const workspaces = state.collectionWorkspaces.get(collection.uid) || [];
+    if (workspaces.length > 0) {
+        parts.push(`🗂️ ${escapeHtml(workspaces.map(w => w.name).join(', '))}`);
     }
     
-    if (collection.error) {
-        folderTreeContainer.innerHTML = `
-            <div class="empty-state">
-                <div class="empty-icon">⚠️</div>
-                <h4>Error Loading Collection</h4>
-                <p class="error-log">${collection.error}</p>
-                <button class="btn btn-secondary" style="margin-top: 1rem;" onclick="retryCollectionLoad()">Retry</button>
-            </div>
-        `;
-        return;
+    if (collection.owner) {
+        const isMine = state.userId && String(collection.owner) === String(state.userId);
+        parts.push(isMine ? '👤 You' : `👤 User ${escapeHtml(collection.owner)}`);
     }
     
-    if (!collection.item || collection.item.length === 0) {
-        folderTreeContainer.innerHTML = `
-            <div class="empty-state">
-                <div class="empty-icon">📭</div>
-                <h4>No endpoints found</h4>
-                <p>This collection has no requests or folders.</p>
-            </div>
-        `;
-        return;
+    if (collection.fork) {
+        parts.push(`<span class="fork-badge" title="Forked ${escapeHtml(collection.fork.createdAt || '')}">🍴 Fork: ${escapeHtml(collection.fork.label || 'unnamed')}</span>`);
     }
     
-    // Create a root container for consistency, or just append directly
-    try {
-        collection.item.forEach(item => {
-            const element = createTreeItemElement(item, state.currentCollection.name);
-            folderTreeContainer.appendChild(element);
+    return parts.join(' · ');
+}
+
+// Offline Cache (IndexedDB): collection details keyed by uid, plus the last synced lists
+let cacheDbPromise = null;
+
+function openCacheDb() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    if (!cacheDbPromise) {
+        cacheDbPromise = new Promise(resolve => {
+            const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('collections', { keyPath: 'uid' });
+                request.result.createObjectStore('meta', { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('Error opening cache:', request.error);
+                resolve(null);
+            };
         });
-    } catch (err) {
-        console.error('Error rendering tree:', err);
-        folderTreeContainer.innerHTML = `
-            <div class="empty-state">
-                <div class="empty-icon">⚠️</div>
-                <h4>Error Rendering Collection</h4>
-                <p class="error-log" style="color: var(--danger-color); font-family: monospace;">${escapeHtml(err.message)}</p>
-                <details style="margin-top: 10px; text-align: left; background: var(--border-color); padding: 10px; border-radius: 4px;">
-                    <summary style="cursor: pointer; font-weight: bold;">Show Details</summary>
-                    <pre style="margin-top: 10px; white-space: pre-wrap; word-break: break-all; font-size: 12px; font-family: monospace;">${escapeHtml(err.stack || '')}</pre>
-                </details>
-                <button class="btn btn-secondary" style="margin-top: 1rem;" onclick="retryCollectionLoad()">Retry</button>
-            </div>
-        `;
     }
+    return cacheDbPromise;
 }
 
-function escapeHtml(unsafe) {
-    if (!unsafe) return '';
-    return String(unsafe)
-         .replace(/&/g, "&amp;")
-         .replace(/</g, "&lt;")
-         .replace(/>/g, "&gt;")
-         .replace(/"/g, "&quot;")
-         .replace(/'/g, "&#039;");
+// Runs one request against a store; cache failures never break the app
+async function cacheRequest(storeName, mode, run) {
+    const db = await openCacheDb();
+    if (!db) return undefined;
+    
+    return new Promise(resolve => {
+        try {
+            const request = run(db.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(undefined);
+        } catch (error) {
+            console.error('Cache error:', error);
+            resolve(undefined);
+        }
+    });
 }
 
-function createTreeItemElement(item, collectionName, parentId = '') {
-    const isFolder = item.item && item.item.length > 0;
-    const safeName = item.name ? item.name.replace(/[^a-zA-Z0-9_-]/g, '_') : 'unnamed';
-    const uniqueId = parentId ? `${parentId}-${safeName}` : safeName;
-    
-    if (isFolder) {
-        return createFolderElement(item, collectionName, uniqueId);
-    } else {
-        return createEndpointElement(item, collectionName, uniqueId);
+function readCachedCollection(uid) {
+    return cacheRequest('collections', 'readonly', store => store.get(uid));
+}
+
+function writeCachedCollection(entry) {
+    return cacheRequest('collections', 'readwrite', store => store.put({ ...entry, cachedAt: new Date().toISOString() }));
+}
+
+async function readCacheMeta(key) {
+    const entry = await cacheRequest('meta', 'readonly', store => store.get(key));
+    return entry ? entry.value : undefined;
+}
+
+function writeCacheMeta(key, value) {
+    return cacheRequest('meta', 'readwrite', store => store.put({ key, value }));
+}
+
+async function clearCache() {
+    await cacheRequest('collections', 'readwrite', store => store.clear());
+    await cacheRequest('meta', 'readwrite', store => store.clear());
+}
+
+function updateLastSynced() {
+    if (!state.lastSyncedAt) {
+        lastSyncedLabel.textContent = '';
+        return;
     }
+    const time = new Date(state.lastSyncedAt).toLocaleString();
+    lastSyncedLabel.textContent = state.isOffline ? `⚡ Offline · last synced ${time}` : `Last synced ${time}`;
+    lastSyncedLabel.classList.toggle('offline', state.isOffline);
 }
 
-function createFolderElement(item, collectionName, uniqueId) {
-    const div = document.createElement('div');
-    div.className = 'folder-item';
-    
-    // Get all endpoints in this folder (recursive) for the count and selection
-    const allEndpoints = extractEndpointsFromItem(item);
-    const endpointCount = allEndpoints.length;
-    
-    div.innerHTML = `
-        <div class="folder-header">
-            <input type="checkbox" class="folder-checkbox" id="folder-check-${uniqueId}">
-            <span class="folder-icon">▶</span>
-            <span class="folder-name">${escapeHtml(item.name)}</span>
-            <span class="folder-count">${endpointCount}</span>
-        </div>
-        <div class="folder-children" id="folder-children-${uniqueId}">
-            <!-- Children will be appended here -->
-        </div>
-    `;
-    
-    const childrenContainer = div.querySelector(`#folder-children-${uniqueId}`);
-    
-    // Recursively render children
-    item.item.forEach(subItem => {
-        const childEl = createTreeItemElement(subItem, collectionName, uniqueId);
-        childrenContainer.appendChild(childEl);
-    });
-    
-    const header = div.querySelector('.folder-header');
-    const checkbox = div.querySelector('.folder-checkbox');
-    const icon = div.querySelector('.folder-icon');
-    
-    header.addEventListener('click', (e) => {
-        if (e.target !== checkbox) {
-            playSound(clickSound);
-            div.classList.toggle('expanded');
-        }
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.error('Service worker registration failed:', error);
     });
-    
-    checkbox.addEventListener('change', (e) => {
-        e.stopPropagation();
-        handleFolderSelection(allEndpoints, collectionName, checkbox.checked);
-        
-        // Visually update all child checkboxes
-        const childCheckboxes = div.querySelectorAll('input[type="checkbox"]');
-        childCheckboxes.forEach(cb => cb.checked = checkbox.checked);
+}
+
+// Change Reports: a baseline snapshot per collection, compared with the details after each sync
+function flattenShape(shape, path = '', flat = {}) {
+    flat[path || '(root)'] = getComparableTypes(shape).join(' | ');
+    if (shape.types.object && shape.properties) {
+        shape.properties.forEach((property, key) => flattenShape(property.shape, path ? `${path}.${key}` : key, flat));
+    }
+    if (shape.types.array && shape.items) flattenShape(shape.items, `${path}[]`, flat);
+    return flat;
+}
+
+function getBodySignature(body) {
+    if (!body || !body.mode) return {};
+    if (body.mode === 'formdata' || body.mode === 'urlencoded') {
+        return Object.fromEntries((body[body.mode] || []).filter(field => field.key).map(field => [field.key, field.type || 'text']));
+    }
+    const parsed = body.mode === 'raw' ? parseJsonSafe(body.raw)
+        : body.mode === 'graphql' ? parseJsonSafe(String(body.graphql?.variables || '')) : undefined;
+    return parsed !== undefined ? flattenShape(inferShape([parsed])) : {};
+}
+
+// Examples with the same status are merged, like the response schemas
+function getExampleSignatures(responses) {
+    const groups = new Map();
+    responses.forEach(response => {
+        const parsed = parseJsonSafe(response.body);
+        if (parsed === undefined) return;
+        const label = response.code ? `${response.code} ${response.status || ''}`.trim() : (response.name || 'Success');
+        if (!groups.has(label)) groups.set(label, []);
+        groups.get(label).push(parsed);
     });
-    
-    return div;
+    return Object.fromEntries([...groups].map(([label, samples]) => [label, flattenShape(inferShape(samples))]));
 }
 
-function createEndpointElement(item, collectionName, uniqueId) {
-    const div = document.createElement('div');
-    const endpoint = parseEndpoint(item);
-    const key = `${collectionName}::${endpoint.path}::${endpoint.method}`;
-    const isChecked = state.selectedEndpoints.has(key);
-    const hasResponse = item.response && item.response.length > 0;
-    
-    div.className = 'endpoint-item';
-    div.innerHTML = `
-        <input type="checkbox" class="endpoint-checkbox" id="endpoint-${uniqueId}" ${isChecked ? 'checked' : ''}>
-        <span class="endpoint-method method-${escapeHtml(endpoint.method).toLowerCase()}">${escapeHtml(endpoint.method)}</span>
-        <span class="endpoint-path">${escapeHtml(endpoint.path)}</span>
-        ${hasResponse ? '<span class="response-badge" title="Has saved response">💾</span>' : ''}
-    `;
-    
-    const checkbox = div.querySelector('.endpoint-checkbox');
-    checkbox.addEventListener('change', (e) => {
-        handleEndpointSelection(endpoint, collectionName, checkbox.checked);
-        
-        // Update parent folders state if needed (optional optimization)
-        // For now we rely on the user to check folders if they want bulk selection
+function createCollectionSnapshot(details) {
+    const endpoints = [];
+    const traverse = (items, folderPath) => (items || []).forEach(item => {
+        if (item.item) {
+            traverse(item.item, [...folderPath, item.name]);
+            return;
+        }
+        const endpoint = parseEndpoint(item);
+        endpoints.push({
+            id: endpoint.id,
+            name: endpoint.name || '',
+            folder: folderPath.join(' / '),
+            method: endpoint.method.toUpperCase(),
+            url: endpoint.url,
+            query: extractQueryParams(endpoint.request).filter(q => q.key && !q.disabled).map(q => q.key),
+            body: getBodySignature(endpoint.request.body),
+            examples: getExampleSignatures(endpoint.response)
+        });
     });
-    
-    return div;
+    traverse(details.item, []);
+    return { takenAt: new Date().toISOString(), endpoints };
 }
 
-function parseEndpoint(item) {
-    const request = item.request || {};
-    const url = typeof request.url === 'string' 
-        ? request.url 
-        : (request.url?.raw || '');
-    
+// Children of a field that was added, removed or changed type are implied and left out
+function diffSignatures(before, after) {
+    const added = Object.keys(after).filter(path => !(path in before));
+    const removed = Object.keys(before).filter(path => !(path in after));
+    const changed = Object.keys(before).filter(path => path in after && before[path] !== after[path]);
+    const parents = [...added, ...removed, ...changed];
+    const isCovered = path => parents.some(parent => parent === '(root)' ? path !== parent : path.startsWith(`${parent}.`) || path.startsWith(`${parent}[]`));
     return {
-        name: item.name,
-        method: request.method || 'GET',
-        path: extractPath(url),
-        url: url,
-        request: request,
-        response: item.response || []
+        added: added.filter(path => !isCovered(path)).map(path => `${path} (${after[path]})`),
+        removed: removed.filter(path => !isCovered(path)),
+        changed: changed.filter(path => !isCovered(path)).map(path => `${path}: ${before[path]} → ${after[path]}`)
     };
 }
 
-function extractEndpointsFromItem(item) {
-    const endpoints = [];
+function describeEndpointChanges(before, after) {
+    const details = [];
+    if (before.method !== after.method) details.push(`method: ${before.method} → ${after.method}`);
+    if (before.url !== after.url) details.push(`URL: ${before.url} → ${after.url}`);
     
-    function traverse(items) {
-        if (!items) return;
-        items.forEach(i => {
-            if (i.request) {
-                endpoints.push(i);
-            }
-            if (i.item) {
-                traverse(i.item);
-            }
-        });
+    const queryAdded = after.query.filter(key => !before.query.includes(key));
+    const queryRemoved = before.query.filter(key => !after.query.includes(key));
+    if (queryAdded.length > 0) details.push(`query params added: ${queryAdded.join(', ')}`);
+    if (queryRemoved.length > 0) details.push(`query params removed: ${queryRemoved.join(', ')}`);
+    
+    const hadBody = Object.keys(before.body).length > 0;
+    const hasBody = Object.keys(after.body).length > 0;
+    if (!hadBody && hasBody) {
+        details.push('request body added');
+    } else if (hadBody && !hasBody) {
+        details.push('request body removed');
+    } else {
+        const body = diffSignatures(before.body, after.body);
+        if (body.added.length > 0) details.push(`body fields added: ${body.added.join(', ')}`);
+        if (body.removed.length > 0) details.push(`body fields removed: ${body.removed.join(', ')}`);
+        if (body.changed.length > 0) details.push(`body field types changed: ${body.changed.join(', ')}`);
     }
     
-    traverse(item.item);
-    return endpoints;
-}
-
-function extractPath(url) {
-    try {
-        if (url.includes('{{')) {
-            // Keep the variable part if it's significant, e.g. {{base_url}}/api/v1/...
-            // The user wants {{base_url}}/v1/user/... shown
-            return url; 
+    const labels = new Set([...Object.keys(before.examples), ...Object.keys(after.examples)]);
+    labels.forEach(label => {
+        if (!before.examples[label]) {
+            details.push(`new example "${label}"`);
+        } else if (!after.examples[label]) {
+            details.push(`example "${label}" removed`);
+        } else {
+            const shape = diffSignatures(before.examples[label], after.examples[label]);
+            if (shape.added.length > 0) details.push(`example "${label}" fields added: ${shape.added.join(', ')}`);
+            if (shape.removed.length > 0) details.push(`example "${label}" fields removed: ${shape.removed.join(', ')}`);
+            if (shape.changed.length > 0) details.push(`example "${label}" field types changed: ${shape.changed.join(', ')}`);
         }
-        const urlObj = new URL(url);
-        return urlObj.pathname;
-    } catch {
-        return url;
-    }
+    });
+    return details;
 }
 
-// Selection Management
-function handleFolderSelection(endpoints, collectionName, isSelected) {
-    playSound(clickSound);
-    
-    endpoints.forEach(item => {
-        const endpoint = parseEndpoint(item);
-        const key = `${collectionName}::${endpoint.path}::${endpoint.method}`;
-        
-        if (isSelected) {
-            state.selectedEndpoints.set(key, { ...endpoint, collectionName });
+// Endpoints are matched by id, then by method and URL, then by folder and name
+function buildChangelog(baseline, current) {
+    const remaining = new Map(baseline.endpoints.map(endpoint => [endpoint.id, endpoint]));
+    const unmatched = [];
+    const pairs = [];
+    current.endpoints.forEach(endpoint => {
+        if (remaining.has(endpoint.id)) {
+            pairs.push([remaining.get(endpoint.id), endpoint]);
+            remaining.delete(endpoint.id);
         } else {
-            state.selectedEndpoints.delete(key);
+            unmatched.push(endpoint);
         }
     });
+    const added = unmatched.filter(endpoint => {
+        const previous = [...remaining.values()].find(old => `${old.method} ${old.url}` === `${endpoint.method} ${endpoint.url}`)
+            || [...remaining.values()].find(old => old.folder === endpoint.folder && old.name === endpoint.name);
+        if (!previous) return true;
+        pairs.push([previous, endpoint]);
+        remaining.delete(previous.id);
+        return false;
+    });
     
-    updateSelectionUI();
-    generateSummary();
+    return {
+        since: baseline.takenAt,
+        added: added.map(endpoint => ({ method: endpoint.method, url: endpoint.url, name: endpoint.name, folder: endpoint.folder })),
+        removed: [...remaining.values()].map(endpoint => ({ method: endpoint.method, url: endpoint.url, name: endpoint.name, folder: endpoint.folder })),
+        changed: pairs
+            .map(([before, after]) => ({ method: after.method, url: after.url, name: after.name, folder: after.folder, details: describeEndpointChanges(before, after) }))
+            .filter(endpoint => endpoint.details.length > 0)
+    };
 }
 
-function handleEndpointSelection(endpoint, collectionName, isSelected) {
-    playSound(clickSound);
-    
-    const key = `${collectionName}::${endpoint.path}::${endpoint.method}`;
-    
-    if (isSelected) {
-        state.selectedEndpoints.set(key, { ...endpoint, collectionName });
+function countChanges(changelog) {
+    return changelog ? changelog.added.length + changelog.removed.length + changelog.changed.length : 0;
+}
+
+// The first snapshot becomes the baseline; later ones are only compared until the report is marked as seen
+async function updateCollectionChangelog(collection) {
+    if (!collection.details || collection.details.error) return null;
+    const current = createCollectionSnapshot(collection.details);
+    const baseline = await readCacheMeta(`snapshot:${collection.uid}`);
+    if (!baseline) {
+        await writeCacheMeta(`snapshot:${collection.uid}`, current);
+        collection.changelog = null;
     } else {
-        state.selectedEndpoints.delete(key);
+        collection.changelog = buildChangelog(baseline, current);
     }
-    
-    updateSelectionUI();
-    generateSummary();
+    updateChangelogBadge(collection);
+    return collection.changelog;
 }
 
-function clearAllSelections() {
-    playSound(clickSound);
-    state.selectedEndpoints.clear();
+async function markChangelogSeen(collection) {
+    if (!collection.details || collection.details.error) return;
+    await writeCacheMeta(`snapshot:${collection.uid}`, createCollectionSnapshot(collection.details));
+    collection.changelog = null;
+    updateChangelogBadge(collection);
+}
+
+function updateChangelogBadge(collection) {
+    const card = [...collectionsContainer.querySelectorAll('.collection-card')].find(c => c.dataset.uid === collection.uid);
+    const badges = card && card.querySelector('.collection-badges');
+    if (!badges) return;
     
-    // Uncheck all checkboxes
-    document.querySelectorAll('.endpoint-checkbox, .folder-checkbox').forEach(cb => {
-        cb.checked = false;
-    });
+    badges.querySelector('.changelog-badge')?.remove();
+    const count = countChanges(collection.changelog);
+    if (count === 0) return;
     
-    updateSelectionUI();
-    generateSummary();
+    const badge = document.createElement('button');
+    badge.className = 'collection-badge changelog-badge';
+    badge.title = `Changed since ${new Date(collection.changelog.since).toLocaleString()}`;
+    badge.textContent = `🆕 ${count} ${count === 1 ? 'change' : 'changes'}`;
+    badge.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openChangelogModal(collection);
+    });
+    badges.prepend(badge);
 }
 
-function updateSelectionUI() {
-    const count = state.selectedEndpoints.size;
-    selectionCount.textContent = `${count} endpoint${count !== 1 ? 's' : ''} selected`;
-    clearSelectionBtn.style.display = count > 0 ? 'block' : 'none';
+function describeChangedEndpoint(endpoint) {
+    const location = [endpoint.folder, endpoint.name].filter(Boolean).join(' / ');
+    return `${endpoint.method} ${endpoint.url}${location ? ` (${location})` : ''}`;
 }
 
-// Summary Generation with improved formatting
-function generateSummary() {
-    if (state.selectedEndpoints.size === 0) {
-        summarySection.style.display = 'none';
-        return;
+function getChangelogText(collection, changelog) {
+    const lines = [
+        `Update our API client for these changes to the "${collection.name}" Postman collection since ${new Date(changelog.since).toLocaleString()}:`,
+        ''
+    ];
+    if (changelog.added.length > 0) {
+        lines.push('New endpoints:', ...changelog.added.map(endpoint => `- ${describeChangedEndpoint(endpoint)}`), '');
     }
+    if (changelog.removed.length > 0) {
+        lines.push('Removed endpoints:', ...changelog.removed.map(endpoint => `- ${describeChangedEndpoint(endpoint)}`), '');
+    }
+    if (changelog.changed.length > 0) {
+        lines.push('Changed endpoints:');
+        changelog.changed.forEach(endpoint => {
+            lines.push(`- ${describeChangedEndpoint(endpoint)}`, ...endpoint.details.map(detail => `  - ${detail}`));
+        });
+        lines.push('');
+    }
+    lines.push('Adjust the request and response models, the API calls and any tests that depend on them.');
+    return lines.join('\n');
+}
+
+let changelogCollection = null;
+
+function openChangelogModal(collection) {
+    playSound(clickSound);
+    changelogCollection = collection;
+    const changelog = collection.changelog;
+    changelogTitle.textContent = `🆕 ${collection.name}`;
+    changelogContent.innerHTML = '';
     
-    summarySection.style.display = 'block';
-    
-    // Update stats
-    const countEl = document.getElementById('summaryEndpointCount');
-    if (countEl) countEl.textContent = state.selectedEndpoints.size;
-    
-    summaryContent.innerHTML = '';
+    const since = document.createElement('p');
+    since.className = 'input-hint';
+    since.textContent = `Changes since ${new Date(changelog.since).toLocaleString()}`;
+    changelogContent.appendChild(since);
     
-    state.selectedEndpoints.forEach((endpoint, key) => {
-        const endpointSummary = createCollapsibleEndpointSummary(endpoint);
-        summaryContent.appendChild(endpointSummary);
+    [
+        ['New endpoints', 'added', changelog.added],
+        ['Removed endpoints', 'removed', changelog.removed],
+        ['Changed endpoints', 'changed', changelog.changed]
+    ].forEach(([title, kind, endpoints]) => {
+        if (endpoints.length === 0) return;
+        const section = document.createElement('div');
+        section.className = `changelog-section changelog-${kind}`;
+        section.innerHTML = `
+            <h4>${title} (${endpoints.length})</h4>
+            <ul>
+                ${endpoints.map(endpoint => `
+                    <li>
+                        <span class="endpoint-method method-${escapeHtml(endpoint.method.toLowerCase())}">${escapeHtml(endpoint.method)}</span>
+                        <code>${escapeHtml(endpoint.url)}</code>
+                        <span class="changelog-location">${escapeHtml([endpoint.folder, endpoint.name].filter(Boolean).join(' / '))}</span>
+                        ${endpoint.details ? `<ul>${endpoint.details.map(detail => `<li>${escapeHtml(detail)}</li>`).join('')}</ul>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+        changelogContent.appendChild(section);
     });
+    changelogModal.classList.add('active');
 }
 
-function createCollapsibleEndpointSummary(endpoint) {
-    const details = document.createElement('details');
-    details.className = 'summary-item-card';
-    details.open = true;
-    
-    const summary = document.createElement('summary');
-    summary.className = 'card-header';
-    
-    const methodClass = `method-${endpoint.method.toLowerCase()}`;
-    summary.innerHTML = `
-        <div class="header-layout">
-            <div class="header-main">
-                <span class="method-badge ${methodClass}">${endpoint.method}</span>
-                <span class="card-url" title="${endpoint.url}">${endpoint.url}</span>
-            </div>
-            <div class="header-meta">
-                <span class="chevron-icon">▾</span>
-            </div>
-        </div>
-    `;
-    
-    const body = document.createElement('div');
-    body.className = 'card-body';
-    
-    // Query Parameters
-    const queryParams = extractQueryParams(endpoint.request);
-    if (queryParams.length > 0) {
-        body.appendChild(createInfoBlock('🔍 Query Parameters', createQueryGrid(queryParams), true));
-    }
-    
-    // Request Body
-    if (endpoint.request && endpoint.request.body && endpoint.request.body.mode) {
-        const bodyContent = formatRequestBody(endpoint.request.body);
-        if (bodyContent.trim().length > 0) {
-            body.appendChild(createInfoBlock('📦 Request Body', createCodeBlock(bodyContent, 'JSON'), true));
-        }
+function closeChangelogModal() {
+    changelogModal.classList.remove('active');
+    changelogCollection = null;
+}
+
+async function copyChangelogPrompt() {
+    if (!changelogCollection || !changelogCollection.changelog) return;
+    try {
+        await navigator.clipboard.writeText(getChangelogText(changelogCollection, changelogCollection.changelog));
+        playSound(successSound);
+        showToast('Changelog prompt copied', 'success');
+    } catch (error) {
+        showToast('Failed to copy', 'error');
+    }
+}
+
+async function markOpenChangelogSeen() {
+    if (!changelogCollection) return;
+    await markChangelogSeen(changelogCollection);
+    closeChangelogModal();
+    showToast('Changes marked as seen', 'success');
+}
+
+// Changed collections that were seen before are fetched right away so the sync can report them,
+// fetching already updates the changelog and loaded details were compared by loadCollections
+async function detectCollectionChanges() {
+    const tracked = await Promise.all(state.collections.map(async collection => {
+        if (!collection.details && !(await readCacheMeta(`snapshot:${collection.uid}`))) return null;
+        await ensureCollectionDetails(collection);
+        return countChanges(collection.changelog) > 0 ? collection : null;
+    }));
+    return tracked.filter(Boolean);
+}
+
+// Collection Lint: per-endpoint checks for how ready a collection is to hand to app developers
+const LINT_RULES_KEY = 'postman_lint_rules';
+const LINT_RULES = [
+    { id: 'examples', label: 'No saved examples' },
+    { id: 'description', label: 'No description' },
+    { id: 'host', label: 'Hardcoded host' },
+    { id: 'duplicate', label: 'Duplicate method and path' },
+    { id: 'naming', label: 'Inconsistent path naming' },
+    { id: 'trailing-slash', label: 'Trailing slash' },
+    { id: 'secret', label: 'Secret in a header' },
+    { id: 'json', label: 'Unparseable JSON body' }
+];
+const PATH_SEGMENT_STYLES = {
+    kebab: 'kebab-case',
+    snake: 'snake_case',
+    camel: 'camelCase'
+};
+
+function readLintRules() {
+    const defaults = Object.fromEntries(LINT_RULES.map(rule => [rule.id, true]));
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(LINT_RULES_KEY) || '{}') };
+    } catch {
+        return defaults;
+    }
+}
+
+// Path without scheme, host or a leading {{base_url}}-style variable
+function getRoutePath(url) {
+    const path = String(url || '').split(/[?#]/)[0].trim()
+        .replace(/^https?:\/\/[^/]*/i, '')
+        .replace(/^\{\{[^{}]+\}\}/, '')
+        .replace(/^[\w.-]+\.[a-z]{2,}(:\d+)?(?=\/|$)/i, '');
+    return path || '/';
+}
+
+function getHardcodedHost(url) {
+    const match = String(url || '').trim().match(/^(?:https?:\/\/)?((?:localhost|[\w-]+(?:\.[\w-]+)+)(?::\d+)?)(?=[/?#]|$)/i);
+    return match && !match[1].includes('{{') ? match[1] : null;
+}
+
+// Path parameters in any notation compare equal, so /orders/:id and /orders/{{id}} are the same route
+function getRouteKey(method, url) {
+    const path = getRoutePath(url)
+        .split('/')
+        .map(segment => /^(:.+|\{\{[^{}]+\}\}|\{[^{}]+\})$/.test(segment) ? '{}' : segment)
+        .join('/')
+        .replace(/\/+$/, '');
+    return `${method.toUpperCase()} ${path || '/'}`;
+}
+
+// Only words outside parameters and versions say something about the naming style
+function getSegmentStyle(segment) {
+    if (!segment || /[:{}]|^v\d+$|^\d+$/i.test(segment)) return null;
+    if (segment.includes('-')) return 'kebab';
+    if (segment.includes('_')) return 'snake';
+    if (/[A-Z]/.test(segment)) return 'camel';
+    return null;
+}
+
+// Variables stand for values, so {"amount": {{amount}}} still counts as JSON
+function getJsonError(text) {
+    try {
+        JSON.parse(String(text).replace(/\{\{[^{}]+\}\}/g, '1'));
+        return null;
+    } catch (error) {
+        return error.message;
     }
+}
+
+function looksLikeJson(text) {
+    return /^\s*[{[]/.test(String(text || ''));
+}
+
+function lintEndpoint(endpoint, rules) {
+    const issues = [];
+    const add = (rule, message) => issues.push({ rule, message });
+    const request = endpoint.request;
     
-    // Response Example (Iterate all saved responses)
-    if (endpoint.response && endpoint.response.length > 0) {
-        endpoint.response.forEach((response, index) => {
-            if (response.body) {
-                let formattedBody = response.body;
-                try {
-                    formattedBody = JSON.stringify(JSON.parse(response.body), null, 2);
-                } catch {}
-                
-                const title = `📥 Response Example ${endpoint.response.length > 1 ? (index + 1) : ''} (${response.name || 'Success'})`;
-                body.appendChild(createInfoBlock(title, createCodeBlock(formattedBody, 'JSON'), true));
-            }
+    if (rules.examples && endpoint.response.length === 0) {
+        add('examples', 'No saved response examples');
+    }
+    if (rules.description && !getDescriptionText(request.description).trim()) {
+        add('description', 'No description');
+    }
+    const host = rules.host && getHardcodedHost(endpoint.url);
+    if (host) {
+        add('host', `Hardcoded host ${host}, use a variable such as {{base_url}}`);
+    }
+    if (rules['trailing-slash'] && /.\/$/.test(getRoutePath(endpoint.url))) {
+        add('trailing-slash', `Path ends with a slash: ${getRoutePath(endpoint.url)}`);
+    }
+    if (rules.secret) {
+        (request.header || [])
+            .filter(h => h.key && !h.disabled && SECRET_HEADER_PATTERN.test(h.key) && String(h.value || '').trim())
+            .filter(h => maskSecretValue(h.value, 'secret') !== String(h.value).trim())
+            .forEach(h => add('secret', `Header ${h.key} holds a literal value, use a variable`));
+    }
+    if (rules.json) {
+        const body = request.body;
+        const declaredJson = body && body.mode === 'raw' && (getRawLanguage(body) === 'json' || (!getRawLanguage(body) && looksLikeJson(body.raw)));
+        const bodyError = declaredJson && String(body.raw || '').trim() ? getJsonError(body.raw) : null;
+        if (bodyError) add('json', `Request body is not valid JSON: ${bodyError}`);
+        
+        endpoint.response.forEach(response => {
+            const isJson = response._postman_previewlanguage === 'json' || getExampleContentType(response).includes('json') || looksLikeJson(response.body);
+            const exampleError = isJson && String(response.body || '').trim() ? getJsonError(response.body) : null;
+            if (exampleError) add('json', `Example "${response.name || response.code || 'Example'}" body is not valid JSON: ${exampleError}`);
         });
     }
-    
-    // Try It Out Block
-    body.appendChild(createTryItBlock(endpoint));
-    
-    details.appendChild(summary);
-    details.appendChild(body);
-    
-    return details;
+    return issues;
 }
 
-function createInfoBlock(title, contentElement, showCopy = false) {
-    const block = document.createElement('div');
-    block.className = 'info-block';
-    
-    const header = document.createElement('div');
-    header.className = 'block-header';
+// Score: the share of endpoint and enabled rule pairs without an issue
+function lintCollection(details, rules = readLintRules()) {
+    const endpoints = [];
+    const traverse = (items, folderPath) => (items || []).forEach(item => {
+        if (item.item) {
+            traverse(item.item, [...folderPath, item.name]);
+        } else if (item.request) {
+            endpoints.push({ endpoint: parseEndpoint(item), folder: folderPath.join(' / ') });
+        }
+    });
+    traverse(details && !details.error ? details.item : [], []);
     
-    header.innerHTML = `<span class="block-title">${title}</span>`;
+    const issues = [];
+    const addIssue = ({ endpoint, folder }, issue) => issues.push({
+        ...issue,
+        id: endpoint.id,
+        name: endpoint.name || '',
+        method: endpoint.method.toUpperCase(),
+        path: getRoutePath(endpoint.url),
+        folder
+    });
+    endpoints.forEach(entry => lintEndpoint(entry.endpoint, rules).forEach(issue => addIssue(entry, issue)));
     
-    if (showCopy) {
-        const copyBtn = document.createElement('button');
-        copyBtn.className = 'btn-copy-small';
-        copyBtn.textContent = 'Copy';
-        copyBtn.onclick = (e) => {
-            e.stopPropagation();
-            const textToCopy = contentElement.innerText;
-            navigator.clipboard.writeText(textToCopy).then(() => {
-                copyBtn.textContent = 'Copied!';
-                playSound(successSound);
-                setTimeout(() => copyBtn.textContent = 'Copy', 2000);
+    if (rules.duplicate) {
+        const routes = new Map();
+        endpoints.forEach(entry => {
+            const key = getRouteKey(entry.endpoint.method, entry.endpoint.url);
+            if (!routes.has(key)) routes.set(key, []);
+            routes.get(key).push(entry);
+        });
+        routes.forEach((entries, key) => {
+            if (entries.length < 2) return;
+            entries.forEach(entry => {
+                const others = entries.filter(other => other !== entry).map(other => `"${other.endpoint.name}"`).join(', ');
+                addIssue(entry, { rule: 'duplicate', message: `${key} is also defined by ${others}` });
             });
-        };
-        header.appendChild(copyBtn);
+        });
     }
     
-    const content = document.createElement('div');
-    content.className = 'block-content';
-    content.appendChild(contentElement);
+    if (rules.naming) {
+        const counts = {};
+        endpoints.forEach(entry => getRoutePath(entry.endpoint.url).split('/').map(getSegmentStyle).filter(Boolean)
+            .forEach(style => counts[style] = (counts[style] || 0) + 1));
+        const dominant = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+        endpoints.forEach(entry => {
+            const segment = getRoutePath(entry.endpoint.url).split('/').find(part => {
+                const style = getSegmentStyle(part);
+                return style && style !== dominant;
+            });
+            if (segment) {
+                addIssue(entry, {
+                    rule: 'naming',
+                    message: `"${segment}" is ${PATH_SEGMENT_STYLES[getSegmentStyle(segment)]}, most paths use ${PATH_SEGMENT_STYLES[dominant]}`
+                });
+            }
+        });
+    }
     
-    block.appendChild(header);
-    block.appendChild(content);
-    return block;
+    const enabledCount = LINT_RULES.filter(rule => rules[rule.id]).length;
+    const failed = new Set(issues.map(issue => `${issue.id}::${issue.rule}`)).size;
+    const checks = endpoints.length * enabledCount;
+    return {
+        endpointCount: endpoints.length,
+        score: checks > 0 ? Math.round(100 * (1 - failed / checks)) : 100,
+        issues
+    };
 }
 
-function createQueryGrid(params) {
-    const grid = document.createElement('div');
-    grid.className = 'query-grid';
+function getLintScoreClass(score) {
+    return score >= 90 ? 'good' : score >= 70 ? 'fair' : 'poor';
+}
+
+function updateLintBadge(card, collection) {
+    const badges = card.querySelector('.collection-badges');
+    if (!badges) return;
+    badges.querySelector('.lint-badge')?.remove();
+    if (!collection.details || collection.details.error) return;
     
-    params.forEach(param => {
-        const item = document.createElement('div');
-        item.className = 'query-item';
-        item.innerHTML = `
-            <span class="query-key">${param.key}</span>
-            <span class="query-value">${param.value || param.description || '<span class="optional-hint">(optional)</span>'}</span>
-        `;
-        grid.appendChild(item);
+    const report = lintCollection(collection.details);
+    const badge = document.createElement('button');
+    badge.className = `collection-badge lint-badge ${getLintScoreClass(report.score)}`;
+    badge.title = `Quality score, ${report.issues.length} ${report.issues.length === 1 ? 'issue' : 'issues'}. Click for the report.`;
+    badge.textContent = `🩺 ${report.score}`;
+    badge.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openLintModal(collection);
     });
-    
-    return grid;
+    badges.appendChild(badge);
 }
 
-function createCodeBlock(code, lang) {
-    const pre = document.createElement('pre');
-    pre.className = 'code-wrapper';
-    pre.setAttribute('data-lang', lang);
-    pre.textContent = code;
-    return pre;
+let lintCollectionShown = null;
+
+function openLintModal(collection) {
+    playSound(clickSound);
+    lintCollectionShown = collection;
+    renderLintReport();
+    lintModal.classList.add('active');
 }
 
-function getSummaryText() {
-    let text = '';
-    state.selectedEndpoints.forEach((endpoint) => {
-        text += `║ ENDPOINT: ${endpoint.url}\n`;
-        text += `║ METHOD: ${endpoint.method.toUpperCase()}\n\n`;
-        
-        const queryParams = extractQueryParams(endpoint.request);
-        if (queryParams.length > 0) {
-            text += `🔍 Query Parameters:\n`;
-            queryParams.forEach(param => {
-                text += `   • ${param.key}: ${param.value || param.description || '(optional)'}\n`;
-            });
-            text += '\n';
-        }
-        
-        if (endpoint.request && endpoint.request.body && endpoint.request.body.mode) {
-            const bodyContent = formatRequestBody(endpoint.request.body);
-            if (bodyContent.trim().length > 0) {
-                text += `📦 Request Body:\n`;
-                text += bodyContent + '\n\n';
-            }
-        }
-        
-        if (endpoint.response && endpoint.response.length > 0) {
-            endpoint.response.forEach((response, index) => {
-                if (response.body) {
-                    text += `📥 Response Example ${endpoint.response.length > 1 ? (index + 1) : ''} (${response.name || 'Success'}):\n`;
-                    try {
-                        text += JSON.stringify(JSON.parse(response.body), null, 2) + '\n';
-                    } catch {
-                        text += response.body + '\n';
-                    }
-                    text += '\n';
-                }
+function closeLintModal() {
+    lintModal.classList.remove('active');
+    lintCollectionShown = null;
+}
+
+function renderLintReport() {
+    const collection = lintCollectionShown;
+    const rules = readLintRules();
+    const report = lintCollection(collection.details, rules);
+    lintTitle.textContent = `🩺 ${collection.name}`;
+    
+    lintContent.innerHTML = `
+        <div class="lint-summary">
+            <span class="lint-score ${getLintScoreClass(report.score)}">${report.score}</span>
+            <span>${report.issues.length} ${report.issues.length === 1 ? 'issue' : 'issues'} across ${report.endpointCount} endpoints</span>
+        </div>
+        <details class="lint-rules">
+            <summary>Rules</summary>
+            ${LINT_RULES.map(rule => `
+                <label class="checkbox-label">
+                    <input type="checkbox" data-rule="${rule.id}" ${rules[rule.id] ? 'checked' : ''}> ${escapeHtml(rule.label)}
+                </label>
+            `).join('')}
+        </details>
+    `;
+    lintContent.querySelectorAll('[data-rule]').forEach(input => {
+        input.addEventListener('change', () => {
+            localStorage.setItem(LINT_RULES_KEY, JSON.stringify({ ...readLintRules(), [input.dataset.rule]: input.checked }));
+            renderLintReport();
+            lintContent.querySelector('.lint-rules').open = true;
+            collectionsContainer.querySelectorAll('.collection-card').forEach(card => {
+                const shown = state.collections.find(c => c.uid === card.dataset.uid);
+                if (shown) updateLintBadge(card, shown);
             });
-        }
-        text += '═'.repeat(80) + '\n\n';
+        });
+    });
+    
+    LINT_RULES.forEach(rule => {
+        const issues = report.issues.filter(issue => issue.rule === rule.id);
+        if (issues.length === 0) return;
+        const section = document.createElement('div');
+        section.className = 'lint-section';
+        section.innerHTML = `<h4>${escapeHtml(rule.label)} (${issues.length})</h4>`;
+        const list = document.createElement('ul');
+        issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.innerHTML = `
+                <button class="lint-issue" type="button" title="Show in the folder tree">
+                    <span class="endpoint-method method-${escapeHtml(issue.method.toLowerCase())}">${escapeHtml(issue.method)}</span>
+                    <span class="lint-issue-name">${escapeHtml([issue.folder, issue.name].filter(Boolean).join(' / '))}</span>
+                    <span class="lint-issue-message">${escapeHtml(issue.message)}</span>
+                </button>
+            `;
+            item.querySelector('.lint-issue').addEventListener('click', () => revealEndpoint(collection, issue.id));
+            list.appendChild(item);
+        });
+        section.appendChild(list);
+        lintContent.appendChild(section);
     });
-    return text;
 }
 
-function extractQueryParams(request) {
-    const params = [];
-    
-    if (request && request.url && request.url.query) {
-        params.push(...request.url.query);
+// Set before the tree renders, then scrolled into view by renderFolderTree()
+let pendingReveal = null;
+
+function revealEndpoint(collection, endpointId) {
+    closeLintModal();
+    pendingReveal = { uid: collection.uid, id: endpointId };
+    if (getHashCollectionUid() === collection.uid) {
+        showCollectionDetail(collection, false);
+    } else {
+        showCollectionDetail(collection);
     }
+}
+
+function revealPendingEndpoint() {
+    if (!pendingReveal || !state.currentCollection || state.currentCollection.uid !== pendingReveal.uid) return;
+    const element = [...folderTreeContainer.querySelectorAll('.endpoint-item')].find(item => item.dataset.id === pendingReveal.id);
+    pendingReveal = null;
+    if (!element) return;
     
-    return params;
+    for (let folder = element.closest('.folder-item'); folder; folder = folder.parentElement.closest('.folder-item')) {
+        folder.classList.add('expanded');
+    }
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    element.classList.add('revealed');
+    setTimeout(() => element.classList.remove('revealed'), 2000);
 }
 
-function extractPathVariables(request) {
-    // User didn't ask for this specifically to be hidden or shown, but implied "no need others".
-    // I'll skip displaying them separately to keep it clean as requested.
-    return [];
+// Local Collections (offline import)
+function readLocalCollections() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(LOCAL_COLLECTIONS_KEY) || '[]');
+        return Array.isArray(saved) ? saved.map(c => ({ ...c, details: indexItemFolders(c.details), isLocal: true })) : [];
+    } catch {
+        return [];
+    }
 }
 
-function formatRequestBody(body) {
-    let output = '';
+function saveLocalCollections() {
+    try {
+        localStorage.setItem(LOCAL_COLLECTIONS_KEY, JSON.stringify(state.localCollections));
+        return true;
+    } catch (error) {
+        console.error('Error saving local collections:', error);
+        showToast('Storage full: imported collections will not survive a reload', 'error');
+        return false;
+    }
+}
+
+function getCollectionSchemaVersion(collection) {
+    const schema = collection?.info?.schema || '';
+    const match = schema.match(/collection\/(v\d+\.\d+\.\d+)\//);
+    return match ? match[1] : null;
+}
+
+// FNV-1a, enough to tell imported collections apart
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function parseCollectionFile(text, fileName) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch {
+        throw new Error(`${fileName}: not valid JSON`);
+    }
     
-    if (body.mode === 'raw') {
-        try {
-            const parsed = JSON.parse(body.raw);
-            output += JSON.stringify(parsed, null, 2);
-        } catch {
-            output += body.raw || '';
+    // Collections downloaded through the API are wrapped in { collection: {...} }
+    const collection = json && json.collection && json.collection.info ? json.collection : json;
+    
+    if (!collection || typeof collection !== 'object' || !collection.info) {
+        if (collection && Array.isArray(collection.requests)) {
+            throw new Error(`${fileName}: Postman v1 collections are not supported, re-export as v2.1`);
         }
-    } else if (body.mode === 'formdata') {
-        body.formdata?.forEach(item => {
-            output += `   • ${item.key}: ${item.value || item.src || '(file)'}\n`;
-        });
-    } else if (body.mode === 'urlencoded') {
-        body.urlencoded?.forEach(item => {
-            output += `   • ${item.key}: ${item.value}\n`;
-        });
+        throw new Error(`${fileName}: not a Postman collection`);
     }
     
-    return output;
+    const schemaVersion = getCollectionSchemaVersion(collection);
+    if (!SUPPORTED_COLLECTION_SCHEMAS.includes(schemaVersion)) {
+        throw new Error(`${fileName}: unsupported schema ${schemaVersion || '(missing)'}, expected v2.0 or v2.1`);
+    }
+    
+    if (!Array.isArray(collection.item)) {
+        throw new Error(`${fileName}: collection has no items`);
+    }
+    
+    // Without a _postman_id the same file still gets the same id, so importing it again replaces it
+    const id = collection.info._postman_id || `${slugify(collection.info.name) || 'collection'}-${hashString(JSON.stringify(collection.item))}`;
+    
+    return {
+        uid: `local-${id}`,
+        name: collection.info.name || fileName,
+        description: typeof collection.info.description === 'string'
+            ? collection.info.description
+            : (collection.info.description?.content || ''),
+        details: indexItemFolders(collection),
+        isLocal: true,
+        fileName,
+        schemaVersion,
+        importedAt: new Date().toISOString()
+    };
 }
 
-function createTryItBlock(endpoint) {
-    const block = document.createElement('div');
-    block.className = 'info-block try-it-container';
+async function importCollectionFiles(fileList) {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
     
-    const header = document.createElement('div');
-    header.className = 'block-header';
-    header.innerHTML = `<span class="block-title">🚀 Try it Out</span>`;
+    const imported = [];
+    const errors = [];
     
-    const content = document.createElement('div');
-    content.className = 'block-content try-it-content';
+    const importedEnvironments = [];
     
-    // URL input
-    const urlGroup = document.createElement('div');
-    urlGroup.className = 'try-it-group';
-    let defaultUrl = endpoint.url;
-    urlGroup.innerHTML = `
-        <label>URL</label>
-        <input type="text" class="try-it-input try-it-url" value="${escapeHtml(defaultUrl)}">
-    `;
-    content.appendChild(urlGroup);
+    for (const file of files) {
+        try {
+            const text = await file.text();
+            const environment = parseEnvironmentFile(text, file.name);
+            if (environment) {
+                importedEnvironments.push(environment);
+            } else {
+                imported.push(parseCollectionFile(text, file.name));
+            }
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
     
-    // Request Headers
-    const headersGroup = document.createElement('div');
-    headersGroup.className = 'try-it-group';
-    let headersContent = '';
-    if (endpoint.request && endpoint.request.header && endpoint.request.header.length > 0) {
-        endpoint.request.header.forEach(h => {
-             headersContent += `${h.key}: ${h.value}\n`;
+    if (importedEnvironments.length > 0) {
+        const localEnvironments = readLocalEnvironments();
+        importedEnvironments.forEach(environment => {
+            const index = localEnvironments.findIndex(e => e.uid === environment.uid);
+            if (index >= 0) {
+                localEnvironments[index] = environment;
+            } else {
+                localEnvironments.push(environment);
+            }
         });
+        saveLocalEnvironments(localEnvironments);
+        if (imported.length === 0) await loadEnvironments();
     }
-    if (!headersContent.includes('Content-Type') && endpoint.method !== 'GET' && endpoint.method !== 'DELETE') {
-        headersContent += 'Content-Type: application/json\n';
-    }
-    
-    headersGroup.innerHTML = `
-        <label>Headers (one per line, format: Key: Value)</label>
-        <textarea class="try-it-textarea try-it-headers" rows="3" placeholder="Content-Type: application/json">${escapeHtml(headersContent.trim())}</textarea>
-    `;
-    content.appendChild(headersGroup);
     
-    // Request Body (if not GET)
-    let bodyInput = null;
-    if (endpoint.method !== 'GET') {
-        const bodyGroup = document.createElement('div');
-        bodyGroup.className = 'try-it-group';
-        let defaultBody = '';
-        if (endpoint.request && endpoint.request.body && endpoint.request.body.mode) {
-           defaultBody = formatRequestBody(endpoint.request.body).trim();
-        }
-        bodyGroup.innerHTML = `
-            <label>Request Body</label>
-            <textarea class="try-it-textarea try-it-body" rows="5" placeholder="{ }">${escapeHtml(defaultBody)}</textarea>
-        `;
-        content.appendChild(bodyGroup);
-        bodyInput = bodyGroup.querySelector('.try-it-body');
+    if (imported.length > 0) {
+        // Re-importing a collection replaces the previous copy
+        imported.forEach(collection => {
+            const index = state.localCollections.findIndex(c => c.uid === collection.uid);
+            if (index >= 0) {
+                state.localCollections[index] = collection;
+            } else {
+                state.localCollections.push(collection);
+            }
+        });
+        saveLocalCollections();
+        updateOpenLocalButton();
+        
+        if (!mainScreen.classList.contains('active')) {
+            showMainScreen();
+        }
+        await loadCollections();
+        playSound(successSound);
     }
     
-    // Action Buttons
-    const actionGroup = document.createElement('div');
-    actionGroup.className = 'try-it-actions';
+    if (errors.length > 0) {
+        console.error('Collection import errors:', errors);
+        showToast(errors.length === 1 ? errors[0] : `${errors.length} files could not be imported`, 'error');
+    } else if (imported.length > 0) {
+        showToast(`Imported ${imported.length} collection${imported.length !== 1 ? 's' : ''}`, 'success');
+    } else if (importedEnvironments.length > 0) {
+        showToast(`Imported ${importedEnvironments.length} environment${importedEnvironments.length !== 1 ? 's' : ''}`, 'success');
+    }
+}
+
+function removeLocalCollection(uid) {
+    playSound(clickSound);
+    const collection = state.localCollections.find(c => c.uid === uid);
+    if (!collection || !confirm(`Remove imported collection "${collection.name}"?`)) return;
     
-    const sendBtn = document.createElement('button');
-    sendBtn.className = 'btn btn-primary try-it-btn';
-    sendBtn.innerHTML = `<span class="btn-text">Send Request</span><span class="btn-loader"></span>`;
+    state.localCollections = state.localCollections.filter(c => c.uid !== uid);
+    state.collections = state.collections.filter(c => c.uid !== uid);
+    state.filteredCollections = state.filteredCollections.filter(c => c.uid !== uid);
+    saveLocalCollections();
+    updateOpenLocalButton();
+    renderCollections();
+    showToast('Imported collection removed', 'success');
+}
+
+function openFilePicker() {
+    playSound(clickSound);
+    collectionFileInput.click();
+}
+
+function enterOfflineMode() {
+    playSound(clickSound);
+    showMainScreen();
+    loadCollections();
+}
+
+function updateOpenLocalButton() {
+    const count = state.localCollections.length;
+    openLocalBtn.style.display = count > 0 ? 'block' : 'none';
+    openLocalBtn.textContent = `Open ${count} imported collection${count !== 1 ? 's' : ''}`;
+}
+
+function attachDropListeners() {
+    let dragDepth = 0;
+    const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
     
-    actionGroup.appendChild(sendBtn);
-    content.appendChild(actionGroup);
+    document.addEventListener('dragenter', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth++;
+        dropOverlay.classList.add('active');
+    });
+    document.addEventListener('dragover', (e) => {
+        if (hasFiles(e)) e.preventDefault();
+    });
+    document.addEventListener('dragleave', (e) => {
+        if (!hasFiles(e)) return;
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) dropOverlay.classList.remove('active');
+    });
+    document.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth = 0;
+        dropOverlay.classList.remove('active');
+        importCollectionFiles(e.dataTransfer.files);
+    });
+}
+
+// Environments
+function readLocalEnvironments() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(LOCAL_ENVIRONMENTS_KEY) || '[]');
+        return Array.isArray(saved) ? saved : [];
+    } catch {
+        return [];
+    }
+}
+
+function saveLocalEnvironments(environments) {
+    try {
+        localStorage.setItem(LOCAL_ENVIRONMENTS_KEY, JSON.stringify(environments));
+    } catch (error) {
+        console.error('Error saving local environments:', error);
+        showToast('Storage full: imported environments will not survive a reload', 'error');
+    }
+}
+
+function parseEnvironmentFile(text, fileName) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch {
+        return null; // Reported by parseCollectionFile
+    }
+    
+    // Postman exports mark the scope, the API wraps the environment in { environment }
+    const isWrapped = !!(json && json.environment && typeof json.environment === 'object');
+    const environment = isWrapped ? json.environment : json;
+    const isEnvironment = environment && Array.isArray(environment.values) &&
+        (isWrapped || environment._postman_variable_scope === 'environment');
+    if (!isEnvironment) return null;
+    
+    // Re-importing the same file replaces the earlier copy instead of adding another
+    const id = environment.id || environment.uid ||
+        `${slugify(environment.name || fileName) || 'environment'}-${hashString(JSON.stringify(environment.values))}`;
+    return {
+        uid: `local-${id}`,
+        name: environment.name || fileName,
+        values: environment.values,
+        isLocal: true
+    };
+}
+
+async function loadEnvironments() {
+    const localEnvironments = readLocalEnvironments();
+    let remoteEnvironments = [];
+    
+    if (state.apiKey) {
+        try {
+            const response = await fetch('https://api.getpostman.com/environments', {
+                headers: {
+                    'X-Api-Key': state.apiKey
+                }
+            });
+            if (!response.ok) throw new Error(`HTTP Error ${response.status}`);
+            const data = await response.json();
+            remoteEnvironments = data.environments || [];
+        } catch (error) {
+            console.error('Error loading environments:', error);
+        }
+    }
+    
+    state.environments = [...remoteEnvironments, ...localEnvironments];
+    renderEnvironmentSelect();
+    
+    const savedUid = localStorage.getItem(ACTIVE_ENVIRONMENT_KEY);
+    if (savedUid && state.environments.some(e => e.uid === savedUid)) {
+        await selectEnvironment(savedUid, false);
+    } else {
+        state.activeEnvironment = null;
+        environmentSelect.value = '';
+    }
+}
+
+async function loadEnvironmentDetails(environmentId) {
+    try {
+        const response = await fetch(`https://api.getpostman.com/environments/${environmentId}`, {
+            headers: {
+                'X-Api-Key': state.apiKey
+            }
+        });
+        
+        if (!response.ok) {
+            const errData = await response.json().catch(() => ({}));
+            throw new Error(errData.error?.message || `HTTP Error ${response.status}`);
+        }
+        
+        const data = await response.json();
+        return data.environment;
+    } catch (error) {
+        console.error('Error loading environment details:', error);
+        return { error: error.message };
+    }
+}
+
+function renderEnvironmentSelect() {
+    environmentSelect.innerHTML = '<option value="">No Environment</option>';
+    state.environments.forEach(environment => {
+        const option = document.createElement('option');
+        option.value = environment.uid;
+        option.textContent = environment.isLocal ? `${environment.name} (local)` : environment.name;
+        environmentSelect.appendChild(option);
+    });
+    environmentSelect.style.display = state.environments.length > 0 ? 'block' : 'none';
+}
+
+async function selectEnvironment(uid, notify = true) {
+    environmentSelect.value = uid;
+    
+    if (!uid) {
+        state.activeEnvironment = null;
+        localStorage.removeItem(ACTIVE_ENVIRONMENT_KEY);
+        generateSummary();
+        return;
+    }
+    
+    const environment = state.environments.find(e => e.uid === uid);
+    if (!environment) return;
+    
+    if (!environment.values) {
+        const details = await loadEnvironmentDetails(uid);
+        if (details.error) {
+            showToast(`Failed to load environment: ${details.error}`, 'error');
+            environmentSelect.value = state.activeEnvironment ? state.activeEnvironment.uid : '';
+            return;
+        }
+        environment.values = details.values || [];
+    }
+    
+    state.activeEnvironment = environment;
+    localStorage.setItem(ACTIVE_ENVIRONMENT_KEY, uid);
+    generateSummary();
+    if (notify) showToast(`Environment: ${environment.name}`, 'success');
+}
+
+// Variables
+function toVariableMap(entries, isEnabled = v => !v.disabled) {
+    const vars = {};
+    (entries || []).forEach(v => {
+        if (v && v.key && isEnabled(v)) vars[v.key] = v.value ?? '';
+    });
+    return vars;
+}
+
+// Folder variables override collection variables, innermost folder wins
+function getScopedVariables(collection, ancestors = []) {
+    const details = collection?.details;
+    if (!details || details.error) return {};
+    
+    return ancestors.reduce(
+        (vars, folder) => ({ ...vars, ...toVariableMap(folder.variable) }),
+        toVariableMap(details.variable)
+    );
+}
+
+function getVariableContext(endpoint) {
+    const environmentVars = state.activeEnvironment
+        ? toVariableMap(state.activeEnvironment.values, v => v.enabled !== false)
+        : {};
+    return { ...(endpoint.variables || {}), ...environmentVars };
+}
+
+function resolveVariables(text, vars) {
+    if (typeof text !== 'string' || !text.includes('{{')) return text;
+    
+    let result = text;
+    // Values can reference other variables, stop after a few passes to avoid cycles
+    for (let pass = 0; pass < 5 && result.includes('{{'); pass++) {
+        const next = result.replace(VARIABLE_PATTERN, (match, name) =>
+            Object.prototype.hasOwnProperty.call(vars, name) ? String(vars[name]) : match
+        );
+        if (next === result) break;
+        result = next;
+    }
+    return result;
+}
+
+function findUnresolvedVariables(text) {
+    if (typeof text !== 'string') return [];
+    return [...new Set([...text.matchAll(VARIABLE_PATTERN)].map(m => m[1]))];
+}
+
+// Applies the selected variable mode to text shown in the summary
+function applyVariables(text, endpoint) {
+    if (state.variableMode !== 'resolve') return text;
+    return resolveVariables(text, getVariableContext(endpoint));
+}
+
+function getUsedVariables(endpoint) {
+    const vars = getVariableContext(endpoint);
+    const texts = [endpoint.url];
+    extractQueryParams(endpoint.request).forEach(p => texts.push(p.value));
+    (endpoint.request?.header || []).forEach(h => texts.push(h.value));
+    if (endpoint.request?.body?.mode) texts.push(formatRequestBody(endpoint.request.body));
+    
+    const names = new Set();
+    texts.forEach(text => findUnresolvedVariables(text).forEach(name => names.add(name)));
+    
+    return [...names].map(name => ({
+        key: name,
+        value: Object.prototype.hasOwnProperty.call(vars, name) ? resolveVariables(String(vars[name]), vars) : undefined
+    }));
+}
+
+// Auth
+const SESSION_CREDENTIALS_KEY = 'postman_session_credentials';
+
+const AUTH_TYPE_LABELS = {
+    bearer: 'Bearer token',
+    basic: 'Basic auth',
+    apikey: 'API key',
+    oauth2: 'OAuth 2.0',
+    digest: 'Digest auth',
+    hawk: 'Hawk',
+    awsv4: 'AWS Signature',
+    ntlm: 'NTLM',
+    jwt: 'JWT bearer',
+    edgegrid: 'Akamai EdgeGrid',
+    oauth1: 'OAuth 1.0'
+};
+
+// Credentials Try it Out can apply; secret values never appear in the summary
+const AUTH_CREDENTIAL_FIELDS = {
+    bearer: [{ field: 'token', label: 'Token', secret: true }],
+    basic: [
+        { field: 'username', label: 'Username', secret: false },
+        { field: 'password', label: 'Password', secret: true }
+    ],
+    apikey: [{ field: 'value', label: 'Key value', secret: true }],
+    oauth2: [{ field: 'accessToken', label: 'Access token', secret: true }]
+};
+
+// v2.1 stores auth params as [{ key, value }], v2.0 as a plain object
+function getAuthParams(auth) {
+    const raw = auth[auth.type];
+    if (Array.isArray(raw)) {
+        const params = {};
+        raw.forEach(p => {
+            if (p && p.key) params[p.key] = p.value ?? '';
+        });
+        return params;
+    }
+    return raw && typeof raw === 'object' ? { ...raw } : {};
+}
+
+// The request's own auth wins, otherwise the innermost folder, then the collection
+function resolveAuth(request, ancestors = [], details = null) {
+    const chain = [
+        { auth: request?.auth, level: 'request', source: 'set on this request' },
+        ...[...ancestors].reverse().map(folder => ({
+            auth: folder.auth,
+            level: 'folder',
+            source: `inherited from folder "${folder.name}"`
+        })),
+        { auth: details?.auth, level: 'collection', source: 'inherited from collection' }
+    ];
+    
+    for (const { auth, level, source } of chain) {
+        if (!auth || !auth.type || auth.type === 'inherit') continue;
+        return { type: auth.type, params: getAuthParams(auth), level, source };
+    }
+    return null;
+}
+
+function encodeBase64(text) {
+    return btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+}
+
+// Where the credential goes: `{ in: 'header' | 'query', name, value }`.
+// With `describe` the value is written for people instead of being encoded.
+function getAuthPlacement(auth, values, describe = false) {
+    const params = auth.params;
+    switch (auth.type) {
+        case 'bearer':
+            return { in: 'header', name: 'Authorization', value: `Bearer ${values.token}` };
+        case 'basic':
+            return {
+                in: 'header',
+                name: 'Authorization',
+                value: describe
+                    ? `Basic base64(${values.username}:${values.password})`
+                    : `Basic ${encodeBase64(`${values.username}:${values.password}`)}`
+            };
+        case 'apikey':
+            return { in: params.in === 'query' ? 'query' : 'header', name: params.key || 'X-API-Key', value: values.value };
+        case 'oauth2':
+            if (params.addTokenTo === 'queryParams') {
+                return { in: 'query', name: 'access_token', value: values.accessToken };
+            }
+            return { in: 'header', name: 'Authorization', value: `${params.headerPrefix ?? 'Bearer'} ${values.accessToken}`.trim() };
+        default:
+            return null;
+    }
+}
+
+// Secrets show as their {{variable}} or a typed placeholder, never as the literal value
+function maskSecretValue(value, label) {
+    const raw = String(value ?? '').trim();
+    return /^(\{\{[^{}]+\}\}\s*)+$/.test(raw) ? raw : `<${label}>`;
+}
+
+function getAuthDisplayValues(auth, endpoint) {
+    const values = {};
+    (AUTH_CREDENTIAL_FIELDS[auth.type] || []).forEach(({ field, label, secret }) => {
+        const raw = String(auth.params[field] ?? '').trim();
+        values[field] = secret
+            ? maskSecretValue(raw, label.toLowerCase())
+            : applyVariables(raw, endpoint) || `<${label.toLowerCase()}>`;
+    });
+    return values;
+}
+
+// Summary description: `{ type, label, usage, source, notes[] }`, null without auth
+function describeAuth(endpoint) {
+    const auth = endpoint.auth;
+    if (!auth || auth.type === 'noauth') return null;
+    
+    const placement = getAuthPlacement(auth, getAuthDisplayValues(auth, endpoint), true);
+    const usage = !placement
+        ? 'configured in Postman, not applied by Try it Out'
+        : placement.in === 'header'
+            ? `${placement.name}: ${placement.value}`
+            : `query parameter ${placement.name}=${placement.value}`;
+    
+    const notes = [];
+    if (auth.type === 'oauth2') {
+        const grant = auth.params.grant_type || auth.params.grantType;
+        if (grant) notes.push(`Grant type: ${grant}`);
+        if (auth.params.accessTokenUrl) notes.push(`Token URL: ${applyVariables(auth.params.accessTokenUrl, endpoint)}`);
+        if (auth.params.authUrl) notes.push(`Authorization URL: ${applyVariables(auth.params.authUrl, endpoint)}`);
+        if (auth.params.scope) notes.push(`Scope: ${auth.params.scope}`);
+    }
+    
+    return {
+        type: auth.type,
+        label: AUTH_TYPE_LABELS[auth.type] || auth.type,
+        usage,
+        source: auth.source,
+        notes
+    };
+}
+
+function readSessionCredentials() {
+    try {
+        return JSON.parse(sessionStorage.getItem(SESSION_CREDENTIALS_KEY) || '{}');
+    } catch {
+        return {};
+    }
+}
+
+function saveSessionCredentials(key, values) {
+    const credentials = readSessionCredentials();
+    credentials[key] = values;
+    sessionStorage.setItem(SESSION_CREDENTIALS_KEY, JSON.stringify(credentials));
+}
+
+// Endpoints sharing one collection or folder auth share the credential
+function getCredentialKey(endpoint) {
+    const scope = endpoint.auth.level === 'request' ? endpoint.id : endpoint.auth.source;
+    return `${endpoint.collectionUid}::${scope}::${endpoint.auth.type}`;
+}
+
+// Try it Out inputs, prefilled from this session or the resolved Postman values
+function createTryItAuthGroup(endpoint, vars) {
+    const auth = endpoint.auth;
+    const fields = auth ? AUTH_CREDENTIAL_FIELDS[auth.type] : null;
+    if (!fields) return null;
+    
+    const stored = readSessionCredentials()[getCredentialKey(endpoint)] || {};
+    const group = document.createElement('div');
+    group.className = 'try-it-group try-it-auth';
+    group.innerHTML = `
+        <label>🔐 ${escapeHtml(AUTH_TYPE_LABELS[auth.type])} <span class="optional-hint">(${escapeHtml(auth.source)}, kept for this session only)</span></label>
+        <div class="try-it-auth-fields">
+            ${fields.map(({ field, label, secret }) => `
+                <input type="${secret ? 'password' : 'text'}" class="try-it-input" data-field="${field}" placeholder="${label}"
+                    value="${escapeHtml(stored[field] ?? resolveVariables(String(auth.params[field] ?? ''), vars))}" autocomplete="off">
+            `).join('')}
+        </div>
+    `;
+    return group;
+}
+
+function readTryItAuthValues(group) {
+    const values = {};
+    group.querySelectorAll('[data-field]').forEach(input => {
+        values[input.dataset.field] = input.value.trim();
+    });
+    return values;
+}
+
+// Collection Detail View
+function showCollectionDetail(collection, updateHash = true) {
+    if (updateHash) {
+        window.location.hash = `collection/${collection.uid}`;
+        return;
+    }
+
+    state.currentCollection = collection;
+    
+    // Hide collections, show detail
+    collectionsSection.style.display = 'none';
+    collectionDetailSection.style.display = 'block';
+    
+    // Set collection info
+    detailCollectionName.textContent = collection.name;
+    detailCollectionDesc.textContent = collection.description || 'No description available';
+    
+    // Render folder tree, fetching the details first if they were not cached
+    if (collection.details) {
+        renderFolderTree(collection.details);
+        return;
+    }
+    folderTreeContainer.innerHTML = '<div class="skeleton-card"></div><div class="skeleton-card"></div>';
+    ensureCollectionDetails(collection).then(details => {
+        if (state.currentCollection === collection) renderFolderTree(details);
+    });
+}
+
+function closeCollectionDetail() {
+    state.currentCollection = null;
+    
+    collectionsSection.style.display = 'block';
+    collectionDetailSection.style.display = 'none';
+}
+
+function backToCollections() {
+    playSound(clickSound);
+    window.location.hash = ''; // This will trigger hashchange and close detail view
+}
+
+function renderFolderTree(collection) {
+    folderTreeContainer.innerHTML = '';
+    
+    if (!collection) {
+        folderTreeContainer.innerHTML = '<div class="error-message show">Failed to load collection details.</div>';
+        return;
+    }
+    
+    if (collection.error) {
+        folderTreeContainer.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-icon">⚠️</div>
+                <h4>Error Loading Collection</h4>
+                <p class="error-log">${collection.error}</p>
+                <button class="btn btn-secondary" style="margin-top: 1rem;" onclick="retryCollectionLoad()">Retry</button>
+            </div>
+        `;
+        return;
+    }
+    
+    if (!collection.item || collection.item.length === 0) {
+        folderTreeContainer.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-icon">📭</div>
+                <h4>No endpoints found</h4>
+                <p>This collection has no requests or folders.</p>
+            </div>
+        `;
+        return;
+    }
+    
+    // Create a root container for consistency, or just append directly
+    try {
+        collection.item.forEach(item => {
+            const element = createTreeItemElement(item, state.currentCollection);
+            folderTreeContainer.appendChild(element);
+        });
+        syncTreeCheckboxes();
+        revealPendingEndpoint();
+    } catch (err) {
+        console.error('Error rendering tree:', err);
+        folderTreeContainer.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-icon">⚠️</div>
+                <h4>Error Rendering Collection</h4>
+                <p class="error-log" style="color: var(--danger-color); font-family: monospace;">${escapeHtml(err.message)}</p>
+                <details style="margin-top: 10px; text-align: left; background: var(--border-color); padding: 10px; border-radius: 4px;">
+                    <summary style="cursor: pointer; font-weight: bold;">Show Details</summary>
+                    <pre style="margin-top: 10px; white-space: pre-wrap; word-break: break-all; font-size: 12px; font-family: monospace;">${escapeHtml(err.stack || '')}</pre>
+                </details>
+                <button class="btn btn-secondary" style="margin-top: 1rem;" onclick="retryCollectionLoad()">Retry</button>
+            </div>
+        `;
+    }
+}
+
+function escapeHtml(unsafe) {
+    if (!unsafe) return '';
+    return String(unsafe)
+         .replace(/&/g, "&amp;")
+         .replace(/</g, "&lt;")
+         .replace(/>/g, "&gt;")
+         .replace(/"/g, "&quot;")
+         .replace(/'/g, "&#039;");
+}
+
+function createTreeItemElement(item, collection, parentId = '') {
+    const isFolder = Array.isArray(item.item);
+    const safeName = item.name ? item.name.replace(/[^a-zA-Z0-9_-]/g, '_') : 'unnamed';
+    const uniqueId = parentId ? `${parentId}-${safeName}` : safeName;
+    
+    if (isFolder) {
+        return createFolderElement(item, collection, uniqueId);
+    } else {
+        return createEndpointElement(item, collection, uniqueId);
+    }
+}
+
+// Folder checkbox -> selection keys of every request below it
+const folderCheckboxKeys = new WeakMap();
+
+function createFolderElement(item, collection, uniqueId) {
+    const div = document.createElement('div');
+    div.className = 'folder-item';
+    
+    // Get all endpoints in this folder (recursive) for the count and selection
+    const allEndpoints = extractEndpointsFromItem(item);
+    const endpointCount = allEndpoints.length;
+    
+    div.innerHTML = `
+        <div class="folder-header">
+            <input type="checkbox" class="folder-checkbox" id="folder-check-${uniqueId}">
+            <span class="folder-icon">▶</span>
+            <span class="folder-name">${escapeHtml(item.name)}</span>
+            <span class="folder-count">${endpointCount}</span>
+        </div>
+        <div class="folder-children" id="folder-children-${uniqueId}">
+            <!-- Children will be appended here -->
+        </div>
+    `;
+    
+    const childrenContainer = div.querySelector(`#folder-children-${uniqueId}`);
+    
+    // Recursively render children
+    item.item.forEach(subItem => {
+        const childEl = createTreeItemElement(subItem, collection, uniqueId);
+        childrenContainer.appendChild(childEl);
+    });
+    
+    const header = div.querySelector('.folder-header');
+    const checkbox = div.querySelector('.folder-checkbox');
+    const icon = div.querySelector('.folder-icon');
+    folderCheckboxKeys.set(checkbox, allEndpoints.map(endpoint => getSelectionKey(parseEndpoint(endpoint), collection)));
+    checkbox.disabled = endpointCount === 0;
+    
+    header.addEventListener('click', (e) => {
+        if (e.target !== checkbox) {
+            playSound(clickSound);
+            div.classList.toggle('expanded');
+        }
+    });
+    
+    checkbox.addEventListener('change', (e) => {
+        e.stopPropagation();
+        handleFolderSelection(allEndpoints, checkbox.checked, collection);
+    });
+    
+    return div;
+}
+
+function createEndpointElement(item, collection, uniqueId) {
+    const div = document.createElement('div');
+    const endpoint = parseEndpoint(item);
+    const key = getSelectionKey(endpoint, collection);
+    const isChecked = state.selectedEndpoints.has(key);
+    const hasResponse = item.response && item.response.length > 0;
+    
+    div.className = 'endpoint-item';
+    div.dataset.id = endpoint.id;
+    div.innerHTML = `
+        <input type="checkbox" class="endpoint-checkbox" id="endpoint-${uniqueId}" data-key="${escapeHtml(key)}" ${isChecked ? 'checked' : ''}>
+        <span class="endpoint-method method-${escapeHtml(endpoint.method).toLowerCase()}">${escapeHtml(endpoint.method)}</span>
+        <span class="endpoint-path">${escapeHtml(endpoint.path)}</span>
+        ${hasResponse ? '<span class="response-badge" title="Has saved response">💾</span>' : ''}
+    `;
+    
+    const checkbox = div.querySelector('.endpoint-checkbox');
+    checkbox.addEventListener('change', () => {
+        handleEndpointSelection(endpoint, checkbox.checked, collection);
+    });
+    
+    return div;
+}
+
+function parseEndpoint(item) {
+    const request = item.request || {};
+    const url = typeof request.url === 'string' 
+        ? request.url 
+        : (request.url?.raw || '');
+    
+    return {
+        id: getItemId(item),
+        name: item.name,
+        method: request.method || 'GET',
+        path: extractPath(url),
+        url: url,
+        request: request,
+        response: item.response || [],
+        events: item.event || []
+    };
+}
+
+// Postman ids are stable across syncs; requests without one fall back to their content
+// Items without a Postman id are told apart by their folder path, recorded when the details arrive
+const itemFolderPaths = new WeakMap();
+
+function indexItemFolders(details) {
+    const traverse = (items, folderPath) => (items || []).forEach(item => {
+        if (item.item) {
+            traverse(item.item, [...folderPath, item.name]);
+        } else {
+            itemFolderPaths.set(item, folderPath.join('/'));
+        }
+    });
+    if (details && !details.error) traverse(details.item, []);
+    return details;
+}
+
+function getItemId(item) {
+    if (item.id || item._postman_id) return item.id || item._postman_id;
+    const request = item.request || {};
+    const url = typeof request.url === 'string' ? request.url : (request.url?.raw || '');
+    return `${itemFolderPaths.get(item) || ''}::${item.name}::${request.method || 'GET'}::${url}`;
+}
+
+function extractEndpointsFromItem(item) {
+    const endpoints = [];
+    
+    function traverse(items) {
+        if (!items) return;
+        items.forEach(i => {
+            if (i.request) {
+                endpoints.push(i);
+            }
+            if (i.item) {
+                traverse(i.item);
+            }
+        });
+    }
+    
+    traverse(item.item);
+    return endpoints;
+}
+
+function extractPath(url) {
+    try {
+        if (url.includes('{{')) {
+            // Keep the variable part if it's significant, e.g. {{base_url}}/api/v1/...
+            // The user wants {{base_url}}/v1/user/... shown
+            return url; 
+        }
+        const urlObj = new URL(url);
+        return urlObj.pathname;
+    } catch {
+        return url;
+    }
+}
+
+// Selection Management
+function getSelectionKey(endpoint, collection = state.currentCollection) {
+    return `${collection.uid}::${endpoint.id}`;
+}
+
+// Selected endpoints remember where they came from, the collection may be closed later
+function createSelectionEntry(endpoint, collection = state.currentCollection) {
+    const ancestors = findItemAncestors(collection?.details?.item, endpoint.request) || [];
+    
+    return {
+        ...endpoint,
+        collectionName: collection?.name,
+        collectionUid: collection?.uid,
+        folderPath: ancestors.map(folder => folder.name),
+        variables: getScopedVariables(collection, ancestors),
+        descriptions: getContextDescriptions(collection, ancestors),
+        scripts: collectScripts(collection?.details, ancestors, endpoint.events),
+        auth: resolveAuth(endpoint.request, ancestors, collection?.details)
+    };
+}
+
+function findItemAncestors(items, request, ancestors = []) {
+    if (!items) return null;
+    for (const item of items) {
+        if (item.request && item.request === request) return ancestors;
+        if (item.item) {
+            const found = findItemAncestors(item.item, request, [...ancestors, item]);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+function handleFolderSelection(endpoints, isSelected, collection = state.currentCollection) {
+    playSound(clickSound);
+    
+    endpoints.forEach(item => {
+        const endpoint = parseEndpoint(item);
+        const key = getSelectionKey(endpoint, collection);
+        
+        if (isSelected) {
+            state.selectedEndpoints.set(key, createSelectionEntry(endpoint, collection));
+        } else {
+            state.selectedEndpoints.delete(key);
+        }
+    });
+    
+    syncTreeCheckboxes();
+    updateSelectionUI();
+    generateSummary();
+}
+
+function handleEndpointSelection(endpoint, isSelected, collection = state.currentCollection) {
+    playSound(clickSound);
+    
+    const key = getSelectionKey(endpoint, collection);
+    
+    if (isSelected) {
+        state.selectedEndpoints.set(key, createSelectionEntry(endpoint, collection));
+    } else {
+        state.selectedEndpoints.delete(key);
+    }
+    
+    syncTreeCheckboxes();
+    updateSelectionUI();
+    generateSummary();
+}
+
+function selectAllInCollection() {
+    if (!state.currentCollection?.details?.item) return;
+    handleFolderSelection(extractEndpointsFromItem(state.currentCollection.details), true);
+}
+
+function invertCollectionSelection() {
+    if (!state.currentCollection?.details?.item) return;
+    playSound(clickSound);
+    
+    const collection = state.currentCollection;
+    extractEndpointsFromItem(collection.details).forEach(item => {
+        const endpoint = parseEndpoint(item);
+        const key = getSelectionKey(endpoint, collection);
+        if (state.selectedEndpoints.has(key)) {
+            state.selectedEndpoints.delete(key);
+        } else {
+            state.selectedEndpoints.set(key, createSelectionEntry(endpoint, collection));
+        }
+    });
+    
+    syncTreeCheckboxes();
+    updateSelectionUI();
+    generateSummary();
+}
+
+// Derives every checkbox in the tree from the selection: folders are checked when all
+// of their requests are selected and indeterminate when only some are
+function syncTreeCheckboxes() {
+    folderTreeContainer.querySelectorAll('.endpoint-checkbox[data-key]').forEach(checkbox => {
+        checkbox.checked = state.selectedEndpoints.has(checkbox.dataset.key);
+    });
+    folderTreeContainer.querySelectorAll('.folder-checkbox').forEach(checkbox => {
+        const keys = folderCheckboxKeys.get(checkbox) || [];
+        const selected = keys.filter(key => state.selectedEndpoints.has(key)).length;
+        checkbox.checked = keys.length > 0 && selected === keys.length;
+        checkbox.indeterminate = selected > 0 && selected < keys.length;
+    });
+}
+
+function clearAllSelections() {
+    playSound(clickSound);
+    state.selectedEndpoints.clear();
+    
+    // Uncheck all checkboxes
+    document.querySelectorAll('.search-result-checkbox').forEach(cb => {
+        cb.checked = false;
+    });
+    syncTreeCheckboxes();
+    
+    updateSelectionUI();
+    generateSummary();
+}
+
+function updateSelectionUI() {
+    const count = state.selectedEndpoints.size;
+    selectionCount.textContent = `${count} endpoint${count !== 1 ? 's' : ''} selected`;
+    clearSelectionBtn.style.display = count > 0 ? 'block' : 'none';
+}
+
+// Selection Presets
+const SELECTION_PRESETS_KEY = 'postman_selection_presets';
+
+function readSelectionPresets() {
+    try {
+        const presets = JSON.parse(localStorage.getItem(SELECTION_PRESETS_KEY) || '[]');
+        return Array.isArray(presets) ? presets : [];
+    } catch {
+        return [];
+    }
+}
+
+function saveSelectionPresets(presets) {
+    localStorage.setItem(SELECTION_PRESETS_KEY, JSON.stringify(presets));
+}
+
+// Presets store references, not request data, so restoring always uses the latest collections
+function createEndpointReference(entry) {
+    return {
+        id: entry.id || null,
+        collectionUid: entry.collectionUid || null,
+        collectionName: entry.collectionName,
+        folderPath: entry.folderPath || [],
+        name: entry.name,
+        method: entry.method,
+        path: entry.path
+    };
+}
+
+function describeEndpointReference(ref) {
+    return `${ref.method} ${ref.path} (${[ref.collectionName, ...ref.folderPath].join(' › ')})`;
+}
+
+function saveSelectionAsPreset() {
+    if (state.selectedEndpoints.size === 0) {
+        showToast('Select some endpoints first', 'error');
+        return;
+    }
+    
+    const name = prompt('Preset name', '');
+    if (!name || !name.trim()) return;
+    
+    const presets = readSelectionPresets();
+    const existing = presets.find(p => p.name === name.trim());
+    if (existing && !confirm(`Replace the preset "${existing.name}"?`)) return;
+    
+    const preset = {
+        id: existing ? existing.id : `preset-${Date.now()}`,
+        name: name.trim(),
+        createdAt: new Date().toISOString(),
+        endpoints: [...state.selectedEndpoints.values()].map(createEndpointReference)
+    };
+    saveSelectionPresets(existing ? presets.map(p => (p.id === existing.id ? preset : p)) : [...presets, preset]);
+    
+    renderPresetList();
+    playSound(successSound);
+    showToast(`Preset "${preset.name}" saved`, 'success');
+}
+
+function renamePreset(id) {
+    const presets = readSelectionPresets();
+    const preset = presets.find(p => p.id === id);
+    if (!preset) return;
+    
+    const name = prompt('Rename preset', preset.name);
+    if (!name || !name.trim() || name.trim() === preset.name) return;
+    
+    preset.name = name.trim();
+    saveSelectionPresets(presets);
+    renderPresetList();
+}
+
+function deletePreset(id) {
+    const presets = readSelectionPresets();
+    const preset = presets.find(p => p.id === id);
+    if (!preset || !confirm(`Delete the preset "${preset.name}"?`)) return;
+    
+    saveSelectionPresets(presets.filter(p => p.id !== id));
+    renderPresetList();
+    showToast(`Preset "${preset.name}" deleted`, 'success');
+}
+
+// Finds the request a reference points to by item id, falling back to method + path
+// (the folder path breaks ties) for requests that were recreated
+function resolveEndpointReference(ref, collection) {
+    const matches = [];
+    const traverse = (items, folders) => {
+        (items || []).forEach(item => {
+            if (item.request) {
+                const endpoint = parseEndpoint(item);
+                if (ref.id && endpoint.id === ref.id) {
+                    matches.unshift({ endpoint, folderPath: folders, exact: true });
+                } else if (endpoint.method === ref.method && endpoint.path === ref.path) {
+                    matches.push({ endpoint, folderPath: folders });
+                }
+            }
+            if (item.item) traverse(item.item, [...folders, item.name]);
+        });
+    };
+    traverse(collection.details.item, []);
+    if (matches[0] && matches[0].exact) return matches[0].endpoint;
+    
+    const sameFolder = matches.filter(m => m.folderPath.join('/') === ref.folderPath.join('/'));
+    const candidates = sameFolder.length > 0 ? sameFolder : matches;
+    const match = candidates.find(m => m.endpoint.name === ref.name) || candidates[0];
+    return match ? match.endpoint : null;
+}
+
+async function restorePreset(id) {
+    playSound(clickSound);
+    closeExportMenus();
+    
+    const preset = readSelectionPresets().find(p => p.id === id);
+    if (!preset) return;
+    
+    const restored = new Map();
+    const missing = [];
+    
+    for (const ref of preset.endpoints) {
+        const collection = state.collections.find(c => ref.collectionUid && c.uid === ref.collectionUid) ||
+            state.collections.find(c => c.name === ref.collectionName);
+        const details = collection ? await ensureCollectionDetails(collection) : null;
+        const endpoint = details && !details.error ? resolveEndpointReference(ref, collection) : null;
+        
+        if (!endpoint) {
+            missing.push(ref);
+            continue;
+        }
+        restored.set(getSelectionKey(endpoint, collection), createSelectionEntry(endpoint, collection));
+    }
+    
+    state.selectedEndpoints = restored;
+    refreshSelectionViews();
+    
+    if (missing.length > 0) {
+        const list = missing.slice(0, 3).map(describeEndpointReference).join(', ');
+        const more = missing.length > 3 ? ` and ${missing.length - 3} more` : '';
+        showToast(`Restored ${restored.size} of ${preset.endpoints.length}, missing: ${list}${more}`, 'error');
+    } else {
+        playSound(successSound);
+        showToast(`Preset "${preset.name}" restored`, 'success');
+    }
+}
+
+// Redraws everything that shows checkboxes after the selection was replaced
+function refreshSelectionViews() {
+    updateSelectionUI();
+    generateSummary();
+    if (state.currentCollection) renderFolderTree(state.currentCollection.details);
+    if (state.searchMode === 'endpoints') renderEndpointSearch();
+}
+
+function exportPresets() {
+    playSound(clickSound);
+    const presets = readSelectionPresets();
+    if (presets.length === 0) {
+        showToast('No presets to export', 'error');
+        return;
+    }
+    
+    const content = JSON.stringify({ type: 'selection-presets', version: 1, presets }, null, 2);
+    downloadFile(content, 'selection-presets.json', 'application/json');
+    playSound(successSound);
+    showToast(`${presets.length} preset${presets.length === 1 ? '' : 's'} exported`, 'success');
+}
+
+// Imported presets never overwrite local ones, clashing names get a suffix
+async function importPresetsFile(file) {
+    if (!file) return;
+    
+    let imported;
+    try {
+        const json = JSON.parse(await file.text());
+        imported = Array.isArray(json) ? json : json.presets;
+        if (!Array.isArray(imported)) throw new Error('missing "presets" list');
+        imported = imported.filter(p => p && p.name && Array.isArray(p.endpoints));
+    } catch (error) {
+        showToast(`Invalid presets file: ${error.message}`, 'error');
+        return;
+    }
+    
+    const presets = readSelectionPresets();
+    const names = new Set(presets.map(p => p.name));
+    imported.forEach((preset, index) => {
+        let name = preset.name;
+        for (let n = 2; names.has(name); n++) name = `${preset.name} (${n})`;
+        names.add(name);
+        presets.push({
+            id: `preset-${Date.now()}-${index}`,
+            name,
+            createdAt: preset.createdAt || new Date().toISOString(),
+            endpoints: preset.endpoints.map(ref => ({ folderPath: [], ...ref }))
+        });
+    });
+    
+    saveSelectionPresets(presets);
+    renderPresetList();
+    playSound(successSound);
+    showToast(`${imported.length} preset${imported.length === 1 ? '' : 's'} imported`, 'success');
+}
+
+function renderPresetList() {
+    const presets = readSelectionPresets();
+    presetList.innerHTML = '';
+    
+    if (presets.length === 0) {
+        presetList.innerHTML = '<small class="input-hint">No presets yet. Save the current selection to reuse it later.</small>';
+        return;
+    }
+    
+    presets.forEach(preset => {
+        const row = document.createElement('div');
+        row.className = 'preset-row';
+        row.innerHTML = `
+            <button class="dropdown-item preset-restore" title="Restore this selection">
+                ${escapeHtml(preset.name)} <span class="preset-count">${preset.endpoints.length}</span>
+            </button>
+            <button class="btn-copy-small preset-rename" title="Rename">✏️</button>
+            <button class="btn-copy-small preset-delete" title="Delete">🗑️</button>
+        `;
+        row.querySelector('.preset-restore').addEventListener('click', () => restorePreset(preset.id));
+        row.querySelector('.preset-rename').addEventListener('click', () => renamePreset(preset.id));
+        row.querySelector('.preset-delete').addEventListener('click', () => deletePreset(preset.id));
+        presetList.appendChild(row);
+    });
+}
+
+// Summary Generation with improved formatting
+function generateSummary() {
+    if (state.selectedEndpoints.size === 0) {
+        summarySection.style.display = 'none';
+        state.promptText = '';
+        return;
+    }
+    
+    summarySection.style.display = 'block';
+    
+    // Update stats
+    const countEl = document.getElementById('summaryEndpointCount');
+    if (countEl) countEl.textContent = state.selectedEndpoints.size;
+    
+    summaryContent.innerHTML = '';
+    
+    state.selectedEndpoints.forEach((endpoint, key) => {
+        const endpointSummary = createCollapsibleEndpointSummary(endpoint);
+        summaryContent.appendChild(endpointSummary);
+    });
+    if (state.redaction.alwaysOn) redactElement(summaryContent);
+    
+    updatePromptStats();
+}
+
+function createCollapsibleEndpointSummary(endpoint) {
+    const details = document.createElement('details');
+    details.className = 'summary-item-card';
+    details.open = true;
+    
+    const summary = document.createElement('summary');
+    summary.className = 'card-header';
+    
+    const methodClass = `method-${endpoint.method.toLowerCase()}`;
+    const displayUrl = applyVariables(endpoint.url, endpoint);
+    summary.innerHTML = `
+        <div class="header-layout">
+            <div class="header-main">
+                <span class="method-badge ${methodClass}">${endpoint.method}</span>
+                <span class="card-url" title="${escapeHtml(displayUrl)}">${escapeHtml(displayUrl)}</span>
+            </div>
+            <div class="header-meta">
+                <span class="chevron-icon">▾</span>
+            </div>
+        </div>
+    `;
+    
+    const body = document.createElement('div');
+    body.className = 'card-body';
+    
+    // Descriptions (request, then the folders and collection around it)
+    if (state.summaryDetails.descriptions) {
+        const descriptionBlock = createDescriptionBlock(endpoint);
+        if (descriptionBlock) body.appendChild(descriptionBlock);
+    }
+    
+    // Auth (resolved through folders up to the collection)
+    const auth = describeAuth(endpoint);
+    if (auth) {
+        body.appendChild(createInfoBlock('🔐 Auth', createQueryGrid([
+            { key: 'Type', value: escapeHtml(auth.label) },
+            { key: 'Sent as', value: `<code>${escapeHtml(auth.usage)}</code>` },
+            { key: 'Source', value: escapeHtml(auth.source) },
+            ...auth.notes.map(note => {
+                const [key, ...rest] = note.split(': ');
+                return { key: escapeHtml(key), value: escapeHtml(rest.join(': ')) };
+            })
+        ]), true));
+    }
+    
+    // Path Variables
+    if (state.summaryDetails.pathVariables) {
+        const pathVariables = extractPathVariables(endpoint.request);
+        if (pathVariables.length > 0) {
+            body.appendChild(createInfoBlock('🧭 Path Variables', createQueryGrid(pathVariables.map(v => ({
+                key: `:${escapeHtml(v.key)}`,
+                value: escapeHtml(applyVariables(v.value, endpoint)),
+                description: escapeHtml(v.description)
+            }))), true));
+        }
+    }
+    
+    // Headers
+    if (state.summaryDetails.headers) {
+        const headers = getRelevantHeaders(endpoint);
+        if (headers.length > 0) {
+            body.appendChild(createInfoBlock('📨 Headers', createQueryGrid(headers.map(h => ({
+                key: escapeHtml(h.key),
+                value: escapeHtml(h.value),
+                description: escapeHtml(h.description)
+            }))), true));
+        }
+    }
+    
+    // Variables (only listed when placeholders are kept)
+    if (state.variableMode !== 'resolve') {
+        const usedVariables = getUsedVariables(endpoint);
+        if (usedVariables.length > 0) {
+            body.appendChild(createInfoBlock('🧩 Variables', createQueryGrid(usedVariables.map(v => ({
+                key: escapeHtml(`{{${v.key}}}`),
+                value: v.value !== undefined ? escapeHtml(v.value) : '<span class="optional-hint">(undefined)</span>'
+            }))), true));
+        }
+    }
+    
+    // Query Parameters
+    const queryParams = extractQueryParams(endpoint.request).map(param => ({
+        ...param,
+        key: escapeHtml(param.key),
+        value: escapeHtml(applyVariables(param.value, endpoint)),
+        description: escapeHtml(getDescriptionText(param.description))
+    }));
+    if (queryParams.length > 0) {
+        body.appendChild(createInfoBlock('🔍 Query Parameters', createQueryGrid(queryParams), true));
+    }
+    
+    const showSchemas = state.exampleMode !== 'examples';
+    const showExamples = state.exampleMode !== 'schema';
+    const schemas = showSchemas ? getEndpointSchemas(endpoint) : { requestSchema: '', responseSchemas: [] };
+    
+    // Request Body
+    if (schemas.requestSchema) {
+        body.appendChild(createInfoBlock('🧬 Request Body Schema', createCodeBlock(schemas.requestSchema, 'TYPE'), true));
+    }
+    if (endpoint.request && endpoint.request.body && endpoint.request.body.mode && (showExamples || !schemas.requestSchema)) {
+        const requestBody = endpoint.request.body;
+        const bodyContent = applyVariables(formatRequestBody(requestBody, endpoint.request.header), endpoint);
+        const operation = requestBody.mode === 'graphql' ? getGraphqlOperation(requestBody.graphql?.query) : '';
+        if (bodyContent.trim().length > 0) {
+            body.appendChild(createInfoBlock(`📦 Request Body${operation ? ` (GraphQL ${escapeHtml(operation)})` : ''}`, createCodeBlock(bodyContent, getBodyLabel(requestBody)), true));
+        }
+    }
+    
+    // Response Schemas (examples of the same status merged)
+    schemas.responseSchemas.forEach(schema => {
+        body.appendChild(createInfoBlock(`🧬 Response Schema (${escapeHtml(schema.label)})`, createCodeBlock(schema.outline, 'TYPE'), true));
+    });
+    
+    // Saved Examples (successes first, then errors)
+    if (showExamples && endpoint.response && endpoint.response.length > 0) {
+        const examples = endpoint.response.filter(response => response.body || response.code);
+        [examples.filter(r => !isErrorExample(r)), examples.filter(isErrorExample)].forEach(group => {
+            group.forEach((response, index) => {
+                body.appendChild(createExampleBlock(endpoint, response, group.length > 1 ? index + 1 : ''));
+            });
+        });
+    }
+    
+    // Error Catalog
+    const errorCatalogBlock = createErrorCatalogBlock(endpoint);
+    if (errorCatalogBlock) body.appendChild(errorCatalogBlock);
+    
+    // Pre-request and test scripts
+    const scriptsBlock = createScriptsBlock(endpoint);
+    if (scriptsBlock) body.appendChild(scriptsBlock);
+    
+    // Typed Models
+    const modelsBlock = createModelsBlock(endpoint);
+    if (modelsBlock) body.appendChild(modelsBlock);
+    
+    // Code Snippet
+    body.appendChild(createSnippetBlock(endpoint));
+    
+    // Try It Out Block
+    body.appendChild(createTryItBlock(endpoint));
+    
+    details.appendChild(summary);
+    details.appendChild(body);
+    
+    return details;
+}
+
+function createDescriptionBlock(endpoint) {
+    const requestDescription = getDescriptionText(endpoint.request?.description);
+    const { collection = '', folders = [] } = endpoint.descriptions || {};
+    if (!requestDescription && !collection && folders.length === 0) return null;
+    
+    const container = document.createElement('div');
+    container.className = 'description-block';
+    if (requestDescription) {
+        const text = document.createElement('div');
+        text.className = 'description-text';
+        text.textContent = requestDescription;
+        container.appendChild(text);
+    }
+    [
+        ...(collection ? [{ label: `📘 ${endpoint.collectionName}`, description: collection }] : []),
+        ...folders.map(folder => ({ label: `📁 ${folder.path}`, description: folder.description }))
+    ].forEach(({ label, description }) => {
+        const context = document.createElement('details');
+        context.className = 'description-context';
+        context.innerHTML = `<summary>${escapeHtml(label)}</summary>`;
+        const text = document.createElement('div');
+        text.className = 'description-text';
+        text.textContent = description;
+        context.appendChild(text);
+        container.appendChild(context);
+    });
+    
+    return createInfoBlock('📝 Description', container, true);
+}
+
+function createInfoBlock(title, contentElement, showCopy = false) {
+    const block = document.createElement('div');
+    block.className = 'info-block';
+    
+    const header = document.createElement('div');
+    header.className = 'block-header';
+    
+    header.innerHTML = `<span class="block-title">${title}</span>`;
+    
+    if (showCopy) {
+        const copyBtn = document.createElement('button');
+        copyBtn.className = 'btn-copy-small';
+        copyBtn.textContent = 'Copy';
+        copyBtn.onclick = async (e) => {
+            e.stopPropagation();
+            const output = await applyRedaction(contentElement.innerText);
+            if (!output) return;
+            try {
+                await navigator.clipboard.writeText(output.text);
+                copyBtn.textContent = 'Copied!';
+                playSound(successSound);
+                setTimeout(() => copyBtn.textContent = 'Copy', 2000);
+            } catch (error) {
+                showToast('Failed to copy', 'error');
+            }
+        };
+        header.appendChild(copyBtn);
+    }
+    
+    const content = document.createElement('div');
+    content.className = 'block-content';
+    content.appendChild(contentElement);
+    
+    block.appendChild(header);
+    block.appendChild(content);
+    return block;
+}
+
+function createQueryGrid(params) {
+    const grid = document.createElement('div');
+    grid.className = 'query-grid';
+    
+    params.forEach(param => {
+        const item = document.createElement('div');
+        item.className = 'query-item';
+        item.innerHTML = `
+            <span class="query-key">${param.key}</span>
+            <span class="query-value">${param.value || param.description || '<span class="optional-hint">(optional)</span>'}</span>
+            ${param.value && param.description ? `<span class="query-description">${param.description}</span>` : ''}
+        `;
+        grid.appendChild(item);
+    });
+    
+    return grid;
+}
+
+function createCodeBlock(code, lang) {
+    const pre = document.createElement('pre');
+    pre.className = 'code-wrapper';
+    pre.setAttribute('data-lang', lang);
+    pre.textContent = code;
+    return pre;
+}
+
+// Built by updatePromptStats, which runs after every change to the selection, options or template
+function getSummaryText() {
+    return state.promptText || buildPrompt().text;
+}
+
+// Template data for the current selection, see TEMPLATE_HELP for the field list.
+// `reductions` holds the budget strategies from buildPrompt().
+function buildTemplateContext(reductions = {}, selection = [...state.selectedEndpoints.values()]) {
+    const seenExamples = new Map();
+    const endpoints = selection.map(endpoint => buildEndpointContext(endpoint, { ...reductions, seenExamples }));
+    
+    const variables = state.variableMode !== 'resolve' ? getVariablesTable(selection) : [];
+    const collections = state.summaryDetails.descriptions ? getCollectionDescriptions(selection) : [];
+    
+    return {
+        generatedAt: new Date().toISOString(),
+        endpointCount: endpoints.length,
+        environment: state.activeEnvironment ? { name: state.activeEnvironment.name } : null,
+        variables,
+        hasVariables: variables.length > 0,
+        collections,
+        hasDescriptions: collections.length > 0,
+        separator: '═'.repeat(80),
+        part: null,
+        endpoints
+    };
+}
+
+function buildEndpointContext(endpoint, reductions = {}) {
+    const queryParams = extractQueryParams(endpoint.request).map(param => {
+        const value = applyVariables(param.value || '', endpoint);
+        return {
+            key: param.key,
+            value,
+            description: param.description || '',
+            displayValue: value || param.description || '(optional)'
+        };
+    });
+    
+    const showExamples = state.exampleMode !== 'schema';
+    const { requestSchema, responseSchemas } = state.exampleMode !== 'examples'
+        ? getEndpointSchemas(endpoint)
+        : { requestSchema: '', responseSchemas: [] };
+    
+    // In schema-only mode the outline replaces JSON bodies, other bodies stay
+    const requestBody = endpoint.request && endpoint.request.body;
+    const body = requestBody && requestBody.mode && (showExamples || !requestSchema)
+        ? formatJsonForPrompt(applyVariables(formatRequestBody(requestBody, endpoint.request.header), endpoint), reductions).trimEnd()
+        : '';
+    
+    const auth = describeAuth(endpoint);
+    const details = state.summaryDetails;
+    const description = details.descriptions ? getDescriptionText(endpoint.request?.description).trim() : '';
+    const pathVariables = details.pathVariables
+        ? extractPathVariables(endpoint.request).map(v => {
+            const value = applyVariables(v.value, endpoint);
+            return { ...v, value, displayValue: [value, v.description].filter(Boolean).join(' · ') || '(required)' };
+        })
+        : [];
+    const headers = details.headers ? getRelevantHeaders(endpoint) : [];
+    
+    const snippetLanguage = getSnippetLanguage();
+    const snippet = state.includeSnippets ? generateSnippet(endpoint, snippetLanguage.id) : '';
+    
+    const responses = [];
+    const endpointLabel = `${endpoint.method.toUpperCase()} ${applyVariables(endpoint.url, endpoint)}`;
+    (endpoint.response || []).forEach(response => {
+        if (!(response.body || response.code) || !showExamples) return;
+        let formattedBody = response.body ? formatJsonForPrompt(response.body, reductions) : '';
+        
+        if (formattedBody && reductions.dropDuplicates && reductions.seenExamples) {
+            const parsed = parseJsonSafe(response.body);
+            const fingerprint = parsed !== undefined ? JSON.stringify(parsed) : response.body;
+            const seen = reductions.seenExamples.get(fingerprint);
+            if (seen && seen.endpoint === endpointLabel) return;
+            if (seen) {
+                formattedBody = `(same as the "${seen.name}" example of ${seen.endpoint})`;
+            } else {
+                reductions.seenExamples.set(fingerprint, { endpoint: endpointLabel, name: response.name || 'Success' });
+            }
+        }
+        
+        const example = describeExample(endpoint, response);
+        responses.push({
+            ...example,
+            hasHeaders: example.headers.length > 0,
+            hasRequest: !!example.request,
+            request: example.request && { ...example.request, hasQuery: example.request.query.length > 0 },
+            body: formattedBody,
+            hasBody: !!formattedBody
+        });
+    });
+    
+    // Numbered within their group so "Error Example 2" reads the same in cards and text
+    const successResponses = responses.filter(r => !r.isError);
+    const errorResponses = responses.filter(r => r.isError);
+    [successResponses, errorResponses].forEach(group => {
+        group.forEach((response, index) => response.number = group.length > 1 ? index + 1 : '');
+    });
+    const errors = getErrorCatalog(endpoint);
+    
+    return {
+        name: endpoint.name || '',
+        method: endpoint.method.toUpperCase(),
+        url: applyVariables(endpoint.url, endpoint),
+        path: endpoint.path,
+        collectionName: endpoint.collectionName || '',
+        auth,
+        hasAuth: !!auth,
+        description,
+        hasDescription: !!description,
+        pathVariables,
+        hasPathVariables: pathVariables.length > 0,
+        headers,
+        hasHeaders: headers.length > 0,
+        queryParams,
+        hasQueryParams: queryParams.length > 0,
+        body,
+        hasBody: body.trim().length > 0,
+        bodyMode: requestBody ? requestBody.mode || '' : '',
+        bodyLanguage: getBodyLanguage(requestBody),
+        bodyOperation: requestBody && requestBody.mode === 'graphql' ? getGraphqlOperation(requestBody.graphql?.query) : '',
+        bodyFields: getBodyFieldNames(requestBody).join(', '),
+        responses: [...successResponses, ...errorResponses],
+        hasResponses: responses.length > 0,
+        successResponses,
+        hasSuccessResponses: successResponses.length > 0,
+        errorResponses,
+        hasErrorResponses: errorResponses.length > 0,
+        errors,
+        hasErrors: errors.length > 0,
+        snippet,
+        hasSnippet: !!snippet,
+        snippetLanguage: snippetLanguage.label,
+        snippetFence: snippetLanguage.fence,
+        requestSchema,
+        hasRequestSchema: !!requestSchema,
+        responseSchemas,
+        hasResponseSchemas: responseSchemas.length > 0
+    };
+}
+
+// Fence language for the body; a declared raw language wins over sniffing for JSON
+function getBodyLanguage(body) {
+    if (!body) return '';
+    if (body.mode === 'graphql') return 'graphql';
+    if (body.mode !== 'raw') return '';
+    const language = getRawLanguage(body);
+    if (language) return language === 'text' ? '' : language;
+    try {
+        JSON.parse(body.raw);
+        return 'json';
+    } catch {
+        return '';
+    }
+}
+
+function getBodyLabel(body) {
+    return (getBodyLanguage(body) || (body.mode === 'raw' ? 'text' : body.mode)).toUpperCase();
+}
+
+function getBodyFieldNames(body) {
+    if (!body) return [];
+    if (body.mode === 'formdata' || body.mode === 'urlencoded') {
+        return (body[body.mode] || []).map(item => item.key);
+    }
+    if (body.mode === 'graphql') {
+        const variables = parseJsonSafe(String(body.graphql?.variables || ''));
+        return variables && typeof variables === 'object' ? Object.keys(variables) : [];
+    }
+    if (body.mode === 'raw') {
+        try {
+            const parsed = JSON.parse(body.raw);
+            const sample = Array.isArray(parsed) ? parsed[0] : parsed;
+            return sample && typeof sample === 'object' ? Object.keys(sample) : [];
+        } catch {}
+    }
+    return [];
+}
+
+// Collection and folder descriptions, listed once up front instead of per endpoint
+function getCollectionDescriptions(selection) {
+    const collections = new Map();
+    selection.forEach(endpoint => {
+        const { collection = '', folders = [] } = endpoint.descriptions || {};
+        const key = endpoint.collectionUid || endpoint.collectionName;
+        if (!collections.has(key)) {
+            collections.set(key, { name: endpoint.collectionName || '', description: collection, folders: new Map() });
+        }
+        folders.forEach(folder => collections.get(key).folders.set(folder.path, folder));
+    });
+    
+    return [...collections.values()]
+        .map(c => ({
+            name: c.name,
+            description: c.description,
+            hasDescription: !!c.description,
+            folders: [...c.folders.values()],
+            hasFolders: c.folders.size > 0
+        }))
+        .filter(c => c.hasDescription || c.hasFolders);
+}
+
+// Resolved values for the {{placeholders}} kept in the output, listed once up front
+function getVariablesTable(selection = [...state.selectedEndpoints.values()]) {
+    const values = new Map();
+    
+    selection.forEach((endpoint) => {
+        getUsedVariables(endpoint).forEach(v => {
+            const value = v.value !== undefined ? v.value : '(undefined)';
+            if (!values.has(v.key)) values.set(v.key, new Map());
+            const byValue = values.get(v.key);
+            if (!byValue.has(value)) byValue.set(value, new Set());
+            byValue.get(value).add(endpoint.collectionName);
+        });
+    });
+    
+    const table = [];
+    values.forEach((byValue, key) => {
+        byValue.forEach((collections, value) => {
+            table.push({
+                key,
+                placeholder: `{{${key}}}`,
+                value,
+                // Same name, different values across collections
+                note: byValue.size > 1 ? ` (${[...collections].join(', ')})` : ''
+            });
+        });
+    });
+    return table;
+}
+
+function extractQueryParams(request) {
+    const params = [];
+    
+    if (request && request.url && request.url.query) {
+        params.push(...request.url.query);
+    }
+    
+    return params;
+}
+
+// Declared `request.url.variable` entries plus any `:param` segment that has no declaration
+function extractPathVariables(request) {
+    const url = request && request.url;
+    const declared = url && typeof url === 'object' && Array.isArray(url.variable) ? url.variable : [];
+    const variables = declared
+        .filter(v => v && v.key)
+        .map(v => ({ key: v.key, value: v.value ?? '', description: getDescriptionText(v.description) }));
+    
+    const raw = typeof url === 'string' ? url : (url?.raw || '');
+    (raw.split('?')[0].match(/\/:([A-Za-z_][\w-]*)/g) || []).forEach(segment => {
+        const key = segment.slice(2);
+        if (!variables.some(v => v.key === key)) variables.push({ key, value: '', description: '' });
+    });
+    return variables;
+}
+
+// Request headers worth telling an integrator about; credentials keep their placeholder
+function getRelevantHeaders(endpoint) {
+    return (endpoint.request?.header || [])
+        .filter(h => h.key && !h.disabled && !SUMMARY_IGNORED_HEADERS.includes(h.key.toLowerCase()))
+        .map(h => ({
+            key: h.key,
+            value: SECRET_HEADER_PATTERN.test(h.key)
+                ? maskSecretValue(h.value, h.key.toLowerCase())
+                : applyVariables(h.value || '', endpoint),
+            description: getDescriptionText(h.description)
+        }));
+}
+
+// Collection and folder descriptions, captured when the endpoint is selected
+function getContextDescriptions(collection, ancestors) {
+    return {
+        collection: getDescriptionText(collection?.details?.info?.description || collection?.description),
+        folders: ancestors
+            .map((folder, index) => ({
+                path: ancestors.slice(0, index + 1).map(f => f.name).join(' › '),
+                description: getDescriptionText(folder.description)
+            }))
+            .filter(folder => folder.description)
+    };
+}
+
+function readSummaryDetails() {
+    const defaults = { pathVariables: true, headers: true, descriptions: true };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(SUMMARY_DETAILS_KEY) || '{}') };
+    } catch {
+        return defaults;
+    }
+}
+
+function handleSummaryDetailsChange() {
+    state.summaryDetails = {
+        pathVariables: includePathVariablesInput.checked,
+        headers: includeHeadersInput.checked,
+        descriptions: includeDescriptionsInput.checked
+    };
+    try {
+        localStorage.setItem(SUMMARY_DETAILS_KEY, JSON.stringify(state.summaryDetails));
+    } catch (error) {
+        console.error('Error saving summary details:', error);
+    }
+    generateSummary();
+}
+
+// Content types Postman sends for raw bodies, by `options.raw.language`
+const RAW_LANGUAGE_CONTENT_TYPES = {
+    json: 'application/json',
+    xml: 'application/xml',
+    html: 'text/html',
+    javascript: 'application/javascript',
+    text: 'text/plain'
+};
+
+function getRawLanguage(body) {
+    return body?.options?.raw?.language || '';
+}
+
+// Collections only reference files by path, the Content-Type header says what they hold
+function getFileContentType(headers = []) {
+    const header = headers.find(h => h.key && !h.disabled && h.key.toLowerCase() === 'content-type');
+    return header && header.value ? header.value : 'application/octet-stream';
+}
+
+function getFileSource(src) {
+    return (Array.isArray(src) ? src.join(', ') : src) || '(no file selected)';
+}
+
+function getGraphqlVariablesText(graphql) {
+    const text = String(graphql?.variables || '').trim();
+    const parsed = parseJsonSafe(text);
+    return parsed !== undefined ? JSON.stringify(parsed, null, 2) : text;
+}
+
+// Type and name of the first operation, fragments may come before it; `{ ... }` is an anonymous query
+function getGraphqlOperation(query) {
+    const source = String(query || '').replace(/#.*$/gm, '').trim();
+    if (source.startsWith('{')) return 'query';
+    const match = source.match(/(?:^|\})\s*(query|mutation|subscription)\b\s*([_A-Za-z][_0-9A-Za-z]*)?/);
+    return match ? [match[1], match[2]].filter(Boolean).join(' ') : '';
+}
+
+// The JSON document a GraphQL POST sends; `resolve` fills in variables first
+function getGraphqlPayload(graphql, resolve = text => text) {
+    const query = resolve(String(graphql?.query || '')).trim();
+    const payload = { query };
+    const [type, name] = getGraphqlOperation(query).split(' ');
+    if (type && name) payload.operationName = name;
+    
+    const variablesText = resolve(String(graphql?.variables || '')).trim();
+    if (variablesText) {
+        const variables = parseJsonSafe(variablesText);
+        if (variables === undefined) throw new Error('GraphQL variables are not valid JSON');
+        payload.variables = variables;
+    }
+    return payload;
+}
+
+function formatRequestBody(body, headers = []) {
+    let output = '';
+    
+    if (body.mode === 'raw') {
+        try {
+            const parsed = JSON.parse(body.raw);
+            output += JSON.stringify(parsed, null, 2);
+        } catch {
+            output += body.raw || '';
+        }
+    } else if (body.mode === 'graphql') {
+        const query = String(body.graphql?.query || '').trim();
+        const variables = getGraphqlVariablesText(body.graphql);
+        output += query;
+        if (variables && variables !== '{}') output += `\n\n# Variables\n${variables}`;
+    } else if (body.mode === 'file') {
+        output += `   • Binary file: ${getFileSource(body.file?.src)} (${getFileContentType(headers)})\n`;
+    } else if (body.mode === 'formdata') {
+        body.formdata?.forEach(item => {
+            const value = item.type === 'file'
+                ? `(file ${getFileSource(item.src)}${item.contentType ? `, ${item.contentType}` : ''})`
+                : item.value;
+            output += `   • ${item.key}: ${value || '(empty)'}\n`;
+        });
+    } else if (body.mode === 'urlencoded') {
+        body.urlencoded?.forEach(item => {
+            output += `   • ${item.key}: ${item.value}\n`;
+        });
+    }
+    
+    return output;
+}
+
+// Saved Examples
+const NOTABLE_RESPONSE_HEADERS = ['location', 'retry-after', 'www-authenticate', 'etag', 'link', 'content-disposition'];
+const NOTABLE_RESPONSE_HEADER_PREFIXES = ['x-ratelimit-', 'ratelimit-'];
+const ERROR_MESSAGE_FIELDS = ['message', 'error_description', 'error', 'detail', 'title'];
+
+// Examples without a status code fall back to their name
+function isErrorExample(response) {
+    const code = Number(response.code);
+    if (code) return code >= 400;
+    return /error|fail|invalid|denied|unauthori[sz]ed|forbidden|not found/i.test(response.name || '');
+}
+
+function getExampleContentType(response) {
+    const header = (response.header || []).find(h => h.key && h.key.toLowerCase() === 'content-type');
+    if (header) return (header.value || '').split(';')[0].trim();
+    return response.body && parseJsonSafe(response.body) !== undefined ? 'application/json' : '';
+}
+
+function getNotableHeaders(response) {
+    return (response.header || [])
+        .filter(h => {
+            const key = (h.key || '').toLowerCase();
+            return !h.disabled && (NOTABLE_RESPONSE_HEADERS.includes(key) || NOTABLE_RESPONSE_HEADER_PREFIXES.some(prefix => key.startsWith(prefix)));
+        })
+        .map(h => ({ key: h.key, value: h.value || '' }));
+}
+
+function getQueryPairs(request) {
+    const url = request && request.url;
+    if (url && typeof url === 'object' && Array.isArray(url.query)) {
+        return url.query.filter(q => q.key && !q.disabled).map(q => ({ key: q.key, value: q.value ?? '' }));
+    }
+    const search = (typeof url === 'string' ? url : (url?.raw || '')).split('?')[1];
+    if (!search) return [];
+    return search.split('&').filter(Boolean).map(pair => {
+        const [key, ...rest] = pair.split('=');
+        return { key, value: rest.join('=') };
+    });
+}
+
+// The example's own request, only when it sent a different query or body than the main request
+function getExampleRequestDiff(endpoint, response) {
+    const original = response.originalRequest;
+    if (!original || typeof original !== 'object') return null;
+    
+    const serialize = pairs => pairs.map(p => `${p.key}=${p.value}`).sort().join('&');
+    const query = getQueryPairs(original);
+    const queryDiffers = serialize(query) !== serialize(getQueryPairs(endpoint.request));
+    
+    // Postman often saves examples without a body, which is not a difference worth showing
+    const body = original.body && original.body.mode ? formatRequestBody(original.body).trim() : '';
+    const mainBody = endpoint.request?.body?.mode ? formatRequestBody(endpoint.request.body).trim() : '';
+    const bodyDiffers = !!body && body !== mainBody;
+    
+    if (!queryDiffers && !bodyDiffers) return null;
+    return {
+        query: queryDiffers ? query.map(p => ({ key: p.key, value: applyVariables(p.value, endpoint) })) : [],
+        body: bodyDiffers ? applyVariables(body, endpoint) : ''
+    };
+}
+
+function describeExample(endpoint, response) {
+    const code = response.code ? String(response.code) : '';
+    const isError = isErrorExample(response);
+    return {
+        name: response.name || (isError ? 'Error' : 'Success'),
+        code,
+        status: response.status || '',
+        statusLine: [code, response.status].filter(Boolean).join(' '),
+        isError,
+        contentType: getExampleContentType(response),
+        headers: getNotableHeaders(response),
+        request: getExampleRequestDiff(endpoint, response)
+    };
+}
+
+// Picks the human-readable message out of common error payloads ({ error: { message } }, { detail }, ...)
+function getErrorMessage(body) {
+    if (!body) return '';
+    const parsed = parseJsonSafe(body);
+    if (parsed === undefined) return body.trim().split('\n')[0].slice(0, 120);
+    if (!parsed || typeof parsed !== 'object') return '';
+    
+    const source = parsed.error && typeof parsed.error === 'object' ? parsed.error : parsed;
+    const field = ERROR_MESSAGE_FIELDS.find(key => typeof source[key] === 'string');
+    return field ? source[field] : '';
+}
+
+function getErrorCatalog(endpoint) {
+    return (endpoint.response || [])
+        .filter(isErrorExample)
+        .map(response => ({
+            code: response.code ? String(response.code) : '',
+            status: response.status || '',
+            name: response.name || '',
+            message: getErrorMessage(response.body)
+        }))
+        .sort((a, b) => (Number(a.code) || 999) - (Number(b.code) || 999));
+}
+
+function createExampleBlock(endpoint, response, number) {
+    const example = describeExample(endpoint, response);
+    const container = document.createElement('div');
+    container.className = 'example-details';
+    
+    const meta = [
+        ...(example.statusLine ? [{ key: 'Status', value: escapeHtml(example.statusLine) }] : []),
+        ...(example.contentType ? [{ key: 'Content-Type', value: `<code>${escapeHtml(example.contentType)}</code>` }] : []),
+        ...example.headers.map(h => ({ key: escapeHtml(h.key), value: `<code>${escapeHtml(h.value)}</code>` }))
+    ];
+    if (meta.length > 0) container.appendChild(createQueryGrid(meta));
+    
+    if (example.request) {
+        const request = document.createElement('div');
+        request.className = 'example-request';
+        request.innerHTML = '<span class="example-request-label">↳ Sent with</span>';
+        if (example.request.query.length > 0) {
+            request.appendChild(createQueryGrid(example.request.query.map(p => ({
+                key: escapeHtml(p.key),
+                value: escapeHtml(p.value)
+            }))));
+        }
+        if (example.request.body) request.appendChild(createCodeBlock(example.request.body, 'JSON'));
+        container.appendChild(request);
+    }
+    
+    if (response.body) {
+        let formattedBody = response.body;
+        try {
+            formattedBody = JSON.stringify(JSON.parse(response.body), null, 2);
+        } catch {}
+        container.appendChild(createCodeBlock(formattedBody, example.contentType.includes('json') || !example.contentType ? 'JSON' : example.contentType.split('/').pop().toUpperCase()));
+    }
+    
+    const icon = example.isError ? '⚠️' : '📥';
+    const kind = example.isError ? 'Error' : 'Response';
+    const title = `${icon} ${kind} Example${number ? ` ${number}` : ''} (${example.name})${example.statusLine ? ` · ${example.statusLine}` : ''}`;
+    return createInfoBlock(escapeHtml(title), container, true);
+}
+
+function createErrorCatalogBlock(endpoint) {
+    const errors = getErrorCatalog(endpoint);
+    if (errors.length === 0) return null;
+    return createInfoBlock('🚨 Error Catalog', createQueryGrid(errors.map(error => ({
+        key: escapeHtml([error.code, error.status].filter(Boolean).join(' ') || error.name),
+        value: escapeHtml([error.name, error.message].filter(Boolean).join(' · '))
+    }))), true);
+}
+
+// Script Sandbox
+const SCRIPT_TIMEOUT = 5000;
+const SCRIPT_PHASE_LABELS = { prerequest: 'Pre-request', test: 'Tests' };
+
+function getScriptCode(event) {
+    const exec = event?.script?.exec;
+    return (Array.isArray(exec) ? exec.join('\n') : (exec || '')).trim();
+}
+
+// Postman runs collection scripts first, then each folder's, then the request's own
+function collectScripts(details, ancestors, events) {
+    const levels = [
+        { source: 'collection', events: details && !details.error ? details.event : [] },
+        ...ancestors.map(folder => ({ source: `folder "${folder.name}"`, events: folder.event })),
+        { source: 'request', events }
+    ];
+    const scripts = { prerequest: [], test: [] };
+    levels.forEach(({ source, events }) => {
+        (events || []).forEach(event => {
+            const code = getScriptCode(event);
+            if (code && !event.disabled && scripts[event.listen]) scripts[event.listen].push({ source, code });
+        });
+    });
+    return scripts;
+}
+
+function createScriptsBlock(endpoint) {
+    const scripts = endpoint.scripts || { prerequest: [], test: [] };
+    const entries = Object.keys(SCRIPT_PHASE_LABELS).flatMap(phase =>
+        scripts[phase].map(script => ({ ...script, label: `${SCRIPT_PHASE_LABELS[phase]} · ${script.source}` }))
+    );
+    if (entries.length === 0) return null;
+    
+    const container = document.createElement('div');
+    container.className = 'scripts-block';
+    entries.forEach(script => {
+        const label = document.createElement('span');
+        label.className = 'script-label';
+        label.textContent = script.label;
+        container.append(label, createCodeBlock(script.code, 'JS'));
+    });
+    return createInfoBlock('📜 Scripts', container, true);
+}
+
+// Runs inside the worker. It is stringified, so it must not reference anything outside itself.
+function scriptSandboxMain() {
+    // The frame's CSP and opaque origin are what block the network and storage, hiding the
+    // globals only turns a script's attempt into a plain TypeError
+    ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'Worker', 'SharedWorker', 'indexedDB', 'caches'].forEach(name => {
+        Object.defineProperty(self, name, { value: undefined });
+    });
+    
+    const format = value => {
+        try {
+            return typeof value === 'string' ? `'${value}'` : JSON.stringify(value);
+        } catch {
+            return String(value);
+        }
+    };
+    const typeOf = value => value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    const deepEqual = (a, b) => {
+        if (a === b) return true;
+        if (typeOf(a) !== typeOf(b) || typeof a !== 'object' || a === null) return false;
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => deepEqual(a[key], b[key]));
+    };
+    const includes = (haystack, needle) => {
+        if (typeof haystack === 'string' || Array.isArray(haystack)) {
+            return Array.isArray(haystack) && typeof needle === 'object' ? haystack.some(item => deepEqual(item, needle)) : haystack.includes(needle);
+        }
+        if (haystack && typeof haystack === 'object' && needle && typeof needle === 'object') {
+            return Object.keys(needle).every(key => deepEqual(haystack[key], needle[key]));
+        }
+        return false;
+    };
+    
+    // The chai style assertions collections use most
+    function expect(actual) {
+        const flags = { negate: false, deep: false };
+        const assertion = {};
+        const assert = (passed, message) => {
+            if (passed === flags.negate) throw new Error(`expected ${format(actual)} ${flags.negate ? 'not ' : ''}${message}`);
+            return assertion;
+        };
+        ['to', 'be', 'been', 'is', 'that', 'which', 'and', 'has', 'have', 'with', 'at', 'of', 'same', 'does'].forEach(word => {
+            Object.defineProperty(assertion, word, { get: () => assertion });
+        });
+        Object.defineProperty(assertion, 'not', { get: () => { flags.negate = !flags.negate; return assertion; } });
+        Object.defineProperty(assertion, 'deep', { get: () => { flags.deep = true; return assertion; } });
+        
+        const properties = {
+            ok: [() => !!actual, 'to be truthy'],
+            true: [() => actual === true, 'to be true'],
+            false: [() => actual === false, 'to be false'],
+            null: [() => actual === null, 'to be null'],
+            undefined: [() => actual === undefined, 'to be undefined'],
+            exist: [() => actual != null, 'to exist'],
+            empty: [() => actual != null && (typeof actual === 'object' && !Array.isArray(actual) ? Object.keys(actual).length === 0 : actual.length === 0), 'to be empty']
+        };
+        Object.entries(properties).forEach(([name, [check, message]]) => {
+            Object.defineProperty(assertion, name, { get: () => assert(check(), message) });
+        });
+        
+        const methods = {
+            a: type => assert(typeOf(actual) === type.toLowerCase(), `to be a ${type}`),
+            equal: expected => assert(flags.deep ? deepEqual(actual, expected) : actual === expected, `to ${flags.deep ? 'deeply ' : ''}equal ${format(expected)}`),
+            eql: expected => assert(deepEqual(actual, expected), `to deeply equal ${format(expected)}`),
+            include: expected => assert(includes(actual, expected), `to include ${format(expected)}`),
+            above: n => assert(actual > n, `to be above ${n}`),
+            below: n => assert(actual < n, `to be below ${n}`),
+            least: n => assert(actual >= n, `to be at least ${n}`),
+            most: n => assert(actual <= n, `to be at most ${n}`),
+            lengthOf: n => assert(actual != null && actual.length === n, `to have length ${n}`),
+            property: (name, ...value) => assert(
+                actual != null && name in Object(actual) && (value.length === 0 || deepEqual(actual[name], value[0])),
+                `to have property '${name}'${value.length > 0 ? ` of ${format(value[0])}` : ''}`
+            ),
+            oneOf: list => assert(list.some(item => deepEqual(item, actual)), `to be one of ${format(list)}`),
+            match: pattern => assert(pattern.test(String(actual)), `to match ${pattern}`)
+        };
+        const aliases = {
+            an: 'a', equals: 'equal', eq: 'equal', includes: 'include', contain: 'include', contains: 'include',
+            gt: 'above', greaterThan: 'above', lt: 'below', lessThan: 'below', gte: 'least', lte: 'most', length: 'lengthOf'
+        };
+        Object.assign(assertion, methods);
+        Object.entries(aliases).forEach(([alias, name]) => { assertion[alias] = methods[name]; });
+        return assertion;
+    }
+    
+    function createVariableScope(values, changes) {
+        return {
+            get: key => values[key],
+            has: key => Object.prototype.hasOwnProperty.call(values, key),
+            set: (key, value) => {
+                values[key] = value == null ? value : String(value);
+                if (changes) changes[key] = values[key];
+            },
+            unset: key => {
+                delete values[key];
+                if (changes) changes[key] = null;
+            },
+            toObject: () => ({ ...values })
+        };
+    }
+    
+    function createHeaderList(headers) {
+        const find = key => headers.findIndex(h => h.key.toLowerCase() === String(key).toLowerCase());
+        return {
+            get: key => headers[find(key)]?.value,
+            has: key => find(key) !== -1,
+            add: header => headers.push({ key: header.key, value: String(header.value ?? '') }),
+            upsert: header => {
+                const idx = find(header.key);
+                if (idx === -1) headers.push({ key: header.key, value: String(header.value ?? '') });
+                else headers[idx].value = String(header.value ?? '');
+            },
+            remove: key => {
+                const idx = find(key);
+                if (idx !== -1) headers.splice(idx, 1);
+            },
+            toObject: () => Object.fromEntries(headers.map(h => [h.key, h.value])),
+            all: () => headers.map(h => ({ ...h }))
+        };
+    }
+    
+    self.onmessage = async ({ data }) => {
+        const result = {
+            environment: {},
+            collectionVariables: {},
+            localVariables: { ...data.localVariables },
+            request: { ...data.request, headers: data.request.headers.map(h => ({ ...h })) },
+            tests: [],
+            logs: [],
+            errors: []
+        };
+        const environment = { ...data.environment };
+        const collectionVariables = { ...data.collectionVariables };
+        const pending = [];
+        
+        const response = data.response;
+        const responseHeaders = response ? createHeaderList(response.headers.map(([key, value]) => ({ key, value }))) : null;
+        const pm = {
+            environment: createVariableScope(environment, result.environment),
+            collectionVariables: createVariableScope(collectionVariables, result.collectionVariables),
+            variables: {
+                ...createVariableScope(result.localVariables),
+                get: key => [result.localVariables, environment, collectionVariables]
+                    .find(scope => Object.prototype.hasOwnProperty.call(scope, key))?.[key],
+                has: key => [result.localVariables, environment, collectionVariables]
+                    .some(scope => Object.prototype.hasOwnProperty.call(scope, key)),
+                replaceIn: text => String(text).replace(/\{\{\s*([^{}\s]+)\s*\}\}/g, (match, key) => pm.variables.has(key) ? pm.variables.get(key) : match)
+            },
+            request: {
+                method: result.request.method,
+                headers: createHeaderList(result.request.headers),
+                // Changes to the url and body are sent, like headers
+                get url() {
+                    return {
+                        toString: () => result.request.url,
+                        update: value => {
+                            result.request.url = String(value);
+                        }
+                    };
+                },
+                set url(value) {
+                    result.request.url = String(value);
+                },
+                get body() {
+                    return {
+                        raw: result.request.body,
+                        toString: () => result.request.body,
+                        update: value => {
+                            result.request.body = typeof value === 'string' ? value : (value?.raw ?? JSON.stringify(value));
+                        }
+                    };
+                },
+                set body(value) {
+                    result.request.body = typeof value === 'string' ? value : (value?.raw ?? JSON.stringify(value));
+                }
+            },
+            response: response && {
+                code: response.status,
+                status: response.statusText,
+                responseTime: response.time,
+                headers: responseHeaders,
+                text: () => response.body,
+                json: () => JSON.parse(response.body),
+                to: {
+                    have: {
+                        status: expected => {
+                            const passed = typeof expected === 'number' ? response.status === expected : response.statusText === expected;
+                            if (!passed) throw new Error(`expected response to have status ${format(expected)} but got ${response.status}`);
+                        },
+                        header: name => {
+                            if (!responseHeaders.has(name)) throw new Error(`expected response to have header '${name}'`);
+                        }
+                    },
+                    be: {
+                        get ok() {
+                            if (response.status < 200 || response.status >= 300) throw new Error(`expected response to be ok but got ${response.status}`);
+                            return true;
+                        }
+                    }
+                }
+            },
+            test: (name, fn) => {
+                const record = outcome => result.tests.push({ name: String(name), ...outcome });
+                try {
+                    const returned = fn();
+                    if (returned && typeof returned.then === 'function') {
+                        pending.push(returned.then(() => record({ passed: true }), error => record({ passed: false, error: error.message })));
+                    } else {
+                        record({ passed: true });
+                    }
+                } catch (error) {
+                    record({ passed: false, error: error.message });
+                }
+            },
+            expect,
+            sendRequest: () => {
+                throw new Error('pm.sendRequest is not available in the Try it sandbox');
+            }
+        };
+        const sandboxConsole = {};
+        ['log', 'info', 'warn', 'error'].forEach(level => {
+            sandboxConsole[level] = (...args) => result.logs.push(`${level === 'log' ? '' : `[${level}] `}${args.map(arg => typeof arg === 'string' ? arg : format(arg)).join(' ')}`);
+        });
+        
+        for (const script of data.scripts) {
+            try {
+                await new Function('pm', 'console', script.code)(pm, sandboxConsole);
+            } catch (error) {
+                result.errors.push({ source: script.source, message: `${error.name}: ${error.message}` });
+            }
+        }
+        await Promise.all(pending);
+        self.postMessage(result);
+    };
+}
+
+// Runs inside the sandboxed frame and hosts the worker, so the worker inherits the frame's origin and CSP.
+// It is stringified, so it must not reference anything outside itself.
+function scriptFrameMain() {
+    window.onmessage = ({ source, data }) => {
+        if (source !== window.parent) return;
+        const worker = new Worker(URL.createObjectURL(new Blob([data.source], { type: 'text/javascript' })));
+        worker.onmessage = event => window.parent.postMessage({ result: event.data }, '*');
+        worker.onerror = event => {
+            event.preventDefault();
+            window.parent.postMessage({ error: event.message || 'The script sandbox failed' }, '*');
+        };
+        worker.postMessage(data.input);
+    };
+}
+
+// No connect-src, so fetch, XHR, WebSocket and dynamic imports of remote modules are refused
+const SCRIPT_FRAME_CSP = "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval' blob:; worker-src blob:";
+let scriptSandboxSource = null;
+
+// A fresh frame per run: it has an opaque origin, so scripts cannot reach the explorer's storage or cookies,
+// and removing it terminates a stuck worker without affecting the next run
+function runSandboxedScripts(scripts, input) {
+    if (!scriptSandboxSource) {
+        scriptSandboxSource = `(${scriptSandboxMain.toString()})();`;
+    }
+    
+    return new Promise(resolve => {
+        const frame = document.createElement('iframe');
+        frame.setAttribute('sandbox', 'allow-scripts');
+        frame.hidden = true;
+        frame.srcdoc = `<!DOCTYPE html><meta http-equiv="Content-Security-Policy" content="${SCRIPT_FRAME_CSP}"><script>(${scriptFrameMain.toString()})();<\/script>`;
+        
+        const finish = result => {
+            clearTimeout(timer);
+            window.removeEventListener('message', onMessage);
+            frame.remove();
+            resolve(result);
+        };
+        const fail = message => finish({
+            environment: {},
+            collectionVariables: {},
+            localVariables: input.localVariables,
+            request: input.request,
+            tests: [],
+            logs: [],
+            errors: [{ source: 'sandbox', message }]
+        });
+        const onMessage = ({ source, data }) => {
+            if (source !== frame.contentWindow || !data) return;
+            if (data.error) {
+                fail(data.error);
+            } else {
+                finish(data.result);
+            }
+        };
+        const timer = setTimeout(() => {
+            fail(`Scripts did not finish within ${SCRIPT_TIMEOUT / 1000}s`);
+        }, SCRIPT_TIMEOUT);
+        
+        window.addEventListener('message', onMessage);
+        frame.onload = () => frame.contentWindow.postMessage({ source: scriptSandboxSource, input: { scripts, ...input } }, '*');
+        document.body.appendChild(frame);
+    });
+}
+
+// Environment and collection variables set by scripts last until the page is reloaded,
+// collection variables only for the collection whose script set them
+function applyScriptVariableChanges(endpoint, result) {
+    const scopes = state.scriptVariables;
+    if (!scopes.collections[endpoint.collectionUid]) scopes.collections[endpoint.collectionUid] = {};
+    [
+        [result.environment, scopes.environment],
+        [result.collectionVariables, scopes.collections[endpoint.collectionUid]]
+    ].forEach(([changes, scope]) => {
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value === null) {
+                delete scope[key];
+            } else {
+                scope[key] = value;
+            }
+        });
+    });
+}
+
+// Each scope with the values scripts have set in it
+function getScriptScopes(endpoint) {
+    const environment = state.activeEnvironment
+        ? toVariableMap(state.activeEnvironment.values, v => v.enabled !== false)
+        : {};
+    return {
+        environment: { ...environment, ...state.scriptVariables.environment },
+        collectionVariables: { ...(endpoint.variables || {}), ...state.scriptVariables.collections[endpoint.collectionUid] }
+    };
+}
+
+function getScriptInput(endpoint, request, localVariables, response = null) {
+    return {
+        ...getScriptScopes(endpoint),
+        localVariables,
+        request,
+        response
+    };
+}
+
+function createScriptResultsElement(entry) {
+    const tests = entry.tests || [];
+    const errors = entry.scriptErrors || [];
+    const logs = entry.logs || [];
+    if (tests.length === 0 && errors.length === 0 && logs.length === 0) return null;
+    
+    const container = document.createElement('div');
+    container.className = 'script-results';
+    const passed = tests.filter(test => test.passed).length;
+    container.innerHTML = `
+        ${tests.length > 0 ? `
+            <span class="script-results-title ${passed === tests.length ? 'success' : 'error'}">🧪 Tests: ${passed}/${tests.length} passed</span>
+            <ul class="script-test-list">
+                ${tests.map(test => `
+                    <li class="${test.passed ? 'passed' : 'failed'}">
+                        ${test.passed ? '✓' : '✗'} ${escapeHtml(test.name)}
+                        ${test.error ? `<span class="script-test-error">${escapeHtml(test.error)}</span>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        ` : ''}
+        ${errors.map(error => `<pre class="error-text">⚠️ ${escapeHtml(error.phase ? `${SCRIPT_PHASE_LABELS[error.phase]} · ` : '')}${escapeHtml(error.source)}: ${escapeHtml(error.message)}</pre>`).join('')}
+        ${logs.length > 0 ? `
+            <details class="script-logs">
+                <summary>Console (${logs.length})</summary>
+                <pre class="code-wrapper" data-lang="CONSOLE">${escapeHtml(logs.join('\n'))}</pre>
+            </details>
+        ` : ''}
+    `;
+    return container;
+}
+
+// Try it Transport
+const TRANSPORT_MODE_LABELS = { direct: 'Direct', proxy: 'Proxy' };
+const PROXY_ERROR_LABELS = { dns: 'DNS LOOKUP FAILED', connection: 'CONNECTION FAILED', timeout: 'TIMEOUT', tls: 'TLS ERROR' };
+
+function readTransportSettings() {
+    const defaults = { mode: 'direct', proxyUrl: DEFAULT_PROXY_URL, timeout: 30, rules: [] };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(TRANSPORT_SETTINGS_KEY) || '{}') };
+    } catch {
+        return defaults;
+    }
+}
+
+// One rule per line: "<host pattern> direct|proxy", * matches any part of the host
+function parseTransportRules(text) {
+    const rules = [];
+    const invalid = [];
+    text.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#')).forEach(line => {
+        const [pattern, mode, ...rest] = line.split(/\s+/);
+        if (!TRANSPORT_MODE_LABELS[mode] || rest.length > 0) {
+            invalid.push(line);
+        } else {
+            rules.push({ pattern: pattern.toLowerCase(), mode });
+        }
+    });
+    return { rules, invalid };
+}
+
+function matchesHostPattern(host, pattern) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`, 'i').test(host);
+}
+
+// The first matching host rule wins, otherwise the default mode applies
+function getTransportFor(url) {
+    let host = '';
+    try {
+        host = new URL(url).hostname;
+    } catch {}
+    const rule = host ? state.transport.rules.find(r => matchesHostPattern(host, r.pattern)) : null;
+    return { mode: rule ? rule.mode : state.transport.mode, rule: rule ? rule.pattern : null };
+}
+
+function describeTransport(transport) {
+    const label = transport.mode === 'proxy' ? `Proxy (${state.transport.proxyUrl})` : 'Direct';
+    return transport.rule ? `${label} · rule ${transport.rule}` : label;
+}
+
+// "{url}" in the proxy URL receives the encoded target, otherwise the target is appended as the path
+function buildProxyUrl(url) {
+    const proxyUrl = state.transport.proxyUrl.trim();
+    return proxyUrl.includes('{url}')
+        ? proxyUrl.replace('{url}', encodeURIComponent(url))
+        : `${proxyUrl.replace(/\/+$/, '')}/${url}`;
+}
+
+function isLoopbackHost(host) {
+    return host === 'localhost' || host === '[::1]' || /^127\./.test(host);
+}
+
+async function sendTryItRequest(url, options) {
+    const transport = getTransportFor(url);
+    const requestUrl = transport.mode === 'proxy' ? buildProxyUrl(url) : url;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), state.transport.timeout * 1000);
+    
+    try {
+        const response = await fetch(requestUrl, { ...options, signal: controller.signal });
+        const proxyError = transport.mode === 'proxy' ? response.headers.get('X-Proxy-Error') : null;
+        if (proxyError) {
+            const error = new Error('Proxy could not reach the target');
+            error.diagnosis = diagnoseProxyError(proxyError, await response.text(), url);
+            throw error;
+        }
+        return { response, transport };
+    } catch (error) {
+        error.diagnosis = error.diagnosis || await diagnoseFetchError(error, requestUrl, transport, controller.signal.aborted);
+        error.transport = transport;
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// The browser reports CORS and connection failures as the same TypeError, so the cause is narrowed down here
+async function diagnoseFetchError(error, requestUrl, transport, timedOut) {
+    let target;
+    try {
+        target = new URL(requestUrl);
+    } catch {
+        return {
+            label: 'INVALID URL',
+            message: `"${requestUrl}" is not a valid URL.`,
+            hint: 'Check the URL for typos and unresolved variables.'
+        };
+    }
+    
+    if (timedOut) {
+        return {
+            label: 'TIMEOUT',
+            message: `No response from ${target.host} within ${state.transport.timeout}s.`,
+            hint: 'The server may be slow or unreachable. Raise the timeout in Transport settings or try again.'
+        };
+    }
+    if (location.protocol === 'https:' && target.protocol === 'http:' && !isLoopbackHost(target.hostname)) {
+        return {
+            label: 'MIXED CONTENT',
+            message: `This page is served over HTTPS, so the browser blocks plain HTTP requests to ${target.host}.`,
+            hint: 'Use the https:// URL, or send the request through a proxy running on localhost.'
+        };
+    }
+    if (transport.mode === 'proxy') {
+        return {
+            label: 'PROXY UNREACHABLE',
+            message: `Could not reach the proxy at ${state.transport.proxyUrl}: ${error.message}`,
+            hint: `Start it with "node cors-proxy.js" or check the proxy URL in Transport settings. A page served from elsewhere than localhost has to be allowed with ALLOWED_ORIGINS=${location.origin}.`
+        };
+    }
+    
+    // An opaque no-cors request succeeds whenever the server answers at all
+    if (await probeHost(requestUrl)) {
+        return {
+            label: 'CORS BLOCKED',
+            message: `${target.host} responded, but does not allow requests from ${location.origin}.`,
+            hint: 'Route this host through a proxy in Transport settings, or enable CORS on the server.'
+        };
+    }
+    return {
+        label: 'CONNECTION FAILED',
+        message: `Could not connect to ${target.host}: ${error.message}`,
+        hint: 'The host name may not resolve (DNS), the server may be down, or it may only be reachable over a VPN.'
+    };
+}
+
+async function probeHost(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), 5000);
+    try {
+        await fetch(url, { mode: 'no-cors', signal: controller.signal });
+        return true;
+    } catch {
+        return false;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// The bundled proxy answers upstream failures with 502/504, an X-Proxy-Error kind and { error } as JSON
+function diagnoseProxyError(kind, text, url) {
+    const detail = parseJsonSafe(text)?.error || text;
+    let host = url;
+    try {
+        host = new URL(url).host;
+    } catch {}
+    const hints = {
+        dns: `${host} does not resolve from the proxy's machine. Check the host name or your VPN.`,
+        connection: `${host} refused or dropped the connection. Check that the server is running and the port is right.`,
+        timeout: `${host} did not answer the proxy in time.`,
+        tls: `The proxy rejected ${host}'s certificate.`
+    };
+    return {
+        label: PROXY_ERROR_LABELS[kind] || 'PROXY ERROR',
+        message: detail || `The proxy could not reach ${host}.`,
+        hint: hints[kind] || 'Check the proxy output for details.'
+    };
+}
+
+function openTransportModal() {
+    playSound(clickSound);
+    transportModeSelect.value = state.transport.mode;
+    proxyUrlInput.value = state.transport.proxyUrl;
+    transportTimeoutInput.value = state.transport.timeout;
+    transportRulesInput.value = state.transport.rules.map(rule => `${rule.pattern} ${rule.mode}`).join('\n');
+    transportModal.classList.add('active');
+}
+
+function closeTransportModal() {
+    transportModal.classList.remove('active');
+}
+
+function saveTransportSettings() {
+    const { rules, invalid } = parseTransportRules(transportRulesInput.value);
+    if (invalid.length > 0) {
+        showToast(`Invalid rule: ${invalid[0]}`, 'error');
+        return;
+    }
+    const proxyUrl = proxyUrlInput.value.trim() || DEFAULT_PROXY_URL;
+    if (transportModeSelect.value === 'proxy' || rules.some(rule => rule.mode === 'proxy')) {
+        try {
+            new URL(proxyUrl.replace('{url}', ''));
+        } catch {
+            showToast('Enter a valid proxy URL', 'error');
+            return;
+        }
+    }
+    
+    state.transport = {
+        mode: transportModeSelect.value,
+        proxyUrl,
+        timeout: Math.max(1, parseInt(transportTimeoutInput.value, 10) || 30),
+        rules
+    };
+    localStorage.setItem(TRANSPORT_SETTINGS_KEY, JSON.stringify(state.transport));
+    document.querySelectorAll('.try-it-container').forEach(block => block.updateTransportLabel?.());
+    closeTransportModal();
+    showToast('Transport settings saved', 'success');
+}
+
+// Try it History
+const TRY_IT_HISTORY_KEY = 'postman_try_it_history';
+const TRY_IT_HISTORY_LIMIT = 20;
+const TRY_IT_HISTORY_BODY_LIMIT = 50000;
+// Characters for all endpoints together, about 2 MB of the usual 5 MB localStorage quota
+const TRY_IT_HISTORY_TOTAL_LIMIT = 1000000;
+const SHAPE_CHANGE_LABELS = { added: '+ added', removed: '− removed', type: '~ type changed' };
+let tryItHistory = null;
+
+// Parsed once per page, cards and saves work on the copy in memory
+function readTryItHistory() {
+    if (tryItHistory) return tryItHistory;
+    try {
+        const saved = JSON.parse(localStorage.getItem(TRY_IT_HISTORY_KEY) || '{}');
+        tryItHistory = saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    } catch {
+        tryItHistory = {};
+    }
+    return tryItHistory;
+}
+
+// Drops the oldest entries of any endpoint until the serialized history fits the total limit
+function serializeTryItHistory(history) {
+    let text = JSON.stringify(history);
+    if (text.length <= TRY_IT_HISTORY_TOTAL_LIMIT) return text;
+    
+    const oldestFirst = Object.entries(history)
+        .flatMap(([key, entries]) => entries.map(entry => ({ key, entry })))
+        .sort((a, b) => (a.entry.sentAt || '').localeCompare(b.entry.sentAt || ''));
+    let size = text.length;
+    for (const { key, entry } of oldestFirst) {
+        if (size <= TRY_IT_HISTORY_TOTAL_LIMIT) break;
+        size -= JSON.stringify(entry).length + 1;
+        history[key] = history[key].filter(e => e !== entry);
+        if (history[key].length === 0) delete history[key];
+    }
+    return JSON.stringify(history);
+}
+
+function getHistoryKey(endpoint) {
+    return `${endpoint.collectionUid}::${endpoint.id}`;
+}
+
+function getEndpointHistory(endpoint) {
+    return readTryItHistory()[getHistoryKey(endpoint)] || [];
+}
+
+// Only the stored copy is cut, the live panel, the diff and test scripts get the full body
+function truncateHistoryEntry(entry) {
+    const body = entry.response?.body;
+    if (!body || body.length <= TRY_IT_HISTORY_BODY_LIMIT) return entry;
+    return { ...entry, response: { ...entry.response, body: body.slice(0, TRY_IT_HISTORY_BODY_LIMIT), truncated: true } };
+}
+
+// Newest first, capped per endpoint and in total; when localStorage is full anyway the entry lasts until reload
+function saveEndpointHistory(endpoint, entries) {
+    const history = readTryItHistory();
+    const key = getHistoryKey(endpoint);
+    if (entries.length > 0) {
+        history[key] = entries.slice(0, TRY_IT_HISTORY_LIMIT).map(truncateHistoryEntry);
+    } else {
+        delete history[key];
+    }
+    try {
+        localStorage.setItem(TRY_IT_HISTORY_KEY, serializeTryItHistory(history));
+    } catch (error) {
+        console.error('Could not save Try it history:', error);
+        showToast('Storage full: this Try it entry will not survive a reload', 'error');
+    }
+}
+
+// Credential headers are kept out of localStorage; a replay takes them from the current form
+const REDACTED_HEADER_VALUE = '<redacted>';
+
+function redactHeaderLines(text) {
+    return text.split('\n').map(line => {
+        const idx = line.indexOf(':');
+        if (idx <= 0 || !SECRET_HEADER_PATTERN.test(line.slice(0, idx))) return line;
+        const value = line.slice(idx + 1).trim();
+        return /^(\{\{[^{}]+\}\}\s*)+$/.test(value) ? line : `${line.slice(0, idx)}: ${REDACTED_HEADER_VALUE}`;
+    }).join('\n');
+}
+
+function restoreHeaderLines(saved, current) {
+    const currentValues = new Map();
+    current.split('\n').forEach(line => {
+        const idx = line.indexOf(':');
+        if (idx > 0) currentValues.set(line.slice(0, idx).trim().toLowerCase(), line);
+    });
+    return saved.split('\n').map(line => {
+        const idx = line.indexOf(':');
+        if (idx <= 0 || line.slice(idx + 1).trim() !== REDACTED_HEADER_VALUE) return line;
+        return currentValues.get(line.slice(0, idx).trim().toLowerCase()) ?? null;
+    }).filter(line => line !== null).join('\n');
+}
+
+async function createHistoryResponse(response, time) {
+    let body = '';
+    try {
+        body = await response.text();
+    } catch {}
+    
+    const headers = [];
+    response.headers?.forEach?.((value, key) => headers.push([key, value]));
+    return {
+        status: response.status,
+        statusText: response.statusText,
+        ok: response.ok,
+        time,
+        headers,
+        body
+    };
+}
+
+// Same status first, then any example of the same class (2xx, 4xx, ...) with a JSON body
+function findComparableExample(endpoint, status) {
+    const examples = (endpoint.response || []).filter(response => parseJsonSafe(response.body) !== undefined);
+    return examples.find(response => Number(response.code) === status)
+        || examples.find(response => Math.floor(Number(response.code) / 100) === Math.floor(status / 100))
+        || (status < 400 ? examples.find(response => !response.code && !isErrorExample(response)) : null)
+        || null;
+}
+
+function getComparableTypes(shape) {
+    const types = Object.keys(shape.types).map(type => type === 'integer' ? 'number' : type);
+    return [...new Set(types)];
+}
+
+// Walks the saved and the live shape together and lists fields that were added, removed or changed type
+function diffShapes(expected, actual, path = '', changes = []) {
+    const expectedTypes = getComparableTypes(expected);
+    const actualTypes = getComparableTypes(actual);
+    const label = path || '(root)';
+    
+    if (!expectedTypes.some(type => actualTypes.includes(type))) {
+        changes.push({ path: label, change: 'type', from: expectedTypes.join(' | '), to: actualTypes.join(' | ') });
+        return changes;
+    }
+    
+    if (expected.types.object && actual.types.object) {
+        expected.properties.forEach((property, key) => {
+            const childPath = path ? `${path}.${key}` : key;
+            if (!actual.properties.has(key)) {
+                changes.push({ path: childPath, change: 'removed', from: getComparableTypes(property.shape).join(' | '), to: '' });
+            } else {
+                diffShapes(property.shape, actual.properties.get(key).shape, childPath, changes);
+            }
+        });
+        actual.properties.forEach((property, key) => {
+            if (!expected.properties.has(key)) {
+                changes.push({ path: path ? `${path}.${key}` : key, change: 'added', from: '', to: getComparableTypes(property.shape).join(' | ') });
+            }
+        });
+    }
+    
+    // Empty arrays say nothing about their items
+    if (expected.types.array && actual.types.array && expected.items && actual.items) {
+        diffShapes(expected.items, actual.items, `${path}[]`, changes);
+    }
+    return changes;
+}
+
+function compareWithExample(endpoint, entry) {
+    if (!entry.response) return null;
+    const live = parseJsonSafe(entry.response.body);
+    const example = findComparableExample(endpoint, entry.response.status);
+    if (live === undefined || !example) return null;
+    
+    return {
+        exampleName: [example.code, example.name].filter(Boolean).join(' '),
+        changes: diffShapes(inferShape([parseJsonSafe(example.body)]), inferShape([live]))
+    };
+}
+
+function createShapeDiffElement(diff) {
+    const container = document.createElement('div');
+    container.className = 'shape-diff';
+    
+    if (diff.changes.length === 0) {
+        container.innerHTML = `<span class="shape-diff-title">✅ Matches the structure of example "${escapeHtml(diff.exampleName)}"</span>`;
+        return container;
+    }
+    container.innerHTML = `
+        <span class="shape-diff-title">⚠️ ${diff.changes.length} structural ${diff.changes.length === 1 ? 'difference' : 'differences'} from example "${escapeHtml(diff.exampleName)}"</span>
+        <ul class="shape-diff-list">
+            ${diff.changes.map(change => `
+                <li class="shape-diff-${change.change}">
+                    <span class="shape-diff-kind">${SHAPE_CHANGE_LABELS[change.change]}</span>
+                    <code>${escapeHtml(change.path)}</code>
+                    <span class="shape-diff-types">${escapeHtml(change.change === 'type' ? `${change.from} → ${change.to}` : (change.from || change.to))}</span>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+    return container;
+}
+
+function renderTryItResult(container, endpoint, entry, onSave) {
+    container.style.display = 'block';
+    const sentAt = new Date(entry.sentAt).toLocaleString();
+    
+    if (entry.error) {
+        container.innerHTML = `
+            <div class="try-it-response-header error">
+                <span class="status-code">${escapeHtml(entry.error.label)}</span>
+                <span class="time-taken">${entry.time}ms · ${escapeHtml(entry.transport)}</span>
+            </div>
+            <div class="try-it-response-body">
+                <pre class="error-text">${escapeHtml(entry.error.message)}</pre>
+                ${entry.error.hint ? `<p class="try-it-hint">💡 ${escapeHtml(entry.error.hint)}</p>` : ''}
+            </div>
+        `;
+        const scriptResults = createScriptResultsElement(entry);
+        if (scriptResults) container.querySelector('.try-it-response-body').appendChild(scriptResults);
+        return;
+    }
+    
+    const { response } = entry;
+    let formattedResponse = response.body;
+    let isJson = false;
+    try {
+        formattedResponse = JSON.stringify(JSON.parse(response.body), null, 2);
+        isJson = true;
+    } catch {
+        // Not JSON
+    }
+    
+    container.innerHTML = `
+        <div class="try-it-response-header ${response.ok ? 'success' : 'error'}">
+            <span class="status-code">Status: ${response.status} ${escapeHtml(response.statusText || '')}</span>
+            <span class="time-taken" title="${escapeHtml(sentAt)}">Time: ${response.time}ms</span>
+        </div>
+        <div class="try-it-response-body">
+            ${response.headers.length > 0 ? `
+                <details class="try-it-response-headers">
+                    <summary>Headers (${response.headers.length})</summary>
+                    <pre class="code-wrapper" data-lang="HEADERS">${escapeHtml(response.headers.map(([key, value]) => `${key}: ${value}`).join('\n'))}</pre>
+                </details>
+            ` : ''}
+            <pre class="code-wrapper" data-lang="${isJson ? 'JSON' : 'TEXT'}">${escapeHtml(formattedResponse)}${response.truncated ? '\n… (truncated in history)' : ''}</pre>
+        </div>
+    `;
+    
+    const diff = compareWithExample(endpoint, entry);
+    if (diff) container.querySelector('.try-it-response-body').prepend(createShapeDiffElement(diff));
+    
+    const scriptResults = createScriptResultsElement(entry);
+    if (scriptResults) container.querySelector('.try-it-response-body').prepend(scriptResults);
+    
+    if (onSave) {
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'btn-copy-small save-example-btn';
+        saveBtn.textContent = '💾 Save as example';
+        saveBtn.addEventListener('click', async () => {
+            saveBtn.disabled = true;
+            const saved = await onSave(entry);
+            saveBtn.disabled = saved;
+            if (saved) saveBtn.textContent = '✓ Saved';
+        });
+        container.querySelector('.try-it-response-header').appendChild(saveBtn);
+    }
+}
+
+function renderTryItHistory(container, endpoint, onShow, onReplay) {
+    const entries = getEndpointHistory(endpoint);
+    container.innerHTML = '';
+    container.style.display = entries.length > 0 ? 'block' : 'none';
+    if (entries.length === 0) return;
+    
+    const details = document.createElement('details');
+    details.className = 'try-it-history-list';
+    details.innerHTML = `<summary>🕘 History (${entries.length})</summary>`;
+    
+    entries.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'try-it-history-entry';
+        const status = entry.response ? entry.response.status : entry.error.label;
+        const statusClass = entry.response && entry.response.ok ? 'success' : 'error';
+        row.innerHTML = `
+            <span class="history-status ${statusClass}">${escapeHtml(String(status))}</span>
+            <span class="history-url" title="${escapeHtml(entry.url)}">${escapeHtml(entry.method)} ${escapeHtml(entry.url)}</span>
+            <span class="history-meta">${entry.time}ms · ${escapeHtml(new Date(entry.sentAt).toLocaleString())}</span>
+        `;
+        
+        const showBtn = document.createElement('button');
+        showBtn.className = 'btn-link';
+        showBtn.textContent = 'Show';
+        showBtn.addEventListener('click', () => onShow(entry));
+        
+        const replayBtn = document.createElement('button');
+        replayBtn.className = 'btn-link';
+        replayBtn.textContent = 'Replay';
+        replayBtn.addEventListener('click', () => onReplay(entry));
+        
+        row.append(showBtn, replayBtn);
+        details.appendChild(row);
+    });
+    
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'btn-link try-it-history-clear';
+    clearBtn.textContent = 'Clear history';
+    clearBtn.addEventListener('click', () => {
+        if (!confirm(`Clear the Try it history of ${endpoint.name}?`)) return;
+        saveEndpointHistory(endpoint, []);
+        renderTryItHistory(container, endpoint, onShow, onReplay);
+    });
+    details.appendChild(clearBtn);
+    container.appendChild(details);
+}
+
+// Save as Example
+const EXAMPLE_SKIPPED_HEADERS = ['set-cookie', 'content-length', 'content-encoding', 'transfer-encoding', 'connection'];
+
+function findItemById(items, id) {
+    for (const item of items || []) {
+        if (item.item) {
+            const found = findItemById(item.item, id);
+            if (found) return found;
+        } else if (getItemId(item) === id) {
+            return item;
+        }
+    }
+    return null;
+}
+
+function parseHeaderLines(text) {
+    return text.split('\n')
+        .map(line => {
+            const idx = line.indexOf(':');
+            return idx > 0 ? { key: line.slice(0, idx).trim(), value: line.slice(idx + 1).trim() } : null;
+        })
+        .filter(header => header && header.value !== REDACTED_HEADER_VALUE);
+}
+
+// Postman v2.1 response with the request as it was sent (credentials stay out, see redactHeaderLines)
+function buildExampleFromEntry(endpoint, entry, name) {
+    const { response } = entry;
+    const isJson = parseJsonSafe(response.body) !== undefined;
+    const sentTemplateUrl = resolveVariables(endpoint.url, getVariableContext(endpoint)) === entry.url;
+    
+    const originalRequest = {
+        method: entry.method,
+        header: parseHeaderLines(entry.input.headers),
+        url: sentTemplateUrl && endpoint.request.url ? endpoint.request.url : entry.url
+    };
+    const graphql = endpoint.request.body?.mode === 'graphql' && entry.input.body ? parseJsonSafe(entry.input.body) : undefined;
+    if (graphql) {
+        originalRequest.body = { mode: 'graphql', graphql: { query: graphql.query || '', variables: graphql.variables || '' } };
+    } else if (entry.input.body) {
+        originalRequest.body = {
+            mode: 'raw',
+            raw: entry.input.body,
+            options: { raw: { language: parseJsonSafe(entry.input.body) !== undefined ? 'json' : 'text' } }
+        };
+    }
+    
+    return {
+        name,
+        originalRequest,
+        status: response.statusText || '',
+        code: response.status,
+        _postman_previewlanguage: isJson ? 'json' : 'text',
+        header: response.headers
+            .filter(([key]) => !EXAMPLE_SKIPPED_HEADERS.includes(key.toLowerCase()))
+            .map(([key, value]) => ({ key, value })),
+        cookie: [],
+        body: response.body
+    };
+}
+
+// The responses endpoint takes Postman's response model rather than the collection format,
+// the original request goes along as a request model in `requestObject`
+function toApiResponse(example) {
+    const request = example.originalRequest;
+    const body = request.body;
+    const requestObject = {
+        method: request.method,
+        url: typeof request.url === 'string' ? request.url : (request.url?.raw || ''),
+        headers: request.header
+    };
+    if (body && body.mode === 'graphql') {
+        Object.assign(requestObject, { dataMode: 'graphql', graphqlModeData: body.graphql });
+    } else if (body) {
+        Object.assign(requestObject, { dataMode: 'raw', rawModeData: body.raw, dataOptions: body.options });
+    }
+    
+    return {
+        name: example.name,
+        responseCode: { code: example.code, name: example.status },
+        headers: example.header,
+        cookies: example.cookie,
+        text: example.body,
+        language: example._postman_previewlanguage,
+        requestObject: JSON.stringify(requestObject)
+    };
+}
+
+async function addExampleToCollection(collection, itemId, example) {
+    if (collection.isLocal) {
+        const item = findItemById(collection.details.item, itemId);
+        if (!item) throw new Error('The request no longer exists in the collection');
+        item.response = [...(item.response || []), example];
+        saveLocalCollections();
+        return;
+    }
+    
+    // Ids made up by getItemId for items without one do not exist on the server
+    const target = findItemById(collection.details.item, itemId);
+    if (!target || target.id !== itemId) throw new Error('This request has no Postman id, sync the collection and try again');
+    
+    const response = await fetch(`https://api.getpostman.com/collections/${collection.uid}/responses?request=${encodeURIComponent(itemId)}`, {
+        method: 'POST',
+        headers: {
+            'X-Api-Key': state.apiKey,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(toApiResponse(example))
+    });
+    if (!response.ok) {
+        const errData = await response.json().catch(() => ({}));
+        throw new Error(errData.error?.message || `HTTP Error ${response.status}`);
+    }
+    
+    // Refetched so the example shows up as Postman stored it, the local copy only gets it appended when that fails
+    const refreshed = await loadCollectionDetails(collection.uid);
+    if (refreshed.error) {
+        target.response = [...(target.response || []), example];
+    } else {
+        collection.details = refreshed;
+    }
+    writeCachedCollection({ uid: collection.uid, updatedAt: collection.updatedAt, details: collection.details });
+}
+
+async function saveResponseAsExample(endpoint, entry) {
+    const collection = state.collections.find(c => c.uid === endpoint.collectionUid);
+    if (!collection || !collection.details) {
+        showToast('Open the collection before saving examples', 'error');
+        return false;
+    }
+    if (!collection.isLocal && !state.apiKey) {
+        showToast('Log in with an API key to save examples', 'error');
+        return false;
+    }
+    if (entry.response.truncated) {
+        showToast('This response was too large to keep in full', 'error');
+        return false;
+    }
+    
+    const name = prompt('Example name:', `${entry.response.status} ${entry.response.statusText || ''}`.trim());
+    if (!name || !name.trim()) return false;
+    
+    try {
+        await addExampleToCollection(collection, endpoint.id, buildExampleFromEntry(endpoint, entry, name.trim()));
+    } catch (error) {
+        console.error('Error saving example:', error);
+        showToast(`Could not save example: ${error.message}`, 'error');
+        return false;
+    }
+    
+    // Selected copies of the request pick up the new example right away
+    const item = findItemById(collection.details.item, endpoint.id);
+    state.selectedEndpoints.forEach((selected, key) => {
+        if (selected.collectionUid === collection.uid && selected.id === endpoint.id && item) {
+            state.selectedEndpoints.set(key, { ...selected, response: item.response || [] });
+        }
+    });
+    refreshSelectionViews();
+    playSound(successSound);
+    showToast(`Saved example "${name.trim()}"${collection.isLocal ? ' to the imported collection' : ' to Postman'}`, 'success');
+    return true;
+}
+
+// Body field for Try it: { element, getValue, setValue, getBody(sendVars) }.
+// The value is text for the history and scripts; getBody returns what fetch sends.
+function createTryItBodyInput(endpoint, vars) {
+    const requestBody = endpoint.request && endpoint.request.body;
+    const mode = requestBody && requestBody.mode;
+    const group = document.createElement('div');
+    group.className = 'try-it-group';
+    
+    if (mode === 'graphql') {
+        group.innerHTML = `
+            <label>GraphQL Query</label>
+            <textarea class="try-it-textarea try-it-graphql-query" rows="6" placeholder="query { ... }">${escapeHtml(resolveVariables(String(requestBody.graphql?.query || ''), vars).trim())}</textarea>
+            <label>Variables (JSON)</label>
+            <textarea class="try-it-textarea try-it-graphql-variables" rows="3" placeholder="{ }">${escapeHtml(resolveVariables(getGraphqlVariablesText(requestBody.graphql), vars))}</textarea>
+        `;
+        const queryField = group.querySelector('.try-it-graphql-query');
+        const variablesField = group.querySelector('.try-it-graphql-variables');
+        return {
+            element: group,
+            getValue: () => JSON.stringify({ query: queryField.value, variables: variablesField.value }),
+            setValue: value => {
+                const saved = parseJsonSafe(value);
+                if (!saved || typeof saved !== 'object') return;
+                queryField.value = saved.query || '';
+                variablesField.value = saved.variables || '';
+            },
+            getBody: sendVars => JSON.stringify(getGraphqlPayload(
+                { query: queryField.value, variables: variablesField.value },
+                text => resolveVariables(text, sendVars)
+            ))
+        };
+    }
+    
+    if (endpoint.method === 'GET') return null;
+    
+    if (mode === 'file') {
+        group.innerHTML = `
+            <label>Request Body (binary file)</label>
+            <input type="file" class="try-it-input try-it-file">
+            <p class="try-it-hint">The collection sends ${escapeHtml(getFileSource(requestBody.file?.src))} as ${escapeHtml(getFileContentType(endpoint.request.header))}. Pick the file to upload.</p>
+        `;
+        const fileField = group.querySelector('.try-it-file');
+        return {
+            element: group,
+            // Files can't be kept in the history, a replay asks for the file again
+            getValue: () => null,
+            setValue: () => {},
+            getBody: () => fileField.files[0] || null
+        };
+    }
+    
+    const defaultBody = mode ? resolveVariables(formatRequestBody(requestBody, endpoint.request.header), vars).trim() : '';
+    group.innerHTML = `
+        <label>Request Body</label>
+        <textarea class="try-it-textarea try-it-body" rows="5" placeholder="{ }">${escapeHtml(defaultBody)}</textarea>
+    `;
+    const bodyField = group.querySelector('.try-it-body');
+    return {
+        element: group,
+        getValue: () => bodyField.value,
+        setValue: value => {
+            bodyField.value = value;
+        },
+        getBody: sendVars => bodyField.value ? resolveVariables(bodyField.value, sendVars) : null
+    };
+}
+
+function createTryItBlock(endpoint) {
+    const block = document.createElement('div');
+    block.className = 'info-block try-it-container';
+    
+    const header = document.createElement('div');
+    header.className = 'block-header';
+    header.innerHTML = `<span class="block-title">🚀 Try it Out</span>`;
+    
+    const content = document.createElement('div');
+    content.className = 'block-content try-it-content';
+    
+    // Try it always sends resolved values
+    const vars = getVariableContext(endpoint);
+    
+    // URL input
+    const urlGroup = document.createElement('div');
+    urlGroup.className = 'try-it-group';
+    let defaultUrl = resolveVariables(endpoint.url, vars);
+    urlGroup.innerHTML = `
+        <label>URL</label>
+        <input type="text" class="try-it-input try-it-url" value="${escapeHtml(defaultUrl)}">
+    `;
+    content.appendChild(urlGroup);
+    
+    // Auth credentials
+    const authGroup = createTryItAuthGroup(endpoint, vars);
+    if (authGroup) content.appendChild(authGroup);
+    
+    // Request Headers
+    const headersGroup = document.createElement('div');
+    headersGroup.className = 'try-it-group';
+    let headersContent = '';
+    if (endpoint.request && endpoint.request.header && endpoint.request.header.length > 0) {
+        endpoint.request.header.forEach(h => {
+             if (h.disabled) return;
+             headersContent += `${h.key}: ${resolveVariables(h.value, vars)}\n`;
+        });
+    }
+    const requestBody = endpoint.request && endpoint.request.body;
+    const bodyMode = requestBody && requestBody.mode;
+    // Picked files bring their own type
+    if (!headersContent.includes('Content-Type') && bodyMode !== 'file' &&
+        (bodyMode === 'graphql' || (endpoint.method !== 'GET' && endpoint.method !== 'DELETE'))) {
+        headersContent += `Content-Type: ${RAW_LANGUAGE_CONTENT_TYPES[getRawLanguage(requestBody)] || 'application/json'}\n`;
+    }
+    
+    headersGroup.innerHTML = `
+        <label>Headers (one per line, format: Key: Value)</label>
+        <textarea class="try-it-textarea try-it-headers" rows="3" placeholder="Content-Type: application/json">${escapeHtml(headersContent.trim())}</textarea>
+    `;
+    content.appendChild(headersGroup);
+    
+    // Request Body (if not GET, GraphQL queries are always POSTed)
+    const bodyInput = createTryItBodyInput(endpoint, vars);
+    if (bodyInput) content.appendChild(bodyInput.element);
+    const sendMethod = bodyMode === 'graphql' ? 'POST' : endpoint.method;
+    
+    // Action Buttons
+    const actionGroup = document.createElement('div');
+    actionGroup.className = 'try-it-actions';
+    
+    const sendBtn = document.createElement('button');
+    sendBtn.className = 'btn btn-primary try-it-btn';
+    sendBtn.innerHTML = `<span class="btn-text">Send Request</span><span class="btn-loader"></span>`;
+    
+    const transportInfo = document.createElement('span');
+    transportInfo.className = 'try-it-transport';
+    const transportLabel = document.createElement('span');
+    const transportBtn = document.createElement('button');
+    transportBtn.className = 'btn-link';
+    transportBtn.textContent = 'Transport settings';
+    transportBtn.addEventListener('click', openTransportModal);
+    transportInfo.append(transportLabel, transportBtn);
+    
+    actionGroup.appendChild(transportInfo);
+    actionGroup.appendChild(sendBtn);
+    content.appendChild(actionGroup);
+    
+    const urlField = urlGroup.querySelector('.try-it-url');
+    block.updateTransportLabel = () => {
+        transportLabel.textContent = `via ${describeTransport(getTransportFor(resolveVariables(urlField.value.trim(), getVariableContext(endpoint))))}`;
+    };
+    urlField.addEventListener('input', block.updateTransportLabel);
+    block.updateTransportLabel();
+    
+    // Response Container
+    const responseContainer = document.createElement('div');
+    responseContainer.className = 'try-it-response-container';
+    responseContainer.style.display = 'none';
+    content.appendChild(responseContainer);
+    
+    // History (survives re-renders, the latest entry is shown again)
+    const historyContainer = document.createElement('div');
+    historyContainer.className = 'try-it-history';
+    content.appendChild(historyContainer);
+    
+    const saveExample = entry => saveResponseAsExample(endpoint, entry);
+    const showHistory = () => renderTryItHistory(
+        historyContainer,
+        endpoint,
+        entry => renderTryItResult(responseContainer, endpoint, entry, saveExample),
+        entry => {
+            urlField.value = entry.input.url;
+            const headersField = content.querySelector('.try-it-headers');
+            headersField.value = restoreHeaderLines(entry.input.headers, headersField.value);
+            if (bodyInput && entry.input.body !== null) bodyInput.setValue(entry.input.body);
+            block.updateTransportLabel();
+            sendBtn.click();
+        }
+    );
+    showHistory();
+    const [latestEntry] = getEndpointHistory(endpoint);
+    if (latestEntry) renderTryItResult(responseContainer, endpoint, latestEntry, saveExample);
+    
+    block.appendChild(header);
+    block.appendChild(content);
+    
+    // Event Listener for Send Request
+    sendBtn.addEventListener('click', async () => {
+        playSound(clickSound);
+        sendBtn.classList.add('loading');
+        sendBtn.disabled = true;
+        responseContainer.style.display = 'none';
+        
+        try {
+            // Pre-request scripts see the request before variables are resolved, like in Postman
+            const scripts = endpoint.scripts || { prerequest: [], test: [] };
+            let headerList = parseHeaderLines(content.querySelector('.try-it-headers').value);
+            let localVariables = {};
+            let preRequest = null;
+            const preRequestBody = (bodyInput && bodyInput.getValue()) || '';
+            if (scripts.prerequest.length > 0) {
+                preRequest = await runSandboxedScripts(scripts.prerequest, getScriptInput(endpoint, {
+                    method: sendMethod,
+                    url: urlField.value.trim(),
+                    headers: headerList,
+                    body: preRequestBody
+                }, localVariables));
+                applyScriptVariableChanges(endpoint, preRequest);
+                localVariables = preRequest.localVariables;
+                headerList = preRequest.request.headers;
+                
+                if (preRequest.errors.length > 0) {
+                    renderTryItResult(responseContainer, endpoint, {
+                        sentAt: new Date().toISOString(),
+                        time: 0,
+                        transport: describeTransport(getTransportFor(urlField.value.trim())),
+                        error: { label: 'PRE-REQUEST SCRIPT ERROR', message: 'The request was not sent.', hint: '' },
+                        scriptErrors: preRequest.errors.map(error => ({ ...error, phase: 'prerequest' })),
+                        logs: preRequest.logs
+                    });
+                    return;
+                }
+            }
+            
+            // Variables typed in after rendering are resolved too; local beats environment beats collection
+            const scopes = getScriptScopes(endpoint);
+            const sendVars = { ...scopes.collectionVariables, ...scopes.environment, ...localVariables };
+            let urlInput = resolveVariables(preRequest ? preRequest.request.url : urlField.value.trim(), sendVars);
+            // Recorded before auth is applied so credentials never reach the history
+            const historyUrl = urlInput;
+            
+            let authPlacement = null;
+            if (authGroup) {
+                const authValues = readTryItAuthValues(authGroup);
+                saveSessionCredentials(getCredentialKey(endpoint), authValues);
+                Object.keys(authValues).forEach(field => {
+                    authValues[field] = resolveVariables(authValues[field], sendVars);
+                });
+                authPlacement = getAuthPlacement(endpoint.auth, authValues);
+            }
+            
+            const unresolved = [...new Set([
+                ...findUnresolvedVariables(urlInput),
+                ...(authPlacement ? findUnresolvedVariables(authPlacement.value) : [])
+            ])];
+            if (unresolved.length > 0) {
+                responseContainer.style.display = 'block';
+                responseContainer.innerHTML = `
+                    <div class="try-it-response-header error">
+                        <span class="status-code">UNRESOLVED VARIABLES</span>
+                    </div>
+                    <div class="try-it-response-body">
+                        <pre class="error-text">${escapeHtml(unresolved.map(name => `{{${name}}}`).join(', '))} ${unresolved.length > 1 ? 'have' : 'has'} no value. Select an environment or edit the URL and credentials.</pre>
+                    </div>
+                `;
+                return;
+            }
+            
+            const headers = {};
+            headerList.forEach(header => {
+                headers[header.key] = resolveVariables(header.value, sendVars);
+            });
+            
+            // A header typed by hand takes precedence over the configured auth
+            if (authPlacement && authPlacement.in === 'header' &&
+                !Object.keys(headers).some(key => key.toLowerCase() === authPlacement.name.toLowerCase())) {
+                headers[authPlacement.name] = authPlacement.value;
+            } else if (authPlacement && authPlacement.in === 'query') {
+                try {
+                    const url = new URL(urlInput);
+                    url.searchParams.set(authPlacement.name, authPlacement.value);
+                    urlInput = url.toString();
+                } catch {
+                    urlInput += `${urlInput.includes('?') ? '&' : '?'}${encodeURIComponent(authPlacement.name)}=${encodeURIComponent(authPlacement.value)}`;
+                }
+            }
+            
+            const fetchOptions = {
+                method: sendMethod,
+                headers: headers
+            };
+            
+            if (bodyInput) {
+                try {
+                    // A body replaced by a pre-request script is sent as raw text
+                    const scriptBody = preRequest && preRequest.request.body !== preRequestBody ? preRequest.request.body : null;
+                    const requestData = scriptBody !== null ? resolveVariables(scriptBody, sendVars) : bodyInput.getBody(sendVars);
+                    if (requestData) fetchOptions.body = requestData;
+                } catch (err) {
+                    responseContainer.style.display = 'block';
+                    responseContainer.innerHTML = `
+                        <div class="try-it-response-header error">
+                            <span class="status-code">INVALID BODY</span>
+                        </div>
+                        <div class="try-it-response-body">
+                            <pre class="error-text">${escapeHtml(err.message)}</pre>
+                        </div>
+                    `;
+                    return;
+                }
+            }
+            
+            const startTime = performance.now();
+            let response;
+            let fetchError = null;
+            
+            try {
+                ({ response } = await sendTryItRequest(urlInput, fetchOptions));
+            } catch (err) {
+                fetchError = err;
+            }
+            
+            const timeTaken = Math.round(performance.now() - startTime);
+            const entry = {
+                id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                sentAt: new Date().toISOString(),
+                method: fetchOptions.method,
+                url: historyUrl,
+                time: timeTaken,
+                transport: describeTransport(fetchError?.transport || getTransportFor(urlInput)),
+                input: {
+                    url: urlField.value,
+                    headers: redactHeaderLines(content.querySelector('.try-it-headers').value),
+                    body: bodyInput ? bodyInput.getValue() : null
+                }
+            };
+            if (fetchError) {
+                entry.error = fetchError.diagnosis || { label: 'ERROR', message: fetchError.message || 'Network Error or CORS issue', hint: '' };
+            } else {
+                entry.response = await createHistoryResponse(response, timeTaken);
+            }
+            
+            const logs = preRequest ? [...preRequest.logs] : [];
+            if (entry.response && scripts.test.length > 0) {
+                const testRun = await runSandboxedScripts(scripts.test, getScriptInput(endpoint, {
+                    method: fetchOptions.method,
+                    url: historyUrl,
+                    headers: headerList,
+                    body: typeof fetchOptions.body === 'string' ? fetchOptions.body : ''
+                }, localVariables, entry.response));
+                applyScriptVariableChanges(endpoint, testRun);
+                entry.tests = testRun.tests;
+                entry.scriptErrors = testRun.errors.map(error => ({ ...error, phase: 'test' }));
+                logs.push(...testRun.logs);
+            }
+            if (logs.length > 0) entry.logs = logs;
+            
+            saveEndpointHistory(endpoint, [entry, ...getEndpointHistory(endpoint)]);
+            renderTryItResult(responseContainer, endpoint, entry, saveExample);
+            showHistory();
+            
+        } catch (globalErr) {
+            showToast('Request failed', 'error');
+            console.error(globalErr);
+        } finally {
+            sendBtn.classList.remove('loading');
+            sendBtn.disabled = false;
+        }
+    });
+    
+    return block;
+}
+
+function setAllSummaryItemsOpen(isOpen) {
+    playSound(clickSound);
+    const details = summaryContent.querySelectorAll('.summary-item-card');
+    details.forEach(detail => detail.open = isOpen);
+}
+
+// Code Snippets
+const SNIPPET_LANGUAGES = [
+    { id: 'curl', label: 'cURL', fence: 'bash' },
+    { id: 'fetch', label: 'JavaScript fetch', fence: 'javascript' },
+    { id: 'axios', label: 'axios', fence: 'javascript' },
+    { id: 'python', label: 'Python requests', fence: 'python' },
+    { id: 'dart-http', label: 'Dart http', fence: 'dart' },
+    { id: 'dart-dio', label: 'Dart Dio', fence: 'dart' },
+    { id: 'kotlin', label: 'Kotlin OkHttp', fence: 'kotlin' }
+];
+
+const SNIPPET_GENERATORS = {
+    'curl': generateCurlSnippet,
+    'fetch': generateFetchSnippet,
+    'axios': generateAxiosSnippet,
+    'python': generatePythonSnippet,
+    'dart-http': generateDartHttpSnippet,
+    'dart-dio': generateDartDioSnippet,
+    'kotlin': generateKotlinSnippet
+};
+
+function getSnippetLanguage(id = state.snippetLanguage) {
+    return SNIPPET_LANGUAGES.find(lang => lang.id === id) || SNIPPET_LANGUAGES[0];
+}
+
+// Normalized request used by every generator, values follow the variable mode
+function buildSnippetRequest(endpoint) {
+    const method = endpoint.method.toUpperCase();
+    const headers = (endpoint.request?.header || [])
+        .filter(h => h.key && !h.disabled)
+        .map(h => ({ key: h.key, value: applyVariables(h.value || '', endpoint) }));
+    
+    let body = null;
+    const requestBody = endpoint.request && endpoint.request.body;
+    if (requestBody && requestBody.mode === 'raw' && requestBody.raw) {
+        const text = applyVariables(requestBody.raw, endpoint);
+        const json = parseJsonSafe(text);
+        body = { mode: 'raw', text, json };
+        const contentType = json !== undefined ? 'application/json' : RAW_LANGUAGE_CONTENT_TYPES[getRawLanguage(requestBody)];
+        if (contentType && !headers.some(h => h.key.toLowerCase() === 'content-type')) {
+            headers.push({ key: 'Content-Type', value: contentType });
+        }
+    } else if (requestBody && requestBody.mode === 'graphql') {
+        // Sent as a JSON POST, unparseable variables go out as written
+        let json;
+        try {
+            json = getGraphqlPayload(requestBody.graphql, text => applyVariables(text, endpoint));
+        } catch {
+            json = { query: applyVariables(String(requestBody.graphql?.query || ''), endpoint).trim(), variables: applyVariables(String(requestBody.graphql?.variables || ''), endpoint) };
+        }
+        body = { mode: 'raw', text: JSON.stringify(json), json };
+        if (!headers.some(h => h.key.toLowerCase() === 'content-type')) {
+            headers.push({ key: 'Content-Type', value: 'application/json' });
+        }
+    } else if (requestBody && (requestBody.mode === 'urlencoded' || requestBody.mode === 'formdata')) {
+        const fields = (requestBody[requestBody.mode] || [])
+            .filter(f => f.key && !f.disabled)
+            .map(f => ({
+                key: f.key,
+                value: applyVariables(f.value || '', endpoint),
+                isFile: f.type === 'file',
+                src: Array.isArray(f.src) ? f.src[0] : (f.src || 'path/to/file')
+            }));
+        if (fields.length > 0) body = { mode: requestBody.mode, fields };
+    }
+    
+    return {
+        method: requestBody && requestBody.mode === 'graphql' ? 'POST' : method,
+        url: applyVariables(endpoint.url, endpoint),
+        headers,
+        body
+    };
+}
+
+function generateSnippet(endpoint, languageId = state.snippetLanguage) {
+    const language = getSnippetLanguage(languageId);
+    return SNIPPET_GENERATORS[language.id](buildSnippetRequest(endpoint));
+}
+
+// Renders parsed JSON as a literal; `scalar` maps strings, numbers, booleans and null
+function formatLiteral(value, scalar, indentUnit, indent = 0) {
+    const pad = indentUnit.repeat(indent);
+    const innerPad = indentUnit.repeat(indent + 1);
+    
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '[]';
+        const items = value.map(item => innerPad + formatLiteral(item, scalar, indentUnit, indent + 1));
+        return `[\n${items.join(',\n')}\n${pad}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value);
+        if (keys.length === 0) return '{}';
+        const entries = keys.map(key => `${innerPad}${scalar(key)}: ${formatLiteral(value[key], scalar, indentUnit, indent + 1)}`);
+        return `{\n${entries.join(',\n')}\n${pad}}`;
+    }
+    return scalar(value);
+}
+
+function jsScalar(value) {
+    if (typeof value !== 'string') return JSON.stringify(value);
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+function pythonScalar(value) {
+    if (value === null) return 'None';
+    if (value === true) return 'True';
+    if (value === false) return 'False';
+    return JSON.stringify(value);
+}
+
+function dartScalar(value) {
+    if (typeof value !== 'string') return JSON.stringify(value);
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\$/g, '\\$').replace(/\n/g, '\\n')}'`;
+}
+
+function kotlinString(value) {
+    return JSON.stringify(value).replace(/\$/g, '\\$');
+}
+
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+function indentBlock(text, pad) {
+    return text.split('\n').map((line, i) => (i === 0 ? line : pad + line)).join('\n');
+}
+
+function toObject(entries) {
+    const result = {};
+    entries.forEach(entry => {
+        result[entry.key] = entry.value;
+    });
+    return result;
+}
+
+function generateCurlSnippet(req) {
+    const lines = [`curl${req.method !== 'GET' ? ` -X ${req.method}` : ''} ${shellQuote(req.url)}`];
+    req.headers.forEach(h => lines.push(`-H ${shellQuote(`${h.key}: ${h.value}`)}`));
+    
+    if (req.body && req.body.mode === 'raw') {
+        lines.push(`--data-raw ${shellQuote(req.body.json !== undefined ? JSON.stringify(req.body.json, null, 2) : req.body.text)}`);
+    } else if (req.body && req.body.mode === 'urlencoded') {
+        req.body.fields.forEach(f => lines.push(`--data-urlencode ${shellQuote(`${f.key}=${f.value}`)}`));
+    } else if (req.body && req.body.mode === 'formdata') {
+        req.body.fields.forEach(f => lines.push(`-F ${shellQuote(f.isFile ? `${f.key}=@${f.src}` : `${f.key}=${f.value}`)}`));
+    }
+    
+    return lines.join(' \\\n  ');
+}
+
+function getJsBody(req, indent) {
+    if (!req.body) return null;
+    if (req.body.mode === 'raw') {
+        return req.body.json !== undefined
+            ? { setup: '', value: `JSON.stringify(${formatLiteral(req.body.json, jsScalar, '  ', indent)})`, json: formatLiteral(req.body.json, jsScalar, '  ', indent) }
+            : { setup: '', value: jsScalar(req.body.text) };
+    }
+    if (req.body.mode === 'urlencoded') {
+        return { setup: '', value: `new URLSearchParams(${formatLiteral(toObject(req.body.fields), jsScalar, '  ', indent)})` };
+    }
+    const setup = ['const formData = new FormData();']
+        .concat(req.body.fields.map(f => f.isFile
+            ? `formData.append(${jsScalar(f.key)}, fileInput.files[0]); // ${f.src}`
+            : `formData.append(${jsScalar(f.key)}, ${jsScalar(f.value)});`))
+        .join('\n') + '\n\n';
+    return { setup, value: 'formData' };
+}
+
+function generateFetchSnippet(req) {
+    const body = getJsBody(req, 1);
+    // The browser sets the multipart boundary itself
+    const headers = req.headers.filter(h => !(body && body.value === 'formData' && h.key.toLowerCase() === 'content-type'));
+    const options = [`  method: '${req.method}'`];
+    if (headers.length > 0) {
+        options.push(`  headers: ${formatLiteral(toObject(headers), jsScalar, '  ', 1)}`);
+    }
+    if (body) options.push(`  body: ${body.value}`);
+    
+    return `${body ? body.setup : ''}const response = await fetch(${jsScalar(req.url)}, {\n${options.join(',\n')}\n});\n` +
+        'const data = await response.json();\nconsole.log(data);';
+}
+
+function generateAxiosSnippet(req) {
+    const body = getJsBody(req, 1);
+    const options = [`  method: '${req.method.toLowerCase()}'`, `  url: ${jsScalar(req.url)}`];
+    if (req.headers.length > 0) {
+        options.push(`  headers: ${formatLiteral(toObject(req.headers), jsScalar, '  ', 1)}`);
+    }
+    if (body) options.push(`  data: ${body.json || body.value}`);
+    
+    return `import axios from 'axios';\n\n${body ? body.setup : ''}const response = await axios({\n${options.join(',\n')}\n});\n` +
+        'console.log(response.data);';
+}
+
+function generatePythonSnippet(req) {
+    const lines = ['import requests', '', `url = ${JSON.stringify(req.url)}`];
+    const args = ['url'];
+    
+    const isMultipart = req.body && req.body.mode === 'formdata';
+    const headers = req.headers.filter(h => !(isMultipart && h.key.toLowerCase() === 'content-type'));
+    if (headers.length > 0) {
+        lines.push(`headers = ${formatLiteral(toObject(headers), pythonScalar, '    ')}`);
+        args.push('headers=headers');
+    }
+    
+    if (req.body && req.body.mode === 'raw') {
+        if (req.body.json !== undefined) {
+            lines.push(`payload = ${formatLiteral(req.body.json, pythonScalar, '    ')}`);
+            args.push('json=payload');
+        } else {
+            lines.push(`payload = ${JSON.stringify(req.body.text)}`);
+            args.push('data=payload');
+        }
+    } else if (req.body && req.body.mode === 'urlencoded') {
+        lines.push(`payload = ${formatLiteral(toObject(req.body.fields), pythonScalar, '    ')}`);
+        args.push('data=payload');
+    } else if (isMultipart) {
+        const data = req.body.fields.filter(f => !f.isFile);
+        const files = req.body.fields.filter(f => f.isFile);
+        if (data.length > 0) {
+            lines.push(`payload = ${formatLiteral(toObject(data), pythonScalar, '    ')}`);
+            args.push('data=payload');
+        }
+        if (files.length > 0) {
+            lines.push(`files = {\n${files.map(f => `    ${JSON.stringify(f.key)}: open(${JSON.stringify(f.src)}, "rb")`).join(',\n')}\n}`);
+            args.push('files=files');
+        }
+    }
+    
+    const method = req.method.toLowerCase();
+    const call = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'].includes(method)
+        ? `requests.${method}(${args.join(', ')})`
+        : `requests.request(${JSON.stringify(req.method)}, ${args.join(', ')})`;
+    
+    lines.push('', `response = ${call}`, 'print(response.status_code)', 'print(response.text)');
+    return lines.join('\n');
+}
+
+function generateDartHttpSnippet(req) {
+    const imports = ["import 'package:http/http.dart' as http;"];
+    const method = req.method.toLowerCase();
+    
+    if (req.body && req.body.mode === 'formdata') {
+        const lines = [`final request = http.MultipartRequest('${req.method}', Uri.parse(${dartScalar(req.url)}));`];
+        req.headers
+            .filter(h => h.key.toLowerCase() !== 'content-type')
+            .forEach(h => lines.push(`request.headers[${dartScalar(h.key)}] = ${dartScalar(h.value)};`));
+        req.body.fields.forEach(f => lines.push(f.isFile
+            ? `request.files.add(await http.MultipartFile.fromPath(${dartScalar(f.key)}, ${dartScalar(f.src)}));`
+            : `request.fields[${dartScalar(f.key)}] = ${dartScalar(f.value)};`));
+        lines.push('', 'final response = await http.Response.fromStream(await request.send());', 'print(response.body);');
+        return `${imports.join('\n')}\n\n${lines.join('\n')}`;
+    }
+    
+    let bodyArg = null;
+    if (req.body && req.body.mode === 'raw') {
+        if (req.body.json !== undefined) {
+            imports.unshift("import 'dart:convert';");
+            bodyArg = `jsonEncode(${formatLiteral(req.body.json, dartScalar, '  ', 1)})`;
+        } else {
+            bodyArg = dartScalar(req.body.text);
+        }
+    } else if (req.body && req.body.mode === 'urlencoded') {
+        bodyArg = formatLiteral(toObject(req.body.fields), dartScalar, '  ', 1);
+    }
+    
+    const headersArg = req.headers.length > 0 ? formatLiteral(toObject(req.headers), dartScalar, '  ', 1) : null;
+    
+    if (['get', 'post', 'put', 'patch', 'delete'].includes(method) && !(method === 'get' && bodyArg)) {
+        const args = [`  Uri.parse(${dartScalar(req.url)})`];
+        if (headersArg) args.push(`  headers: ${headersArg}`);
+        if (bodyArg && method !== 'get') args.push(`  body: ${bodyArg}`);
+        return `${imports.join('\n')}\n\nfinal response = await http.${method}(\n${args.join(',\n')},\n);\nprint(response.body);`;
+    }
+    
+    const lines = [`final request = http.Request('${req.method}', Uri.parse(${dartScalar(req.url)}));`];
+    if (headersArg) lines.push(`request.headers.addAll(${indentBlock(headersArg, '')});`);
+    if (bodyArg) lines.push(`request.body = ${bodyArg};`);
+    lines.push('', 'final response = await http.Response.fromStream(await request.send());', 'print(response.body);');
+    return `${imports.join('\n')}\n\n${lines.join('\n')}`;
+}
+
+function generateDartDioSnippet(req) {
+    const args = [`  ${dartScalar(req.url)}`];
+    let setup = '';
+    
+    if (req.body && req.body.mode === 'raw') {
+        args.push(`  data: ${req.body.json !== undefined ? formatLiteral(req.body.json, dartScalar, '  ', 1) : dartScalar(req.body.text)}`);
+    } else if (req.body && req.body.mode === 'urlencoded') {
+        args.push(`  data: ${formatLiteral(toObject(req.body.fields), dartScalar, '  ', 1)}`);
+    } else if (req.body && req.body.mode === 'formdata') {
+        const entries = req.body.fields.map(f => `  ${dartScalar(f.key)}: ${f.isFile ? `await MultipartFile.fromFile(${dartScalar(f.src)})` : dartScalar(f.value)}`);
+        setup = `final formData = FormData.fromMap({\n${entries.join(',\n')},\n});\n\n`;
+        args.push('  data: formData');
+    }
+    
+    const options = [`method: '${req.method}'`];
+    const headers = req.headers.filter(h => !(req.body && req.body.mode === 'formdata' && h.key.toLowerCase() === 'content-type'));
+    if (headers.length > 0) options.push(`headers: ${formatLiteral(toObject(headers), dartScalar, '  ', 2)}`);
+    if (req.body && req.body.mode === 'urlencoded') options.push('contentType: Headers.formUrlEncodedContentType');
+    args.push(`  options: Options(\n    ${options.join(',\n    ')},\n  )`);
+    
+    return "import 'package:dio/dio.dart';\n\nfinal dio = Dio();\n" +
+        `${setup}final response = await dio.request(\n${args.join(',\n')},\n);\nprint(response.data);`;
+}
+
+function generateKotlinSnippet(req) {
+    const imports = ['import okhttp3.OkHttpClient', 'import okhttp3.Request'];
+    const lines = ['val client = OkHttpClient()', ''];
+    let bodyRef = null;
+    
+    if (req.body && req.body.mode === 'raw') {
+        imports.push('import okhttp3.MediaType.Companion.toMediaType', 'import okhttp3.RequestBody.Companion.toRequestBody');
+        const contentType = req.headers.find(h => h.key.toLowerCase() === 'content-type')?.value || 'text/plain';
+        const text = req.body.json !== undefined ? JSON.stringify(req.body.json, null, 2) : req.body.text;
+        lines.push(`val body = """\n${text.replace(/\$/g, () => "${'$'}")}\n""".trimIndent().toRequestBody(${kotlinString(contentType)}.toMediaType())`);
+        bodyRef = 'body';
+    } else if (req.body && req.body.mode === 'urlencoded') {
+        imports.push('import okhttp3.FormBody');
+        lines.push('val body = FormBody.Builder()');
+        req.body.fields.forEach(f => lines.push(`    .add(${kotlinString(f.key)}, ${kotlinString(f.value)})`));
+        lines.push('    .build()');
+        bodyRef = 'body';
+    } else if (req.body && req.body.mode === 'formdata') {
+        imports.push('import okhttp3.MultipartBody', 'import okhttp3.RequestBody.Companion.asRequestBody', 'import java.io.File');
+        lines.push('val body = MultipartBody.Builder()', '    .setType(MultipartBody.FORM)');
+        req.body.fields.forEach(f => lines.push(f.isFile
+            ? `    .addFormDataPart(${kotlinString(f.key)}, File(${kotlinString(f.src)}).name, File(${kotlinString(f.src)}).asRequestBody())`
+            : `    .addFormDataPart(${kotlinString(f.key)}, ${kotlinString(f.value)})`));
+        lines.push('    .build()');
+        bodyRef = 'body';
+    }
+    if (bodyRef) lines.push('');
+    
+    lines.push('val request = Request.Builder()', `    .url(${kotlinString(req.url)})`);
+    const method = req.method.toLowerCase();
+    if (!bodyRef && ['get', 'head', 'delete'].includes(method)) {
+        lines.push(`    .${method}()`);
+    } else if (['post', 'put', 'patch', 'delete'].includes(method)) {
+        lines.push(`    .${method}(${bodyRef || '"".toRequestBody()'})`);
+        if (!bodyRef) imports.push('import okhttp3.RequestBody.Companion.toRequestBody');
+    } else {
+        lines.push(`    .method(${kotlinString(req.method)}, ${bodyRef || 'null'})`);
+    }
+    req.headers
+        .filter(h => !(bodyRef && h.key.toLowerCase() === 'content-type'))
+        .forEach(h => lines.push(`    .addHeader(${kotlinString(h.key)}, ${kotlinString(h.value)})`));
+    lines.push('    .build()', '', 'client.newCall(request).execute().use { response ->', '    println(response.body?.string())', '}');
+    
+    return `${[...new Set(imports)].join('\n')}\n\n${lines.join('\n')}`;
+}
+
+function createSnippetBlock(endpoint) {
+    return createSwitchableCodeBlock({
+        title: '💻 Code',
+        className: 'snippet-block',
+        languages: SNIPPET_LANGUAGES,
+        getLanguage: () => getSnippetLanguage(),
+        onSelect: setSnippetLanguage,
+        render: language => generateSnippet(endpoint, language.id)
+    });
+}
+
+// One language for every card, and for the prompt when snippets are included
+function setSnippetLanguage(id) {
+    state.snippetLanguage = id;
+    localStorage.setItem('postman_snippet_language', id);
+    rerenderSwitchableBlocks('snippet-block');
+    if (state.includeSnippets) updatePromptStats();
+}
+
+function createModelsBlock(endpoint) {
+    if (!generateModels([endpoint])) return null;
+    return createSwitchableCodeBlock({
+        title: '🏗️ Models',
+        className: 'models-block',
+        languages: MODEL_LANGUAGES,
+        getLanguage: () => getModelLanguage(),
+        onSelect: setModelLanguage,
+        render: language => generateModels([endpoint], language.id)
+    });
+}
+
+function setModelLanguage(id) {
+    state.modelLanguage = id;
+    localStorage.setItem('postman_model_language', id);
+    rerenderSwitchableBlocks('models-block');
+}
+
+// Code block with a language picker in its header; the language is shared by all cards
+const switchableBlockRenderers = new WeakMap();
+
+function createSwitchableCodeBlock({ title, className, languages, getLanguage, onSelect, render }) {
+    const pre = createCodeBlock('', '');
+    const select = document.createElement('select');
+    select.className = 'toolbar-select block-language-select';
+    languages.forEach(language => {
+        const option = document.createElement('option');
+        option.value = language.id;
+        option.textContent = language.label;
+        select.appendChild(option);
+    });
+    select.addEventListener('click', (e) => e.stopPropagation());
+    select.addEventListener('change', () => {
+        playSound(clickSound);
+        onSelect(select.value);
+    });
+    
+    const update = () => {
+        const language = getLanguage();
+        pre.textContent = render(language);
+        pre.setAttribute('data-lang', language.label.toUpperCase());
+        select.value = language.id;
+    };
+    
+    const block = createInfoBlock(title, pre, true);
+    block.classList.add(className);
+    const header = block.querySelector('.block-header');
+    header.insertBefore(select, header.querySelector('.btn-copy-small'));
+    
+    switchableBlockRenderers.set(block, update);
+    update();
+    return block;
+}
+
+function rerenderSwitchableBlocks(className) {
+    summaryContent.querySelectorAll(`.${className}`).forEach(block => {
+        const update = switchableBlockRenderers.get(block);
+        if (update) update();
+    });
+}
+
+// Schema Inference
+const SCHEMA_ENUM_MAX_VALUES = 5;
+const SCHEMA_ARRAY_SAMPLE_LIMIT = 200;
+const STRING_FORMATS = [
+    ['uuid', /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i],
+    ['date-time', /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/],
+    ['date', /^\d{4}-\d{2}-\d{2}$/],
+    ['email', /^[^\s@]+@[^\s@]+\.[^\s@]+$/],
+    ['uri', /^https?:\/\/\S+$/i]
+];
+
+// A shape accumulates every value observed at one position across all samples
+function createShape() {
+    return {
+        count: 0,
+        types: {},
+        objectCount: 0,
+        properties: null,
+        items: null,
+        strings: null,
+        tooManyStrings: false,
+        formats: null
+    };
+}
+
+function getValueType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function observeValue(shape, value) {
+    const type = getValueType(value);
+    shape.count++;
+    shape.types[type] = (shape.types[type] || 0) + 1;
+    
+    if (type === 'object') {
+        shape.objectCount++;
+        shape.properties = shape.properties || new Map();
+        Object.keys(value).forEach(key => {
+            if (!shape.properties.has(key)) {
+                shape.properties.set(key, { shape: createShape(), present: 0 });
+            }
+            const property = shape.properties.get(key);
+            property.present++;
+            observeValue(property.shape, value[key]);
+        });
+    } else if (type === 'array') {
+        shape.items = shape.items || createShape();
+        value.slice(0, SCHEMA_ARRAY_SAMPLE_LIMIT).forEach(item => observeValue(shape.items, item));
+    } else if (type === 'string') {
+        shape.strings = shape.strings || new Set();
+        if (shape.strings.size < SCHEMA_ENUM_MAX_VALUES || shape.strings.has(value)) {
+            shape.strings.add(value);
+        } else {
+            shape.tooManyStrings = true;
+        }
+        
+        const matching = STRING_FORMATS.filter(([, pattern]) => pattern.test(value)).map(([name]) => name);
+        shape.formats = shape.formats ? shape.formats.filter(name => matching.includes(name)) : matching;
+    }
+}
+
+function inferShape(samples) {
+    const shape = createShape();
+    samples.forEach(sample => observeValue(shape, sample));
+    return shape;
+}
+
+function getShapeFormat(shape) {
+    return shape.formats && shape.formats.length > 0 ? shape.formats[0] : null;
+}
+
+// Small, repeated sets of short strings look like enums
+function getShapeEnum(shape) {
+    const stringCount = shape.types.string || 0;
+    if (!shape.strings || shape.tooManyStrings || getShapeFormat(shape)) return null;
+    if (stringCount < 3 || shape.strings.size >= stringCount) return null;
+    if ([...shape.strings].some(value => value.length > 40 || value.length === 0)) return null;
+    return [...shape.strings];
+}
+
+function getShapeTypes(shape) {
+    const types = Object.keys(shape.types).filter(type => type !== 'null');
+    // Integers and decimals at the same position are just numbers
+    if (types.includes('integer') && types.includes('number')) {
+        return types.filter(type => type !== 'integer');
+    }
+    return types;
+}
+
+function shapeToJsonSchema(shape) {
+    if (shape.count === 0) return {};
+    
+    const nullable = !!shape.types.null;
+    const schemas = getShapeTypes(shape).map(type => {
+        if (type === 'object') {
+            const properties = {};
+            const required = [];
+            shape.properties.forEach((property, key) => {
+                properties[key] = shapeToJsonSchema(property.shape);
+                if (property.present === shape.objectCount) required.push(key);
+            });
+            const schema = { type: 'object', properties };
+            if (required.length > 0) schema.required = required;
+            return schema;
+        }
+        if (type === 'array') {
+            return { type: 'array', items: shape.items ? shapeToJsonSchema(shape.items) : {} };
+        }
+        if (type === 'string') {
+            const schema = { type: 'string' };
+            const format = getShapeFormat(shape);
+            const values = getShapeEnum(shape);
+            if (format) schema.format = format;
+            if (values) schema.enum = nullable ? [...values, null] : values;
+            return schema;
+        }
+        return { type };
+    });
+    
+    if (schemas.length === 0) return { type: 'null' };
+    if (schemas.length === 1) {
+        if (nullable) schemas[0].type = [schemas[0].type, 'null'];
+        return schemas[0];
+    }
+    return { anyOf: nullable ? [...schemas, { type: 'null' }] : schemas };
+}
+
+function inferJsonSchema(...samples) {
+    return shapeToJsonSchema(inferShape(samples));
+}
+
+// TypeScript-like outline of a shape, e.g. `id: string (uuid)` and `note?: string | null`
+function shapeToOutline(shape, indent = 0) {
+    if (shape.count === 0) return 'unknown';
+    
+    const pad = '  '.repeat(indent);
+    const labels = getShapeTypes(shape).map(type => {
+        if (type === 'object') {
+            if (shape.properties.size === 0) return '{}';
+            const lines = [];
+            shape.properties.forEach((property, key) => {
+                const optional = property.present < shape.objectCount ? '?' : '';
+                const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+                lines.push(`${pad}  ${name}${optional}: ${shapeToOutline(property.shape, indent + 1)}`);
+            });
+            return `{\n${lines.join('\n')}\n${pad}}`;
+        }
+        if (type === 'array') {
+            if (!shape.items || shape.items.count === 0) return 'unknown[]';
+            const itemTypes = getShapeTypes(shape.items);
+            const itemOutline = shapeToOutline(shape.items, indent);
+            const isSimple = itemTypes.length === 1 && itemTypes[0] !== 'object' && !shape.items.types.null && !getShapeEnum(shape.items);
+            return isSimple ? `${itemOutline}[]` : `Array<${itemOutline}>`;
+        }
+        if (type === 'string') {
+            const values = getShapeEnum(shape);
+            if (values) return values.map(value => JSON.stringify(value)).join(' | ');
+            const format = getShapeFormat(shape);
+            return format ? `string (${format})` : 'string';
+        }
+        return type;
+    });
+    
+    if (labels.length === 0) return 'null';
+    if (shape.types.null) labels.push('null');
+    return labels.join(' | ');
+}
+
+// Request body outline plus one merged outline per response status
+function getEndpointSchemas(endpoint) {
+    const vars = getVariableContext(endpoint);
+    const requestBody = endpoint.request && endpoint.request.body;
+    let requestSchema = '';
+    
+    if (requestBody && requestBody.mode === 'raw') {
+        const parsed = parseJsonSafe(resolveVariables(requestBody.raw || '', vars));
+        if (parsed !== undefined) requestSchema = shapeToOutline(inferShape([parsed]));
+    }
+    
+    const groups = new Map();
+    (endpoint.response || []).forEach(response => {
+        const parsed = parseJsonSafe(response.body);
+        if (parsed === undefined) return;
+        
+        const key = response.code ? String(response.code) : (response.name || 'Success');
+        if (!groups.has(key)) {
+            groups.set(key, { code: response.code || '', status: response.status || '', names: [], samples: [] });
+        }
+        const group = groups.get(key);
+        group.names.push(response.name || 'Success');
+        group.samples.push(parsed);
+    });
+    
+    const responseSchemas = [...groups.values()].map(group => {
+        const title = group.code ? `${group.code} ${group.status}`.trim() : group.names[0];
+        const merged = group.samples.length > 1 ? ` · ${group.samples.length} examples merged` : '';
+        return {
+            code: group.code,
+            label: `${title}${merged}`,
+            exampleCount: group.samples.length,
+            outline: shapeToOutline(inferShape(group.samples))
+        };
+    });
+    
+    return { requestSchema, responseSchemas };
+}
+
+// Model Generation
+const MODEL_LANGUAGES = [
+    { id: 'typescript', label: 'TypeScript', extension: 'ts' },
+    { id: 'dart', label: 'Dart', extension: 'dart' },
+    { id: 'kotlin', label: 'Kotlin', extension: 'kt' }
+];
+
+const MODEL_GENERATORS = {
+    typescript: generateTypeScriptModels,
+    dart: generateDartModels,
+    kotlin: generateKotlinModels
+};
+
+const DART_RESERVED_WORDS = ['class', 'default', 'enum', 'extends', 'final', 'for', 'if', 'in', 'is', 'new', 'null', 'return', 'switch', 'this', 'true', 'false', 'var', 'void', 'with', 'required', 'get', 'set'];
+const KOTLIN_RESERVED_WORDS = ['as', 'break', 'class', 'continue', 'do', 'else', 'false', 'for', 'fun', 'if', 'in', 'interface', 'is', 'null', 'object', 'package', 'return', 'super', 'this', 'throw', 'true', 'try', 'typealias', 'val', 'var', 'when', 'while'];
+
+function getModelLanguage(id = state.modelLanguage) {
+    return MODEL_LANGUAGES.find(lang => lang.id === id) || MODEL_LANGUAGES[0];
+}
+
+function toPascalCase(text) {
+    const words = String(text || '')
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean);
+    const name = words.map(word => word[0].toUpperCase() + word.slice(1).toLowerCase()).join('');
+    return /^[0-9]/.test(name) ? `Model${name}` : name;
+}
+
+function toCamelCase(text) {
+    const name = toPascalCase(text);
+    return name ? name[0].toLowerCase() + name.slice(1) : 'value';
+}
+
+// Good enough for field names like `items` or `categories`
+function singularize(word) {
+    if (/ies$/.test(word)) return word.replace(/ies$/, 'y');
+    if (/(ss|us)$/.test(word)) return word;
+    if (/s$/.test(word)) return word.replace(/s$/, '');
+    return `${word}Item`;
+}
+
+function reserveName(name, usedNames) {
+    let unique = name;
+    let n = 2;
+    while (usedNames.has(unique)) unique = `${name}${n++}`;
+    usedNames.add(unique);
+    return unique;
+}
+
+// Turns a shape into a type reference, registering one model per object shape.
+// `{ kind: 'object' | 'array' | 'string' | 'integer' | 'number' | 'boolean' | 'any', nullable }`
+function shapeToTypeRef(shape, name, models, usedNames) {
+    const types = getShapeTypes(shape);
+    const nullable = !!shape.types.null;
+    if (types.length !== 1) return { kind: 'any', nullable };
+    
+    const type = types[0];
+    if (type === 'object') {
+        const model = { name: reserveName(name, usedNames), fields: [] };
+        models.push(model);
+        shape.properties.forEach((property, key) => {
+            const fieldName = toPascalCase(key) || 'Field';
+            model.fields.push({
+                key,
+                optional: property.present < shape.objectCount,
+                ref: shapeToTypeRef(property.shape, `${model.name}${fieldName}`, models, usedNames)
+            });
+        });
+        return { kind: 'object', name: model.name, nullable };
+    }
+    if (type === 'array') {
+        const item = shape.items && shape.items.count > 0
+            ? shapeToTypeRef(shape.items, singularize(name), models, usedNames)
+            : { kind: 'any', nullable: false };
+        return { kind: 'array', item, nullable };
+    }
+    return { kind: type, nullable };
+}
+
+// Request body plus one root model per response status, named after the endpoint.
+// Top-level arrays become an alias (`{ name, alias }`) placed before their item model.
+function buildEndpointModels(endpoint, usedNames = new Set()) {
+    const baseName = toPascalCase(endpoint.name) || toPascalCase(`${endpoint.method} ${endpoint.path}`) || 'Endpoint';
+    const models = [];
+    
+    const addRoot = (samples, name) => {
+        const shape = inferShape(samples);
+        const types = getShapeTypes(shape);
+        if (types.length !== 1) return;
+        
+        if (types[0] === 'object') {
+            shapeToTypeRef(shape, name, models, usedNames);
+        } else if (types[0] === 'array') {
+            const model = { name: reserveName(name, usedNames), alias: null };
+            models.push(model);
+            model.alias = shapeToTypeRef(shape, model.name, models, usedNames);
+        }
+    };
+    
+    const requestBody = endpoint.request && endpoint.request.body;
+    if (requestBody && requestBody.mode === 'raw') {
+        const parsed = parseJsonSafe(resolveVariables(requestBody.raw || '', getVariableContext(endpoint)));
+        if (parsed !== undefined) addRoot([parsed], `${baseName}Request`);
+    }
+    
+    const groups = new Map();
+    (endpoint.response || []).forEach(response => {
+        const parsed = parseJsonSafe(response.body);
+        if (parsed === undefined) return;
+        const code = Number(response.code) || 0;
+        const key = !code || (code >= 200 && code < 300) ? 'success' : String(code);
+        if (!groups.has(key)) groups.set(key, { samples: [] });
+        groups.get(key).samples.push(parsed);
+    });
+    groups.forEach((group, key) => {
+        addRoot(group.samples, `${baseName}${key === 'success' ? 'Response' : `Error${key}`}`);
+    });
+    
+    return models;
+}
+
+function buildModels(endpoints) {
+    const usedNames = new Set();
+    return endpoints.flatMap(endpoint => buildEndpointModels(endpoint, usedNames));
+}
+
+function renderModels(models, languageId = state.modelLanguage) {
+    if (models.length === 0) return '';
+    return MODEL_GENERATORS[getModelLanguage(languageId).id](models);
+}
+
+function generateModels(endpoints, languageId = state.modelLanguage) {
+    return renderModels(buildModels(endpoints), languageId);
+}
+
+function typeScriptType(ref) {
+    if (ref.kind === 'any') return 'unknown';
+    let type;
+    if (ref.kind === 'object') type = ref.name;
+    else if (ref.kind === 'array') {
+        const item = typeScriptType(ref.item);
+        type = /[ |]/.test(item) ? `Array<${item}>` : `${item}[]`;
+    } else if (ref.kind === 'integer' || ref.kind === 'number') type = 'number';
+    else type = ref.kind;
+    return ref.nullable ? `${type} | null` : type;
+}
+
+function generateTypeScriptModels(models) {
+    const blocks = models.map(model => {
+        if (model.alias) return `export type ${model.name} = ${typeScriptType(model.alias)};`;
+        const fields = model.fields.map(field => {
+            const key = /^[A-Za-z_$][\w$]*$/.test(field.key) ? field.key : JSON.stringify(field.key);
+            return `  ${key}${field.optional ? '?' : ''}: ${typeScriptType(field.ref)};`;
+        });
+        return `export interface ${model.name} {\n${fields.join('\n')}\n}`;
+    });
+    return blocks.join('\n\n');
+}
+
+function dartType(ref) {
+    const types = { string: 'String', integer: 'int', number: 'double', boolean: 'bool', any: 'dynamic' };
+    let type;
+    if (ref.kind === 'object') type = ref.name;
+    else if (ref.kind === 'array') type = `List<${dartType(ref.item)}>`;
+    else type = types[ref.kind];
+    return ref.nullable && type !== 'dynamic' ? `${type}?` : type;
+}
+
+function dartFromJson(ref, expr) {
+    const q = ref.nullable ? '?' : '';
+    if (ref.kind === 'object') {
+        const value = `${ref.name}.fromJson(${expr} as Map<String, dynamic>)`;
+        return ref.nullable ? `${expr} == null ? null : ${value}` : value;
+    }
+    if (ref.kind === 'array') {
+        return `(${expr} as List<dynamic>${q})${q}.map((e) => ${dartFromJson(ref.item, 'e')}).toList()`;
+    }
+    if (ref.kind === 'number') return `(${expr} as num${q})${q}.toDouble()`;
+    if (ref.kind === 'any') return expr;
+    return `${expr} as ${dartType(ref)}`;
+}
+
+function dartToJson(ref, expr) {
+    const q = ref.nullable ? '?' : '';
+    if (ref.kind === 'object') return `${expr}${q}.toJson()`;
+    if (ref.kind === 'array' && (ref.item.kind === 'object' || ref.item.kind === 'array')) {
+        return `${expr}${q}.map((e) => ${dartToJson(ref.item, 'e')}).toList()`;
+    }
+    return expr;
+}
+
+// Keys such as user_id and userId share a camelCase name, later ones get a numeric suffix
+// and keep their JSON key through the explicit mapping
+function getFieldNames(fields, toFieldName) {
+    const used = new Set();
+    return fields.map(field => {
+        const base = toCamelCase(field.key);
+        let name = toFieldName(base);
+        for (let n = 2; used.has(name); n++) name = toFieldName(`${base}${n}`);
+        used.add(name);
+        return name;
+    });
+}
+
+function dartFieldName(name) {
+    return DART_RESERVED_WORDS.includes(name) ? `${name}Value` : name;
+}
+
+function generateDartModels(models) {
+    const blocks = models.map(model => {
+        if (model.alias) return `typedef ${model.name} = ${dartType(model.alias)};`;
+        const names = getFieldNames(model.fields, dartFieldName);
+        const fields = model.fields.map((field, index) => {
+            const ref = field.optional ? { ...field.ref, nullable: true } : field.ref;
+            return { key: field.key, name: names[index], ref };
+        });
+        const jsonKey = key => dartScalar(key);
+        
+        return [
+            `class ${model.name} {`,
+            ...fields.map(f => `  final ${dartType(f.ref)} ${f.name};`),
+            '',
+            `  const ${model.name}({`,
+            ...fields.map(f => `    ${f.ref.nullable || f.ref.kind === 'any' ? '' : 'required '}this.${f.name},`),
+            '  });',
+            '',
+            `  factory ${model.name}.fromJson(Map<String, dynamic> json) => ${model.name}(`,
+            ...fields.map(f => `        ${f.name}: ${dartFromJson(f.ref, `json[${jsonKey(f.key)}]`)},`),
+            '      );',
+            '',
+            '  Map<String, dynamic> toJson() => {',
+            ...fields.map(f => `        ${jsonKey(f.key)}: ${dartToJson(f.ref, f.name)},`),
+            '      };',
+            '}'
+        ].join('\n');
+    });
+    return blocks.join('\n\n');
+}
+
+function kotlinType(ref) {
+    const types = { string: 'String', integer: 'Long', number: 'Double', boolean: 'Boolean', any: 'JsonElement' };
+    let type;
+    if (ref.kind === 'object') type = ref.name;
+    else if (ref.kind === 'array') type = `List<${kotlinType(ref.item)}>`;
+    else type = types[ref.kind];
+    return ref.nullable ? `${type}?` : type;
+}
+
+function kotlinFieldName(name) {
+    return KOTLIN_RESERVED_WORDS.includes(name) ? `\`${name}\`` : name;
+}
+
+// kotlinx.serialization data classes
+function generateKotlinModels(models) {
+    const imports = new Set(['import kotlinx.serialization.Serializable']);
+    const uses = (ref, kind) => ref.kind === kind || (ref.kind === 'array' && uses(ref.item, kind));
+    
+    const blocks = models.map(model => {
+        if (model.alias) {
+            if (uses(model.alias, 'any')) imports.add('import kotlinx.serialization.json.JsonElement');
+            return `typealias ${model.name} = ${kotlinType(model.alias)}`;
+        }
+        const names = getFieldNames(model.fields, kotlinFieldName);
+        const fields = model.fields.map((field, index) => {
+            const ref = field.optional ? { ...field.ref, nullable: true } : field.ref;
+            const name = names[index];
+            if (uses(ref, 'any')) imports.add('import kotlinx.serialization.json.JsonElement');
+            
+            let line = `    val ${name}: ${kotlinType(ref)}${ref.nullable ? ' = null' : ''},`;
+            if (name.replace(/`/g, '') !== field.key) {
+                imports.add('import kotlinx.serialization.SerialName');
+                line = `    @SerialName(${kotlinString(field.key)})\n${line}`;
+            }
+            return line;
+        });
+        return `@Serializable\ndata class ${model.name}(\n${fields.join('\n')}\n)`;
+    });
+    return `${[...imports].sort().join('\n')}\n\n${blocks.join('\n\n')}`;
+}
+
+// Field names are redacted before the code is generated, the code itself would mask "password: string"
+async function exportModels(languageId) {
+    playSound(clickSound);
+    closeExportMenus();
+    
+    const endpoints = [...state.selectedEndpoints.values()];
+    const language = getModelLanguage(languageId);
+    let models = buildModels(endpoints);
+    if (models.length === 0) {
+        showToast('No JSON bodies to generate models from', 'error');
+        return;
+    }
+    
+    const findings = createRedactionFindings();
+    const redactedModels = redactValue(models, findings);
+    const redact = await confirmRedaction(findings);
+    if (redact === null) return;
+    if (redact) models = redactedModels;
+    const redacted = redact ? findings.total() : 0;
+    
+    downloadFile(`${renderModels(models, language.id)}\n`, `${getExportBaseName(endpoints)}.models.${language.extension}`, 'text/plain');
+    
+    playSound(successSound);
+    showToast(`${language.label} models downloaded${describeRedaction(redacted)}!`, 'success');
+}
+
+// Query, path and form values are always strings in Postman, guess the intended type
+function inferScalarSchema(value) {
+    const text = String(value ?? '');
+    if (/^-?\d+$/.test(text)) return { type: 'integer' };
+    if (/^-?\d+\.\d+$/.test(text)) return { type: 'number' };
+    if (/^(true|false)$/i.test(text)) return { type: 'boolean' };
+    return { type: 'string' };
+}
+
+function coerceScalar(value, schema) {
+    if (schema.type === 'integer' || schema.type === 'number') return Number(value);
+    if (schema.type === 'boolean') return String(value).toLowerCase() === 'true';
+    return value;
+}
+
+function parseJsonSafe(text) {
+    if (typeof text !== 'string') return undefined;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return undefined;
+    }
+}
+
+// OpenAPI Export
+const OPENAPI_IGNORED_HEADERS = ['content-type', 'accept', 'authorization', 'content-length', 'host'];
+
+function buildOpenApiDocument(endpoints) {
+    const collectionNames = [...new Set(endpoints.map(e => e.collectionName).filter(Boolean))];
+    const descriptions = collectionNames
+        .map(name => state.collections.find(c => c.name === name)?.description)
+        .filter(Boolean);
+    
+    const doc = {
+        openapi: '3.1.0',
+        info: {
+            title: collectionNames.join(' + ') || 'API',
+            version: '1.0.0'
+        },
+        servers: [],
+        tags: [],
+        paths: {}
+    };
+    if (descriptions.length > 0) doc.info.description = descriptions.join('\n\n');
+    
+    const servers = new Map();
+    const tags = new Set();
+    const operationIds = new Set();
+    const skipped = [];
+    
+    endpoints.forEach(endpoint => {
+        const location = getOpenApiLocation(endpoint);
+        if (location.server && !servers.has(location.server.url)) {
+            servers.set(location.server.url, location.server);
+        }
+        
+        const method = endpoint.method.toLowerCase();
+        doc.paths[location.path] = doc.paths[location.path] || {};
+        if (doc.paths[location.path][method]) {
+            skipped.push(`${endpoint.method} ${location.path}`);
+            return;
+        }
+        
+        const tag = endpoint.folderPath && endpoint.folderPath.length > 0
+            ? endpoint.folderPath.join(' / ')
+            : endpoint.collectionName;
+        if (tag) tags.add(tag);
+        
+        const operation = {};
+        if (tag) operation.tags = [tag];
+        if (endpoint.name) operation.summary = endpoint.name;
+        const description = getDescriptionText(endpoint.request && endpoint.request.description);
+        if (description) operation.description = description;
+        operation.operationId = createOperationId(endpoint, operationIds);
+        
+        const parameters = [
+            ...location.pathParams,
+            ...getOpenApiQueryParams(endpoint),
+            ...getOpenApiHeaderParams(endpoint)
+        ];
+        if (parameters.length > 0) operation.parameters = parameters;
+        
+        const requestBody = getOpenApiRequestBody(endpoint);
+        if (requestBody) operation.requestBody = requestBody;
+        
+        operation.responses = getOpenApiResponses(endpoint);
+        doc.paths[location.path][method] = operation;
+    });
+    
+    doc.servers = [...servers.values()];
+    if (doc.servers.length === 0) delete doc.servers;
+    doc.tags = [...tags].map(name => ({ name }));
+    
+    return { doc, skipped };
+}
+
+function getDescriptionText(description) {
+    if (!description) return '';
+    return typeof description === 'string' ? description : (description.content || '');
+}
+
+// Splits the resolved URL into a server and an OpenAPI path template
+function getOpenApiLocation(endpoint) {
+    const vars = getVariableContext(endpoint);
+    const url = endpoint.request && typeof endpoint.request.url === 'object' ? endpoint.request.url : null;
+    const pathVariables = new Map((url?.variable || []).map(v => [v.key, v]));
+    
+    let rawUrl = resolveVariables(endpoint.url, vars).split('?')[0].split('#')[0];
+    let server = null;
+    
+    const originMatch = rawUrl.match(/^([a-z][a-z0-9+.-]*:\/\/[^/]+)(.*)$/i);
+    if (originMatch) {
+        server = { url: originMatch[1] };
+        rawUrl = originMatch[2];
+    } else if (/^\{\{[^}]+\}\}/.test(rawUrl)) {
+        // Host is a variable without a value
+        const name = rawUrl.match(/^\{\{\s*([^}\s]+)\s*\}\}/)[1];
+        server = { url: `{${name}}`, variables: { [name]: { default: 'https://api.example.com' } } };
+        rawUrl = rawUrl.replace(/^\{\{[^}]+\}\}/, '');
+    } else {
+        // Postman sends URLs without a scheme over http
+        const hostMatch = rawUrl.match(/^((?:localhost|[\w-]+(?:\.[\w-]+)+)(?::\d+)?)(\/.*)?$/i);
+        if (hostMatch) {
+            server = { url: `${url?.protocol || 'http'}://${hostMatch[1]}` };
+            rawUrl = hostMatch[2] || '';
+        }
+    }
+    
+    const pathParams = [];
+    const addPathParam = name => {
+        if (pathParams.some(param => param.name === name)) return `{${name}}`;
+        const variable = pathVariables.get(name);
+        const param = { name, in: 'path', required: true, schema: inferScalarSchema(variable?.value) };
+        const description = getDescriptionText(variable?.description);
+        if (description) param.description = description;
+        if (variable && variable.value) param.example = coerceScalar(resolveVariables(variable.value, vars), param.schema);
+        pathParams.push(param);
+        return `{${name}}`;
+    };
+    // ":id" segments, and unresolved {{variables}} anywhere in a segment such as "v{{version}}"
+    const segments = rawUrl.split('/').filter(Boolean).map(segment => {
+        const paramMatch = segment.match(/^:(.+)$/);
+        if (paramMatch) return addPathParam(paramMatch[1]);
+        return segment.replace(/\{\{\s*([^{}\s]+)\s*\}\}/g, (match, name) => addPathParam(name));
+    });
+    
+    return { server, path: '/' + segments.join('/'), pathParams };
+}
+
+function getOpenApiQueryParams(endpoint) {
+    const vars = getVariableContext(endpoint);
+    return extractQueryParams(endpoint.request)
+        .filter(param => param.key && !param.disabled)
+        .map(param => {
+            const value = resolveVariables(param.value || '', vars);
+            const result = { name: param.key, in: 'query', schema: inferScalarSchema(value) };
+            const description = getDescriptionText(param.description);
+            if (description) result.description = description;
+            if (value) result.example = coerceScalar(value, result.schema);
+            return result;
+        });
+}
+
+function getOpenApiHeaderParams(endpoint) {
+    const vars = getVariableContext(endpoint);
+    return (endpoint.request?.header || [])
+        .filter(h => h.key && !h.disabled && !OPENAPI_IGNORED_HEADERS.includes(h.key.toLowerCase()))
+        .map(h => {
+            const result = { name: h.key, in: 'header', schema: { type: 'string' } };
+            const description = getDescriptionText(h.description);
+            if (description) result.description = description;
+            if (h.value) result.example = resolveVariables(h.value, vars);
+            return result;
+        });
+}
+
+function getOpenApiRequestBody(endpoint) {
+    const body = endpoint.request && endpoint.request.body;
+    if (!body || !body.mode) return null;
+    const vars = getVariableContext(endpoint);
+    
+    if (body.mode === 'raw') {
+        const raw = resolveVariables(body.raw || '', vars);
+        if (!raw.trim()) return null;
+        const parsed = parseJsonSafe(raw);
+        if (parsed !== undefined) {
+            return { content: { 'application/json': { schema: inferJsonSchema(parsed), example: parsed } } };
+        }
+        const mediaType = RAW_LANGUAGE_CONTENT_TYPES[getRawLanguage(body)] || 'text/plain';
+        return { content: { [mediaType]: { schema: { type: 'string' }, example: raw } } };
+    }
+    
+    if (body.mode === 'graphql') {
+        let payload;
+        try {
+            payload = getGraphqlPayload(body.graphql, text => resolveVariables(text, vars));
+        } catch {
+            payload = { query: resolveVariables(String(body.graphql?.query || ''), vars).trim() };
+        }
+        const operation = getGraphqlOperation(payload.query);
+        return {
+            ...(operation ? { description: `GraphQL ${operation}` } : {}),
+            content: { 'application/json': { schema: inferJsonSchema(payload), example: payload } }
+        };
+    }
+    
+    if (body.mode === 'file') {
+        return { content: { [getFileContentType(endpoint.request.header)]: { schema: { type: 'string', format: 'binary' } } } };
+    }
+    
+    if (body.mode === 'formdata' || body.mode === 'urlencoded') {
+        const fields = (body[body.mode] || []).filter(f => f.key && !f.disabled);
+        if (fields.length === 0) return null;
+        
+        const properties = {};
+        fields.forEach(field => {
+            if (field.type === 'file') {
+                properties[field.key] = { type: 'string', format: 'binary' };
+            } else {
+                const value = resolveVariables(field.value || '', vars);
+                const schema = inferScalarSchema(value);
+                properties[field.key] = value ? { ...schema, example: coerceScalar(value, schema) } : schema;
+            }
+            const description = getDescriptionText(field.description);
+            if (description) properties[field.key].description = description;
+        });
+        
+        const mediaType = body.mode === 'formdata' ? 'multipart/form-data' : 'application/x-www-form-urlencoded';
+        return { content: { [mediaType]: { schema: { type: 'object', properties } } } };
+    }
+    
+    return null;
+}
+
+function getOpenApiResponses(endpoint) {
+    const responses = {};
+    
+    (endpoint.response || []).forEach((response, index) => {
+        const code = String(response.code || 200);
+        const entry = responses[code] = responses[code] || { description: response.status || response.name || 'Response' };
+        if (!response.body) return;
+        
+        const contentTypeHeader = (response.header || []).find(h => h.key && h.key.toLowerCase() === 'content-type');
+        const parsed = parseJsonSafe(response.body);
+        const mediaType = contentTypeHeader
+            ? contentTypeHeader.value.split(';')[0].trim()
+            : (parsed !== undefined ? 'application/json' : 'text/plain');
+        
+        entry.content = entry.content || {};
+        const media = entry.content[mediaType] = entry.content[mediaType] || { schema: { type: 'string' }, examples: {} };
+        if (parsed !== undefined) {
+            // Every example with the same status and media type feeds one merged schema
+            const samples = Object.values(media.examples).map(example => example.value);
+            media.schema = inferJsonSchema(...samples.filter(v => typeof v !== 'string'), parsed);
+        }
+        
+        const exampleKey = (response.name || `example${index + 1}`).replace(/[^a-zA-Z0-9_.-]+/g, '_');
+        media.examples[exampleKey] = { summary: response.name || exampleKey, value: parsed !== undefined ? parsed : response.body };
+    });
+    
+    if (Object.keys(responses).length === 0) {
+        responses['200'] = { description: 'Successful response' };
+    }
+    return responses;
+}
+
+function createOperationId(endpoint, usedIds) {
+    const words = (endpoint.name || `${endpoint.method} ${endpoint.path}`)
+        .replace(/[^a-zA-Z0-9]+/g, ' ')
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean);
+    const base = words
+        .map((word, i) => i === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase())
+        .join('') || endpoint.method.toLowerCase();
+    
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) id = `${base}${n}`;
+    usedIds.add(id);
+    return id;
+}
+
+// Small YAML emitter, enough for OpenAPI documents
+function toYaml(value, indent = 0) {
+    const pad = '  '.repeat(indent);
+    const isNested = (v) => v && typeof v === 'object' && Object.keys(v).length > 0;
+    
+    if (Array.isArray(value) && value.length > 0) {
+        return value.map(item => isNested(item)
+            ? `${pad}- ${toYaml(item, indent + 1).trimStart()}`
+            : `${pad}- ${yamlScalar(item, indent + 1)}`
+        ).join('\n');
+    }
+    
+    if (isNested(value) && !Array.isArray(value)) {
+        return Object.keys(value).map(key => {
+            const item = value[key];
+            return isNested(item)
+                ? `${pad}${yamlString(key)}:\n${toYaml(item, indent + 1)}`
+                : `${pad}${yamlString(key)}: ${yamlScalar(item, indent + 1)}`;
+        }).join('\n');
+    }
+    
+    return yamlScalar(value, indent);
+}
+
+function yamlScalar(value, indent) {
+    if (value === null || value === undefined) return 'null';
+    if (Array.isArray(value)) return '[]';
+    if (typeof value === 'object') return '{}';
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    
+    const text = String(value);
+    if (text.includes('\n') && !/^\s/.test(text)) {
+        const pad = '  '.repeat(indent);
+        // Strip, clip or keep by the number of trailing line breaks; the line break after the
+        // scalar ends the last content line, so one fewer is written
+        const trailing = text.match(/\n*$/)[0].length;
+        const indicator = trailing === 0 ? '|-' : trailing === 1 ? '|' : '|+';
+        const body = trailing > 0 ? text.slice(0, -1) : text;
+        return `${indicator}\n` + body.split('\n').map(line => line ? pad + line : '').join('\n');
+    }
+    return yamlString(text);
+}
+
+function yamlString(text) {
+    const isPlain = /^[A-Za-z_/][A-Za-z0-9_ ./()-]*$/.test(text) &&
+        !/\s$/.test(text) &&
+        !/^(true|false|null|yes|no|on|off|y|n)$/i.test(text);
+    return isPlain ? text : JSON.stringify(text);
+}
+
+async function exportOpenApi(format) {
+    playSound(clickSound);
+    closeExportMenus();
+    
+    const endpoints = [...state.selectedEndpoints.values()];
+    if (endpoints.length === 0) return;
+    
+    let { doc, skipped } = buildOpenApiDocument(endpoints);
+    const findings = createRedactionFindings();
+    const redactedDoc = redactValue(doc, findings);
+    const redact = await confirmRedaction(findings);
+    if (redact === null) return;
+    if (redact) doc = redactedDoc;
+    const redacted = redact ? findings.total() : 0;
+    
+    const content = format === 'json' ? JSON.stringify(doc, null, 2) : toYaml(doc) + '\n';
+    const baseName = slugify(doc.info.title) || 'api';
+    
+    downloadFile(content, `${baseName}.openapi.${format === 'json' ? 'json' : 'yaml'}`,
+        format === 'json' ? 'application/json' : 'application/yaml');
+    
+    playSound(successSound);
+    if (skipped.length > 0) {
+        showToast(`OpenAPI exported${describeRedaction(redacted)}, skipped duplicate ${skipped.join(', ')}`, 'error');
+    } else {
+        showToast(`OpenAPI spec downloaded${describeRedaction(redacted)}!`, 'success');
+    }
+}
+
+function toggleExportMenu(menu) {
+    const isOpen = menu.classList.contains('open');
+    closeExportMenus();
+    if (!isOpen) {
+        playSound(clickSound);
+        menu.classList.add('open');
+    }
+}
+
+function closeExportMenus() {
+    document.querySelectorAll('.dropdown.open').forEach(menu => menu.classList.remove('open'));
+}
+
+// Prompt Budget
+function readPromptBudget() {
+    const defaults = { maxTokens: 0, maxArrayItems: 3, maxDepth: 5, dropDuplicates: true };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(PROMPT_BUDGET_KEY) || '{}') };
+    } catch {
+        return defaults;
+    }
+}
+
+// Rough BPE estimate: words cost about one token per 4 characters, punctuation one each
+function estimateTokens(text) {
+    let tokens = 0;
+    for (const match of text.matchAll(/[A-Za-z]+|\d+|[^\sA-Za-z\d]/g)) {
+        const piece = match[0];
+        tokens += /[A-Za-z\d]/.test(piece[0]) ? Math.ceil(piece.length / 4) : 1;
+    }
+    return tokens;
+}
+
+function formatCount(n) {
+    return n >= 1000 ? `${(n / 1000).toFixed(n >= 10000 ? 0 : 1)}k` : String(n);
+}
+
+function renderPromptTemplate(context) {
+    const template = getActiveTemplate();
+    try {
+        return renderTemplate(template.template, context);
+    } catch (error) {
+        // A broken custom template must not block copying
+        console.error('Template error:', error);
+        showToast(`Template "${template.name}" failed: ${error.message}. Using Classic.`, 'error');
+        return renderTemplate(PROMPT_TEMPLATE_PRESETS[0].template, context);
+    }
+}
+
+// Renders the prompt, applying reductions one at a time until it fits the budget.
+// What is still too large carries the options to split it with, see splitPrompt.
+function buildPrompt() {
+    const budget = state.promptBudget;
+    const steps = [{ label: null, options: {} }];
+    if (budget.dropDuplicates) {
+        steps.push({ label: 'duplicate examples dropped', options: { dropDuplicates: true } });
+    }
+    if (budget.maxArrayItems > 0) {
+        steps.push({ label: `arrays truncated to ${budget.maxArrayItems}`, options: { maxArrayItems: budget.maxArrayItems } });
+    }
+    if (budget.maxDepth > 0) {
+        steps.push({ label: `nesting collapsed below depth ${budget.maxDepth}`, options: { maxDepth: budget.maxDepth } });
+    }
+    
+    let options = {};
+    const applied = [];
+    let originalTokens = 0;
+    let result = null;
+    
+    for (const step of steps) {
+        options = { ...options, ...step.options };
+        if (step.label) applied.push(step.label);
+        
+        const context = buildTemplateContext(options);
+        const text = renderPromptTemplate(context);
+        const tokens = estimateTokens(text);
+        if (!originalTokens) originalTokens = tokens;
+        result = { text, tokens, originalTokens, applied: [...applied], splitOptions: null };
+        
+        if (!budget.maxTokens || tokens <= budget.maxTokens) return result;
+    }
+    
+    result.splitOptions = options;
+    return result;
+}
+
+// Greedily packs endpoints into parts, each repeating the shared header (variables, wrappers).
+// Parts are rendered separately so duplicate examples never point into another part.
+function splitPrompt(options, maxTokens) {
+    const render = (endpoints, part = null) => renderPromptTemplate({ ...buildTemplateContext(options, endpoints), part });
+    const headerTokens = estimateTokens(render([]));
+    
+    const chunks = [];
+    let current = [];
+    let currentTokens = headerTokens;
+    
+    state.selectedEndpoints.forEach(endpoint => {
+        const cost = estimateTokens(render([endpoint])) - headerTokens;
+        if (current.length > 0 && currentTokens + cost > maxTokens) {
+            chunks.push(current);
+            current = [];
+            currentTokens = headerTokens;
+        }
+        current.push(endpoint);
+        currentTokens += cost;
+    });
+    if (current.length > 0) chunks.push(current);
+    
+    return chunks.map((chunk, index) => {
+        const part = { number: index + 1, total: chunks.length };
+        const text = render(chunk, part);
+        return `Part ${part.number} of ${part.total}${part.number < part.total ? ' (more parts follow, wait for all of them before answering)' : ''}\n\n${text}`;
+    });
+}
+
+// Applies array truncation and depth collapsing to parsed JSON
+function reduceJson(value, options, depth = 0) {
+    if (!value || typeof value !== 'object') return value;
+    
+    if (options.maxDepth && depth >= options.maxDepth) {
+        const size = Array.isArray(value) ? value.length : Object.keys(value).length;
+        const unit = Array.isArray(value) ? 'item' : 'key';
+        return Array.isArray(value) ? `[… ${size} ${unit}${size !== 1 ? 's' : ''}]` : `{… ${size} ${unit}${size !== 1 ? 's' : ''}}`;
+    }
+    if (Array.isArray(value)) {
+        const limit = options.maxArrayItems || value.length;
+        const items = value.slice(0, limit).map(item => reduceJson(item, options, depth + 1));
+        if (value.length > limit) items.push(`… ${value.length - limit} more items`);
+        return items;
+    }
+    
+    const result = {};
+    Object.keys(value).forEach(key => {
+        result[key] = reduceJson(value[key], options, depth + 1);
+    });
+    return result;
+}
+
+function formatJsonForPrompt(text, reductions = {}) {
+    const parsed = parseJsonSafe(text);
+    if (parsed === undefined) return text;
+    const reduced = reductions.maxArrayItems || reductions.maxDepth ? reduceJson(parsed, reductions) : parsed;
+    return JSON.stringify(reduced, null, 2);
+}
+
+function updatePromptStats() {
+    const prompt = buildPrompt();
+    const budget = state.promptBudget;
+    const overBudget = budget.maxTokens > 0 && prompt.tokens > budget.maxTokens;
+    
+    state.promptText = prompt.text;
+    state.promptSplitOptions = prompt.splitOptions;
+    state.promptParts = [];
+    
+    tokenEstimateBtn.textContent = budget.maxTokens > 0
+        ? `~${formatCount(prompt.tokens)} / ${formatCount(budget.maxTokens)} tokens`
+        : `~${formatCount(prompt.tokens)} tokens`;
+    tokenEstimateBtn.title = `${prompt.text.length.toLocaleString()} characters` +
+        (prompt.applied.length > 0 ? `\nReduced from ~${formatCount(prompt.originalTokens)} tokens: ${prompt.applied.join(', ')}` : '') +
+        '\nClick to set a token budget';
+    tokenEstimateBtn.classList.toggle('over-budget', overBudget);
+    tokenEstimateBtn.classList.toggle('reduced', prompt.applied.length > 0 && !overBudget);
+    
+    renderPromptParts();
+}
+
+// Rendering every part is as slow as the prompt itself, so parts are only built on request
+function renderPromptParts() {
+    promptPartsBar.innerHTML = '';
+    if (!state.promptSplitOptions) {
+        promptPartsBar.style.display = 'none';
+        return;
+    }
+    
+    promptPartsBar.style.display = 'flex';
+    const label = document.createElement('span');
+    label.className = 'prompt-parts-label';
+    promptPartsBar.appendChild(label);
+    
+    if (state.promptParts.length === 0) {
+        label.textContent = 'Over budget:';
+        const splitBtn = document.createElement('button');
+        splitBtn.className = 'btn-copy-small';
+        splitBtn.textContent = '✂️ Split into parts';
+        splitBtn.addEventListener('click', () => {
+            playSound(clickSound);
+            state.promptParts = splitPrompt(state.promptSplitOptions, state.promptBudget.maxTokens);
+            renderPromptParts();
+        });
+        promptPartsBar.appendChild(splitBtn);
+        return;
+    }
+    
+    label.textContent = `Over budget, split into ${state.promptParts.length} ${state.promptParts.length === 1 ? 'part' : 'parts'}:`;
+    
+    state.promptParts.forEach((part, index) => {
+        const group = document.createElement('div');
+        group.className = 'prompt-part';
+        group.innerHTML = `<span>Part ${index + 1} · ~${formatCount(estimateTokens(part))}</span>`;
+        
+        const copyPartBtn = document.createElement('button');
+        copyPartBtn.className = 'btn-copy-small';
+        copyPartBtn.textContent = 'Copy';
+        copyPartBtn.addEventListener('click', async () => {
+            const output = await applyRedaction(part);
+            if (!output) return;
+            try {
+                await navigator.clipboard.writeText(output.text);
+                playSound(successSound);
+                showToast(`Part ${index + 1} copied${describeRedaction(output.redacted)}!`, 'success');
+            } catch (error) {
+                showToast('Failed to copy', 'error');
+            }
+        });
+        
+        const downloadPartBtn = document.createElement('button');
+        downloadPartBtn.className = 'btn-copy-small';
+        downloadPartBtn.textContent = '💾';
+        downloadPartBtn.title = 'Download this part';
+        downloadPartBtn.addEventListener('click', async () => {
+            const output = await applyRedaction(part);
+            if (!output) return;
+            downloadFile(output.text, `postman-summary-part-${index + 1}-of-${state.promptParts.length}.txt`, 'text/plain');
+        });
+        
+        group.appendChild(copyPartBtn);
+        group.appendChild(downloadPartBtn);
+        promptPartsBar.appendChild(group);
+    });
+}
+
+function loadBudgetInputs() {
+    const budget = state.promptBudget;
+    budgetTokensInput.value = budget.maxTokens || '';
+    budgetArrayInput.value = budget.maxArrayItems || '';
+    budgetDepthInput.value = budget.maxDepth || '';
+    budgetDedupeInput.checked = budget.dropDuplicates;
+}
+
+function handleBudgetChange() {
+    state.promptBudget = {
+        maxTokens: Math.max(0, parseInt(budgetTokensInput.value, 10) || 0),
+        maxArrayItems: Math.max(0, parseInt(budgetArrayInput.value, 10) || 0),
+        maxDepth: Math.max(0, parseInt(budgetDepthInput.value, 10) || 0),
+        dropDuplicates: budgetDedupeInput.checked
+    };
+    try {
+        localStorage.setItem(PROMPT_BUDGET_KEY, JSON.stringify(state.promptBudget));
+    } catch (error) {
+        console.error('Error saving prompt budget:', error);
+    }
+    if (state.selectedEndpoints.size > 0) updatePromptStats();
+}
+
+// Prompt Templates
+const PROMPT_TEMPLATE_PRESETS = [
+    {
+        id: 'classic',
+        name: 'Classic',
+        description: 'Banner per endpoint with emoji section headers',
+        builtin: true,
+        template: `{{#hasVariables}}
+🧩 Variables{{#environment}} (environment: {{name}}){{/environment}}:
+{{#variables}}
+   • {{placeholder}} = {{value}}{{note}}
+{{/variables}}
+
+{{separator}}
+
+{{/hasVariables}}
+{{#collections}}
+📘 {{name}}
+{{#hasDescription}}
+{{description}}
+{{/hasDescription}}
+{{#folders}}
+📁 {{path}}: {{description}}
+{{/folders}}
+
+{{/collections}}
+{{#hasDescriptions}}
+{{separator}}
+
+{{/hasDescriptions}}
+{{#endpoints}}
+║ ENDPOINT: {{url}}
+║ METHOD: {{method}}
+{{#auth}}
+║ AUTH: {{label}}, {{usage}} ({{source}})
+{{#notes}}
+║   {{.}}
+{{/notes}}
+{{/auth}}
+
+{{#hasDescription}}
+📝 {{description}}
+
+{{/hasDescription}}
+{{#hasPathVariables}}
+🧭 Path Variables:
+{{#pathVariables}}
+   • :{{key}}: {{displayValue}}
+{{/pathVariables}}
+
+{{/hasPathVariables}}
+{{#hasHeaders}}
+📨 Headers:
+{{#headers}}
+   • {{key}}: {{value}}
+{{/headers}}
+
+{{/hasHeaders}}
+{{#hasQueryParams}}
+🔍 Query Parameters:
+{{#queryParams}}
+   • {{key}}: {{displayValue}}
+{{/queryParams}}
+
+{{/hasQueryParams}}
+{{#hasRequestSchema}}
+🧬 Request Body Schema:
+{{requestSchema}}
+
+{{/hasRequestSchema}}
+{{#hasBody}}
+📦 Request Body{{#bodyOperation}} (GraphQL {{bodyOperation}}){{/bodyOperation}}:
+{{body}}
+
+{{/hasBody}}
+{{#responseSchemas}}
+🧬 Response Schema ({{label}}):
+{{outline}}
+
+{{/responseSchemas}}
+{{#successResponses}}
+📥 Response Example{{#number}} {{number}}{{/number}} ({{name}}){{#statusLine}} · {{statusLine}}{{/statusLine}}{{#contentType}} · {{contentType}}{{/contentType}}:
+{{#headers}}
+   {{key}}: {{value}}
+{{/headers}}
+{{#request}}
+   ↳ Sent with{{#hasQuery}} query {{#query}}{{key}}={{value}}{{^@last}}&{{/@last}}{{/query}}{{/hasQuery}}{{#body}} body:
+{{body}}{{/body}}
+
+{{/request}}
+{{body}}
+
+{{/successResponses}}
+{{#errorResponses}}
+⚠️ Error Example{{#number}} {{number}}{{/number}} ({{name}}){{#statusLine}} · {{statusLine}}{{/statusLine}}{{#contentType}} · {{contentType}}{{/contentType}}:
+{{#headers}}
+   {{key}}: {{value}}
+{{/headers}}
+{{#request}}
+   ↳ Sent with{{#hasQuery}} query {{#query}}{{key}}={{value}}{{^@last}}&{{/@last}}{{/query}}{{/hasQuery}}{{#body}} body:
+{{body}}{{/body}}
+
+{{/request}}
+{{#hasBody}}
+{{body}}
+{{/hasBody}}
+
+{{/errorResponses}}
+{{#hasErrors}}
+🚨 Error Catalog:
+{{#errors}}
+   • {{code}} {{status}}: {{name}}{{#message}} · {{message}}{{/message}}
+{{/errors}}
+
+{{/hasErrors}}
+{{#hasSnippet}}
+💻 {{snippetLanguage}}:
+{{snippet}}
+
+{{/hasSnippet}}
+{{separator}}
+
+{{/endpoints}}`
+    },
+    {
+        id: 'markdown',
+        name: 'Markdown',
+        description: 'Plain Markdown with headings, tables and fenced code',
+        builtin: true,
+        template: `# API Endpoints
+
+{{#hasVariables}}
+## Variables
+
+| Variable | Value |
+| --- | --- |
+{{#variables}}
+| \`{{placeholder}}\` | {{value}}{{note}} |
+{{/variables}}
+
+{{/hasVariables}}
+{{#collections}}
+## {{name}}
+
+{{#hasDescription}}
+{{description}}
+
+{{/hasDescription}}
+{{#folders}}
+**{{path}}:** {{description}}
+
+{{/folders}}
+{{/collections}}
+{{#endpoints}}
+## {{method}} {{url}}
+
+{{#auth}}
+**Auth:** {{label}}, \`{{usage}}\` ({{source}})
+{{#notes}}
+- {{.}}
+{{/notes}}
+
+{{/auth}}
+{{#hasDescription}}
+{{description}}
+
+{{/hasDescription}}
+{{#hasPathVariables}}
+**Path variables**
+
+| Name | Value |
+| --- | --- |
+{{#pathVariables}}
+| \`:{{key}}\` | {{displayValue}} |
+{{/pathVariables}}
+
+{{/hasPathVariables}}
+{{#hasHeaders}}
+**Headers**
+
+| Name | Value |
+| --- | --- |
+{{#headers}}
+| \`{{key}}\` | \`{{value}}\` |
+{{/headers}}
+
+{{/hasHeaders}}
+{{#hasQueryParams}}
+**Query parameters**
+
+| Name | Value |
+| --- | --- |
+{{#queryParams}}
+| \`{{key}}\` | {{displayValue}} |
+{{/queryParams}}
+
+{{/hasQueryParams}}
+{{#hasRequestSchema}}
+**Request body schema**
+
+\`\`\`ts
+{{requestSchema}}
+\`\`\`
+
+{{/hasRequestSchema}}
+{{#hasBody}}
+**Request body**{{#bodyOperation}} (GraphQL {{bodyOperation}}){{/bodyOperation}}
+
+\`\`\`{{bodyLanguage}}
+{{body}}
+\`\`\`
+
+{{/hasBody}}
+{{#responseSchemas}}
+**Response schema: {{label}}**
+
+\`\`\`ts
+{{outline}}
+\`\`\`
+
+{{/responseSchemas}}
+{{#successResponses}}
+**Response: {{name}}**{{#statusLine}} · \`{{statusLine}}\`{{/statusLine}}{{#contentType}} · \`{{contentType}}\`{{/contentType}}
+
+{{#hasHeaders}}
+{{#headers}}
+- \`{{key}}: {{value}}\`
+{{/headers}}
+
+{{/hasHeaders}}
+{{#request}}
+_Sent with{{#hasQuery}} query \`{{#query}}{{key}}={{value}}{{^@last}}&{{/@last}}{{/query}}\`{{/hasQuery}}{{#body}} body:_
+
+\`\`\`
+{{body}}
+\`\`\`{{/body}}{{^body}}_{{/body}}
+
+{{/request}}
+{{#hasBody}}
+\`\`\`json
+{{body}}
+\`\`\`
+
+{{/hasBody}}
+{{/successResponses}}
+{{#errorResponses}}
+**Error: {{name}}**{{#statusLine}} · \`{{statusLine}}\`{{/statusLine}}{{#contentType}} · \`{{contentType}}\`{{/contentType}}
+
+{{#hasHeaders}}
+{{#headers}}
+- \`{{key}}: {{value}}\`
+{{/headers}}
+
+{{/hasHeaders}}
+{{#request}}
+_Sent with{{#hasQuery}} query \`{{#query}}{{key}}={{value}}{{^@last}}&{{/@last}}{{/query}}\`{{/hasQuery}}{{#body}} body:_
+
+\`\`\`
+{{body}}
+\`\`\`{{/body}}{{^body}}_{{/body}}
+
+{{/request}}
+{{#hasBody}}
+\`\`\`json
+{{body}}
+\`\`\`
+
+{{/hasBody}}
+{{/errorResponses}}
+{{#hasErrors}}
+**Error catalog**
+
+| Status | Example | Message |
+| --- | --- | --- |
+{{#errors}}
+| {{code}} {{status}} | {{name}} | {{message}} |
+{{/errors}}
+
+{{/hasErrors}}
+{{#hasSnippet}}
+**{{snippetLanguage}}**
+
+\`\`\`{{snippetFence}}
+{{snippet}}
+\`\`\`
+
+{{/hasSnippet}}
+{{/endpoints}}`
+    },
+    {
+        id: 'xml',
+        name: 'XML sections (LLM)',
+        description: 'XML-tagged sections that LLMs parse reliably',
+        builtin: true,
+        template: `<api_endpoints count="{{endpointCount}}">
+{{#hasVariables}}
+<variables>
+{{#variables}}
+<variable name="{{key}}">{{value}}</variable>
+{{/variables}}
+</variables>
+{{/hasVariables}}
+{{#collections}}
+<collection name="{{name}}">
+{{#hasDescription}}
+<description>
+{{description}}
+</description>
+{{/hasDescription}}
+{{#folders}}
+<folder path="{{path}}">{{description}}</folder>
+{{/folders}}
+</collection>
+{{/collections}}
+{{#endpoints}}
+<endpoint method="{{method}}" url="{{url}}">
+{{#auth}}
+<auth type="{{type}}" source="{{source}}">{{usage}}{{#notes}}
+{{.}}{{/notes}}</auth>
+{{/auth}}
+{{#hasDescription}}
+<description>
+{{description}}
+</description>
+{{/hasDescription}}
+{{#hasPathVariables}}
+<path_parameters>
+{{#pathVariables}}
+<param name="{{key}}">{{displayValue}}</param>
+{{/pathVariables}}
+</path_parameters>
+{{/hasPathVariables}}
+{{#hasHeaders}}
+<headers>
+{{#headers}}
+<header name="{{key}}">{{value}}</header>
+{{/headers}}
+</headers>
+{{/hasHeaders}}
+{{#hasQueryParams}}
+<query_parameters>
+{{#queryParams}}
+<param name="{{key}}">{{displayValue}}</param>
+{{/queryParams}}
+</query_parameters>
+{{/hasQueryParams}}
+{{#hasRequestSchema}}
+<request_body_schema>
+{{requestSchema}}
+</request_body_schema>
+{{/hasRequestSchema}}
+{{#hasBody}}
+<request_body{{#bodyOperation}} graphql_operation="{{bodyOperation}}"{{/bodyOperation}}>
+{{body}}
+</request_body>
+{{/hasBody}}
+{{#responseSchemas}}
+<response_schema status="{{code}}">
+{{outline}}
+</response_schema>
+{{/responseSchemas}}
+{{#responses}}
+<response_example name="{{name}}" status="{{code}}" kind="{{#isError}}error{{/isError}}{{^isError}}success{{/isError}}" content_type="{{contentType}}">
+{{#headers}}
+<header name="{{key}}">{{value}}</header>
+{{/headers}}
+{{#request}}
+<example_request>
+{{#query}}
+<param name="{{key}}">{{value}}</param>
+{{/query}}
+{{#body}}
+<body>
+{{body}}
+</body>
+{{/body}}
+</example_request>
+{{/request}}
+{{body}}
+</response_example>
+{{/responses}}
+{{#hasErrors}}
+<error_catalog>
+{{#errors}}
+<error status="{{code}}" name="{{name}}">{{message}}</error>
+{{/errors}}
+</error_catalog>
+{{/hasErrors}}
+{{#hasSnippet}}
+<code_snippet language="{{snippetLanguage}}">
+{{snippet}}
+</code_snippet>
+{{/hasSnippet}}
+</endpoint>
+{{/endpoints}}
+</api_endpoints>`
+    },
+    {
+        id: 'compact',
+        name: 'Compact',
+        description: 'One line per endpoint',
+        builtin: true,
+        template: `{{#endpoints}}
+{{method}} {{url}}{{#auth}} auth: {{label}}{{/auth}}{{#hasQueryParams}} query: {{#queryParams}}{{key}}{{^@last}}, {{/@last}}{{/queryParams}}{{/hasQueryParams}}{{#hasBody}} body: {{bodyFields}}{{/hasBody}}
+{{/endpoints}}`
+    }
+];
+
+const CUSTOM_TEMPLATES_KEY = 'postman_prompt_templates';
+const ACTIVE_TEMPLATE_KEY = 'postman_active_template';
+
+const TEMPLATE_HELP = `{{field}}              insert a value
+{{#list}}...{{/list}}  repeat for each item (or render if truthy)
+{{^list}}...{{/list}}  render if empty or false
+{{@number}} {{@first}} {{@last}}  loop position (1-based)
+
+Top level: endpointCount, generatedAt, separator,
+  part.number, part.total (only when split by the token budget),
+  environment.name, hasVariables,
+  variables[]: key, placeholder, value, note
+  hasDescriptions, collections[]: name, hasDescription, description,
+    hasFolders, folders[]: path, description
+endpoints[]: name, method, url, path, collectionName,
+  hasAuth, auth.type, auth.label, auth.usage, auth.source, auth.notes[]
+  hasDescription, description
+  hasPathVariables, pathVariables[]: key, value, description, displayValue
+  hasHeaders, headers[]: key, value, description
+  hasQueryParams, queryParams[]: key, value, description, displayValue
+  hasBody, body, bodyMode, bodyLanguage, bodyFields,
+    bodyOperation (GraphQL operation type and name, e.g. "mutation CreateOrder")
+  hasResponses, responses[]: name, number, code, status, statusLine, isError,
+    contentType, hasHeaders, headers[]: key, value, hasBody, body,
+    hasRequest, request.hasQuery, request.query[]: key, value, request.body
+  hasSuccessResponses, successResponses[], hasErrorResponses, errorResponses[]
+    (same fields as responses, success first)
+  hasErrors, errors[]: code, status, name, message
+  hasSnippet, snippet, snippetLanguage, snippetFence
+  hasRequestSchema, requestSchema
+  hasResponseSchemas, responseSchemas[]: code, label, exampleCount, outline`;
+
+function readCustomTemplates() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CUSTOM_TEMPLATES_KEY) || '[]');
+        return Array.isArray(saved) ? saved : [];
+    } catch {
+        return [];
+    }
+}
+
+function saveCustomTemplates(templates) {
+    try {
+        localStorage.setItem(CUSTOM_TEMPLATES_KEY, JSON.stringify(templates));
+        return true;
+    } catch (error) {
+        console.error('Error saving templates:', error);
+        showToast('Storage full: the template could not be saved', 'error');
+        return false;
+    }
+}
+
+function getAllTemplates() {
+    return [...PROMPT_TEMPLATE_PRESETS, ...readCustomTemplates()];
+}
+
+function getActiveTemplate() {
+    const activeId = localStorage.getItem(ACTIVE_TEMPLATE_KEY) || 'classic';
+    return getAllTemplates().find(t => t.id === activeId) || PROMPT_TEMPLATE_PRESETS[0];
+}
+
+// Minimal Mustache-style renderer: {{value}}, {{#section}}, {{^inverted}}, dotted names.
+// Section tags alone on a line drop that line, so templates can be laid out readably.
+function parseTemplate(template) {
+    const root = { children: [] };
+    const stack = [root];
+    const tagPattern = /\{\{\s*([#^/!]?)\s*([^{}]*?)\s*\}\}/g;
+    let pos = 0;
+    let match;
+    
+    while ((match = tagPattern.exec(template)) !== null) {
+        const [tag, type, name] = match;
+        let textEnd = match.index;
+        let nextPos = match.index + tag.length;
+        
+        if (type) {
+            const lineStart = template.lastIndexOf('\n', match.index - 1) + 1;
+            let lineEnd = template.indexOf('\n', nextPos);
+            if (lineEnd === -1) lineEnd = template.length;
+            const standalone = lineStart >= pos &&
+                template.slice(lineStart, match.index).trim() === '' &&
+                template.slice(nextPos, lineEnd).trim() === '';
+            if (standalone) {
+                textEnd = lineStart;
+                nextPos = Math.min(lineEnd + 1, template.length);
+            }
+        }
+        
+        const current = stack[stack.length - 1];
+        if (textEnd > pos) current.children.push({ type: 'text', value: template.slice(pos, textEnd) });
+        pos = nextPos;
+        tagPattern.lastIndex = nextPos;
+        
+        if (type === '!') continue;
+        if (type === '#' || type === '^') {
+            const section = { type, name, children: [] };
+            current.children.push(section);
+            stack.push(section);
+        } else if (type === '/') {
+            if (stack.length === 1 || current.name !== name) {
+                throw new Error(`Unexpected {{/${name}}}${stack.length > 1 ? `, expected {{/${current.name}}}` : ''}`);
+            }
+            stack.pop();
+        } else {
+            current.children.push({ type: 'value', name });
+        }
+    }
+    
+    if (stack.length > 1) {
+        throw new Error(`Unclosed section {{#${stack[stack.length - 1].name}}}`);
+    }
+    if (pos < template.length) root.children.push({ type: 'text', value: template.slice(pos) });
+    return root.children;
+}
+
+function lookupTemplateValue(name, contextStack) {
+    if (name === '.') return contextStack[contextStack.length - 1];
+    
+    const [head, ...rest] = name.split('.');
+    for (let i = contextStack.length - 1; i >= 0; i--) {
+        const ctx = contextStack[i];
+        if (ctx && typeof ctx === 'object' && head in ctx) {
+            return rest.reduce((value, key) => (value == null ? undefined : value[key]), ctx[head]);
+        }
+    }
+    return undefined;
+}
+
+function renderTemplateNodes(nodes, contextStack) {
+    let output = '';
+    
+    nodes.forEach(node => {
+        if (node.type === 'text') {
+            output += node.value;
+        } else if (node.type === 'value') {
+            const value = lookupTemplateValue(node.name, contextStack);
+            if (value == null) return;
+            output += typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+        } else {
+            const value = lookupTemplateValue(node.name, contextStack);
+            const isEmpty = !value || (Array.isArray(value) && value.length === 0);
+            
+            if (node.type === '^') {
+                if (isEmpty) output += renderTemplateNodes(node.children, contextStack);
+            } else if (Array.isArray(value)) {
+                value.forEach((item, index) => {
+                    const loop = {
+                        '@index': index,
+                        '@number': index + 1,
+                        '@first': index === 0,
+                        '@last': index === value.length - 1
+                    };
+                    output += renderTemplateNodes(node.children, [...contextStack, loop, item]);
+                });
+            } else if (!isEmpty) {
+                output += renderTemplateNodes(node.children, [...contextStack, value]);
+            }
+        }
+    });
+    
+    return output;
+}
+
+function renderTemplate(template, context) {
+    return renderTemplateNodes(parseTemplate(template), [context]);
+}
+
+// Template Editor
+let editingTemplateId = null;
+
+function openTemplateModal() {
+    playSound(clickSound);
+    templateHelp.textContent = TEMPLATE_HELP;
+    renderTemplateList(getActiveTemplate().id);
+    templateModal.classList.add('active');
+}
+
+function closeTemplateModal() {
+    templateModal.classList.remove('active');
+}
+
+function renderTemplateList(selectedId) {
+    const templates = getAllTemplates();
+    templateListSelect.innerHTML = '';
+    
+    [['Presets', templates.filter(t => t.builtin)], ['Custom', templates.filter(t => !t.builtin)]].forEach(([label, group]) => {
+        if (group.length === 0) return;
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = label;
+        group.forEach(t => {
+            const option = document.createElement('option');
+            option.value = t.id;
+            option.textContent = t.id === getActiveTemplate().id ? `${t.name} (in use)` : t.name;
+            optgroup.appendChild(option);
+        });
+        templateListSelect.appendChild(optgroup);
+    });
+    
+    loadTemplateIntoEditor(templates.find(t => t.id === selectedId) || templates[0]);
+}
+
+function loadTemplateIntoEditor(template) {
+    editingTemplateId = template.id;
+    templateListSelect.value = template.id;
+    templateNameInput.value = template.name;
+    templateEditor.value = template.template;
+    deleteTemplateBtn.disabled = !!template.builtin;
+    updateTemplatePreview();
+}
+
+function updateTemplatePreview() {
+    if (state.selectedEndpoints.size === 0) {
+        templatePreview.textContent = 'Select endpoints to preview the output.';
+        return;
+    }
+    try {
+        templatePreview.textContent = renderTemplate(templateEditor.value, buildTemplateContext());
+        templatePreview.classList.remove('error-text');
+    } catch (error) {
+        templatePreview.textContent = `Template error: ${error.message}`;
+        templatePreview.classList.add('error-text');
+    }
+}
+
+// Saves the editor content; presets are read-only, so editing one saves a copy
+function saveEditedTemplate() {
+    const template = templateEditor.value;
+    try {
+        parseTemplate(template);
+    } catch (error) {
+        showToast(`Template error: ${error.message}`, 'error');
+        return null;
+    }
+    
+    const templates = readCustomTemplates();
+    const existing = templates.find(t => t.id === editingTemplateId);
+    const name = templateNameInput.value.trim() || 'Untitled template';
+    
+    let saved;
+    if (existing) {
+        Object.assign(existing, { name, template });
+        saved = existing;
+    } else {
+        const isPresetName = PROMPT_TEMPLATE_PRESETS.some(p => p.name === name);
+        saved = { id: `custom-${Date.now()}`, name: isPresetName ? `${name} (copy)` : name, description: '', template };
+        templates.push(saved);
+    }
     
-    // Response Container
-    const responseContainer = document.createElement('div');
-    responseContainer.className = 'try-it-response-container';
-    responseContainer.style.display = 'none';
-    content.appendChild(responseContainer);
+    if (!saveCustomTemplates(templates)) return null;
+    if (getActiveTemplate().id === saved.id) updateTemplateButton();
+    renderTemplateList(saved.id);
+    playSound(successSound);
+    showToast(`Template "${saved.name}" saved`, 'success');
+    return saved;
+}
+
+function useEditedTemplate() {
+    const current = getAllTemplates().find(t => t.id === editingTemplateId);
+    const isModified = !current || current.template !== templateEditor.value || current.name !== templateNameInput.value.trim();
+    const template = isModified ? saveEditedTemplate() : current;
+    if (!template) return;
     
-    block.appendChild(header);
-    block.appendChild(content);
+    if (getActiveTemplate().id !== template.id) {
+        localStorage.setItem(ACTIVE_TEMPLATE_KEY, template.id);
+        updateTemplateButton();
+    }
+    closeTemplateModal();
+    showToast(`Using template "${template.name}"`, 'success');
+}
+
+function newTemplate() {
+    playSound(clickSound);
+    editingTemplateId = null;
+    templateListSelect.value = '';
+    templateNameInput.value = 'New template';
+    templateEditor.value = PROMPT_TEMPLATE_PRESETS[0].template;
+    deleteTemplateBtn.disabled = true;
+    updateTemplatePreview();
+}
+
+function deleteEditedTemplate() {
+    const templates = readCustomTemplates();
+    const template = templates.find(t => t.id === editingTemplateId);
+    if (!template || !confirm(`Delete template "${template.name}"?`)) return;
     
-    // Event Listener for Send Request
-    sendBtn.addEventListener('click', async () => {
-        playSound(clickSound);
-        sendBtn.classList.add('loading');
-        sendBtn.disabled = true;
-        responseContainer.style.display = 'none';
-        
-        try {
-            let urlInput = content.querySelector('.try-it-url').value.trim();
-            
-            // Postman variables replacement (crude UI helper)
-            // Replace {{variable}} with nothing if it's there so browser doesn't throw invalid URL
-            // Or leave to user to fix it if they want
-            // Let's replace {{variable}} to prompt user but allow fetch to try
-            
-            const headersInput = content.querySelector('.try-it-headers').value;
-            const headers = {};
-            if (headersInput) {
-                headersInput.split('\n').forEach(line => {
-                    const idx = line.indexOf(':');
-                    if (idx > 0) {
-                        const key = line.substring(0, idx).trim();
-                        const val = line.substring(idx + 1).trim();
-                        headers[key] = val;
-                    }
-                });
-            }
-            
-            const fetchOptions = {
-                method: endpoint.method,
-                headers: headers
-            };
-            
-            if (bodyInput && bodyInput.value) {
-                fetchOptions.body = bodyInput.value;
-            }
-            
-            const startTime = performance.now();
-            let response;
-            let fetchError = null;
-            
-            try {
-                response = await fetch(urlInput, fetchOptions);
-            } catch (err) {
-                fetchError = err;
-            }
-            
-            const endTime = performance.now();
-            const timeTaken = Math.round(endTime - startTime);
-            
-            responseContainer.style.display = 'block';
-            
-            if (fetchError) {
-                responseContainer.innerHTML = `
-                    <div class="try-it-response-header error">
-                        <span class="status-code">ERROR</span>
-                        <span class="time-taken">${timeTaken}ms</span>
-                    </div>
-                    <div class="try-it-response-body">
-                        <pre class="error-text">${escapeHtml(fetchError.message || 'Network Error or CORS issue')}</pre>
-                    </div>
-                `;
-            } else {
-                let responseText = '';
-                try {
-                    responseText = await response.text();
-                } catch(e) {}
-                
-                let isJson = false;
-                let formattedResponse = responseText;
-                
-                try {
-                    const parsed = JSON.parse(responseText);
-                    formattedResponse = JSON.stringify(parsed, null, 2);
-                    isJson = true;
-                } catch {
-                    // Not JSON
-                }
-                
-                const statusClass = response.ok ? 'success' : 'error';
-                
-                responseContainer.innerHTML = `
-                    <div class="try-it-response-header ${statusClass}">
-                        <span class="status-code">Status: ${response.status} ${response.statusText}</span>
-                        <span class="time-taken">Time: ${timeTaken}ms</span>
-                    </div>
-                    <div class="try-it-response-body">
-                        <pre class="code-wrapper" data-lang="${isJson ? 'JSON' : 'TEXT'}">${escapeHtml(formattedResponse)}</pre>
-                    </div>
-                `;
-            }
-            
-        } catch (globalErr) {
-            showToast('Request failed', 'error');
-            console.error(globalErr);
-        } finally {
-            sendBtn.classList.remove('loading');
-            sendBtn.disabled = false;
+    if (!saveCustomTemplates(templates.filter(t => t.id !== template.id))) return;
+    if (localStorage.getItem(ACTIVE_TEMPLATE_KEY) === template.id) {
+        localStorage.removeItem(ACTIVE_TEMPLATE_KEY);
+        updateTemplateButton();
+    }
+    renderTemplateList(getActiveTemplate().id);
+    showToast('Template deleted', 'success');
+}
+
+function exportEditedTemplate() {
+    playSound(clickSound);
+    const name = templateNameInput.value.trim() || 'template';
+    const data = JSON.stringify({ name, description: '', template: templateEditor.value }, null, 2);
+    downloadFile(data, `${slugify(name) || 'template'}.template.json`, 'application/json');
+}
+
+// Accepts the exported JSON shape or a plain text file holding the template itself
+async function importTemplateFile(file) {
+    if (!file) return;
+    const text = await file.text();
+    let imported;
+    
+    try {
+        const json = JSON.parse(text);
+        if (!json || typeof json.template !== 'string') throw new Error('missing "template" field');
+        imported = { name: json.name || file.name, description: json.description || '', template: json.template };
+    } catch (error) {
+        if (file.name.endsWith('.json')) {
+            showToast(`Invalid template file: ${error.message}`, 'error');
+            return;
         }
+        imported = { name: file.name.replace(/\.[^.]+$/, ''), description: '', template: text };
+    }
+    
+    try {
+        parseTemplate(imported.template);
+    } catch (error) {
+        showToast(`Invalid template: ${error.message}`, 'error');
+        return;
+    }
+    
+    const templates = readCustomTemplates();
+    const saved = { id: `custom-${Date.now()}`, ...imported };
+    templates.push(saved);
+    if (!saveCustomTemplates(templates)) return;
+    renderTemplateList(saved.id);
+    playSound(successSound);
+    showToast(`Template "${saved.name}" imported`, 'success');
+}
+
+// The token estimate and the cached prompt follow the active template too
+function updateTemplateButton() {
+    templateBtn.querySelector('span').textContent = `📝 ${getActiveTemplate().name}`;
+    if (state.selectedEndpoints.size > 0) updatePromptStats();
+}
+
+// Redaction: secrets and personal data are masked with typed placeholders before they leave the app
+const REDACTION_PATTERNS = [
+    { type: 'PRIVATE_KEY', regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+    { type: 'JWT', regex: /\beyJ[\w-]{5,}\.eyJ[\w-]{5,}\.[\w-]+/g },
+    // `parts` patterns capture (before)(value)(after) and only mask the value
+    { type: 'BEARER_TOKEN', regex: /(\bBearer\s+)([\w\-.~+/]{8,}=*)()/gi, parts: true },
+    { type: 'BASIC_AUTH', regex: /(\bBasic\s+)([A-Za-z0-9+/]{8,}={0,2})()/g, parts: true },
+    { type: 'URL_PASSWORD', regex: /(\b[a-z][\w+.-]*:\/\/[^\s:/@]+:)([^\s@/{}]+)(@)/gi, parts: true },
+    { type: 'AWS_ACCESS_KEY', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { type: 'API_KEY', regex: /\b(?:sk|pk|rk)_(?:live|test)_[0-9A-Za-z]{10,}\b|\bgh[pousr]_[0-9A-Za-z]{30,}\b|\bxox[abprs]-[0-9A-Za-z-]{10,}\b|\bAIza[0-9A-Za-z_-]{35}\b/g },
+    { type: 'EMAIL', regex: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}\b/gi },
+    { type: 'CARD_NUMBER', regex: /\b\d(?:[ -]?\d){12,18}\b/g, test: isCardNumber },
+    { type: 'PHONE', regex: /(?<![\w+])\+\d{1,3}[\s.-]?\(?\d{1,4}\)?(?:[\s.-]?\d{2,4}){2,4}(?!\w)|(?<!\w)\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}(?!\w)/g }
+];
+// Key names are split into words and must end in one of these, so accessToken and x-api-key
+// are secret while tokenType, sessionCount and passwordPolicy are not
+const SECRET_KEY_WORDS = [
+    'password', 'passwd', 'pwd', 'secret', 'token', 'api key', 'apikey', 'access key', 'secret key', 'private key',
+    'authorization', 'cookie', 'session', 'session id', 'sessionid', 'ssn', 'card number', 'cvv'
+];
+
+function readRedactionSettings() {
+    const defaults = { alwaysOn: false, keys: [], patterns: [] };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(REDACTION_SETTINGS_KEY) || '{}') };
+    } catch {
+        return defaults;
+    }
+}
+
+function isLuhnValid(match) {
+    const digits = match.replace(/\D/g, '');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2;
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// Issuer prefixes with their lengths: Visa, Mastercard, Amex, Discover, JCB and Diners
+const CARD_NUMBER_PREFIXES = /^(?:4\d{12}(?:\d{3}){0,2}|5[1-5]\d{14}|2(?:22[1-9]|2[3-9]\d|[3-6]\d\d|7[01]\d|720)\d{12}|3[47]\d{13}|6(?:011|5\d\d|4[4-9]\d)\d{12,15}|35\d{14}|3(?:0[0-5]|[68]\d)\d{11})$/;
+// Printed as 4-4-4-4(-3) or 4-6-5
+const CARD_NUMBER_GROUPS = /^\d{4}([ -])\d{4}\1\d{4}\1\d{4}(?:\1\d{3})?$|^\d{4}([ -])\d{6}\2\d{5}$/;
+
+// Luhn alone matches one in ten ids and timestamps, so a known prefix or card grouping is required too
+function isCardNumber(match) {
+    return isLuhnValid(match) && (CARD_NUMBER_PREFIXES.test(match.replace(/\D/g, '')) || CARD_NUMBER_GROUPS.test(match));
+}
+
+// "/pattern/flags" or a bare pattern; returns null for invalid ones
+function compileRedactionPattern(source) {
+    const literal = source.match(/^\/(.+)\/([a-z]*)$/);
+    try {
+        const regex = literal ? new RegExp(literal[1], literal[2]) : new RegExp(source);
+        return new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : `${regex.flags}g`);
+    } catch {
+        return null;
+    }
+}
+
+// camelCase, snake_case, kebab-case and dotted names as lower case words
+function getKeyWords(key) {
+    return String(key || '').replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).join(' ');
+}
+
+function isSecretKey(key) {
+    const name = String(key || '').trim().toLowerCase();
+    if (!name) return false;
+    const words = getKeyWords(key);
+    return SECRET_KEY_WORDS.some(word => words === word || words.endsWith(` ${word}`))
+        || state.redaction.keys.some(k => k.toLowerCase() === name);
+}
+
+// Variables, earlier placeholders and empty values say nothing about the real secret,
+// also behind an auth scheme as in "Bearer {{token}}"
+function isKeptValue(value) {
+    const text = String(value ?? '').trim().replace(/^(?:Bearer|Basic|Digest|Token)\s+/i, '');
+    return !text || /^(\{\{[^{}]+\}\}\s*)+$/.test(text) || /^<[\w -]+>$/.test(text);
+}
+
+function getKeyPlaceholderType(key) {
+    return String(key).toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'SECRET';
+}
+
+// Findings grouped by placeholder type, with a few shortened samples for the report
+function createRedactionFindings() {
+    const groups = new Map();
+    return {
+        add(type, value) {
+            if (!groups.has(type)) groups.set(type, { type, count: 0, samples: [] });
+            const group = groups.get(type);
+            group.count++;
+            const text = String(value).replace(/\s+/g, ' ');
+            const sample = text.length > 8 ? `${text.slice(0, 4)}…${text.slice(-2)}` : `${text.slice(0, 1)}…`;
+            if (group.samples.length < 3 && !group.samples.includes(sample)) group.samples.push(sample);
+        },
+        list: () => [...groups.values()].sort((a, b) => b.count - a.count),
+        total: () => [...groups.values()].reduce((sum, group) => sum + group.count, 0)
+    };
+}
+
+function maskKeyValue(key, value, findings) {
+    const type = getKeyPlaceholderType(key);
+    findings.add(type, value);
+    return `<${type}>`;
+}
+
+function redactText(text, findings = createRedactionFindings()) {
+    let output = String(text ?? '');
+    
+    // Values of secret-looking keys: JSON members, "key: value" lines and query parameters
+    output = output.replace(/("([^"\\\n]+)"\s*:\s*")((?:[^"\\\n]|\\.)*)(")/g, (match, prefix, key, value, suffix) =>
+        isSecretKey(key) && !isKeptValue(value) ? `${prefix}${maskKeyValue(key, value, findings)}${suffix}` : match);
+    output = output.replace(/^([^\S\n]*(?:[•*-][^\S\n]+)?([\w.-]+)[^\S\n]*[:=][^\S\n]*)(\S.*)$/gm, (match, prefix, key, value) =>
+        isSecretKey(key) && !isKeptValue(value) ? `${prefix}${maskKeyValue(key, value, findings)}` : match);
+    output = output.replace(/([?&]([\w.-]+)=)([^&\s#"'<>]+)/g, (match, prefix, key, value) =>
+        isSecretKey(key) && !isKeptValue(value) ? `${prefix}${maskKeyValue(key, value, findings)}` : match);
+    
+    const custom = state.redaction.patterns.map(compileRedactionPattern).filter(Boolean).map(regex => ({ type: 'CUSTOM', regex }));
+    [...REDACTION_PATTERNS, ...custom].forEach(({ type, regex, test, parts }) => {
+        output = output.replace(regex, (match, ...groups) => {
+            const value = parts ? groups[1] : match;
+            if (isKeptValue(value) || (test && !test(value))) return match;
+            findings.add(type, value);
+            return parts ? `${groups[0]}<${type}>${groups[2]}` : `<${type}>`;
+        });
+    });
+    return { text: output, findings };
+}
+
+// Structured data is walked so key names count even where the text would not show them (HTML, tables)
+function redactValue(value, findings, key = '') {
+    if (typeof value === 'string') {
+        return key && isSecretKey(key) && !isKeptValue(value) ? maskKeyValue(key, value, findings) : redactText(value, findings).text;
+    }
+    if (Array.isArray(value)) return value.map(item => redactValue(item, findings));
+    if (value && typeof value === 'object') {
+        // { key, value } pairs such as headers and query parameters, and OpenAPI { name, in, example } parameters
+        const pairKey = typeof value.key === 'string' && typeof value.value === 'string' ? value.key : '';
+        const paramName = typeof value.name === 'string' && typeof value.in === 'string' ? value.name : '';
+        return Object.fromEntries(Object.entries(value).map(([name, item]) =>
+            [name, redactValue(item, findings, (name === 'value' && pairKey) || (name === 'example' && paramName) || name)]));
+    }
+    return value;
+}
+
+// Masks text nodes in place, Try it fields keep their real values for sending
+function redactElement(root, findings = createRedactionFindings()) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.parentElement && node.parentElement.closest('.try-it-container, textarea, script, style')
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT
     });
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    nodes.forEach(node => {
+        const { text } = redactText(node.nodeValue, findings);
+        if (text !== node.nodeValue) node.nodeValue = text;
+    });
+    return findings;
+}
+
+let redactionReportResolve = null;
+
+// Resolves true to redact, false to keep the original or null when the action is cancelled
+function confirmRedaction(findings) {
+    if (findings.total() === 0) return Promise.resolve(false);
+    if (state.redaction.alwaysOn) return Promise.resolve(true);
     
-    return block;
+    redactionReportSummary.textContent = `${findings.total()} ${findings.total() === 1 ? 'value looks' : 'values look'} like secrets or personal data.`;
+    redactionReportList.innerHTML = findings.list().map(group => `
+        <tr>
+            <td><code>&lt;${escapeHtml(group.type)}&gt;</code></td>
+            <td>${group.count}</td>
+            <td>${group.samples.map(sample => `<code>${escapeHtml(sample)}</code>`).join(' ')}</td>
+        </tr>
+    `).join('');
+    reportAlwaysRedactInput.checked = false;
+    redactionReportModal.classList.add('active');
+    return new Promise(resolve => {
+        redactionReportResolve = resolve;
+    });
 }
 
-function setAllSummaryItemsOpen(isOpen) {
+function closeRedactionReport(choice = null) {
+    if (!redactionReportModal.classList.contains('active')) return;
+    redactionReportModal.classList.remove('active');
+    if (choice === true && reportAlwaysRedactInput.checked) setAlwaysRedact(true);
+    const resolve = redactionReportResolve;
+    redactionReportResolve = null;
+    if (resolve) resolve(choice);
+}
+
+// Text on its way out: { text, redacted } or null when cancelled
+async function applyRedaction(text) {
+    const result = redactText(text);
+    const redact = await confirmRedaction(result.findings);
+    if (redact === null) return null;
+    return redact ? { text: result.text, redacted: result.findings.total() } : { text, redacted: 0 };
+}
+
+function describeRedaction(redacted) {
+    return redacted > 0 ? `, ${redacted} sensitive ${redacted === 1 ? 'value' : 'values'} redacted` : '';
+}
+
+function setAlwaysRedact(alwaysOn) {
+    state.redaction = { ...state.redaction, alwaysOn };
+    localStorage.setItem(REDACTION_SETTINGS_KEY, JSON.stringify(state.redaction));
+    alwaysRedactInput.checked = alwaysOn;
+    generateSummary();
+}
+
+function openRedactionModal() {
     playSound(clickSound);
-    const details = summaryContent.querySelectorAll('.summary-item-card');
-    details.forEach(detail => detail.open = isOpen);
+    closeExportMenus();
+    redactionKeysInput.value = state.redaction.keys.join('\n');
+    redactionPatternsInput.value = state.redaction.patterns.join('\n');
+    redactionModal.classList.add('active');
+}
+
+function closeRedactionModal() {
+    redactionModal.classList.remove('active');
+}
+
+function saveRedactionSettings() {
+    const lines = text => text.split(/[\n,]/).map(line => line.trim()).filter(Boolean);
+    const patterns = redactionPatternsInput.value.split('\n').map(line => line.trim()).filter(Boolean);
+    const invalid = patterns.find(pattern => !compileRedactionPattern(pattern));
+    if (invalid) {
+        showToast(`Invalid pattern: ${invalid}`, 'error');
+        return;
+    }
+    
+    state.redaction = { ...state.redaction, keys: lines(redactionKeysInput.value), patterns };
+    localStorage.setItem(REDACTION_SETTINGS_KEY, JSON.stringify(state.redaction));
+    closeRedactionModal();
+    generateSummary();
+    showToast('Redaction rules saved', 'success');
 }
 
 // Copy & Download
 async function copyToClipboard() {
     playSound(clickSound);
     
+    const output = await applyRedaction(getSummaryText());
+    if (!output) return;
+    
     try {
-        await navigator.clipboard.writeText(getSummaryText());
+        await navigator.clipboard.writeText(output.text);
         playSound(successSound);
-        showToast('Copied to clipboard!', 'success');
+        if (!state.promptSplitOptions) {
+            showToast(`Copied to clipboard${describeRedaction(output.redacted)}!`, 'success');
+        } else {
+            showToast(state.promptParts.length > 0
+                ? `Copied, but over budget: use the ${state.promptParts.length} part buttons instead`
+                : 'Copied, but over budget: split it into parts instead', 'error');
+        }
     } catch (error) {
         showToast('Failed to copy', 'error');
     }
 }
 
-function downloadSummary() {
+// Summary Export: the prompt text, or the selection as a document or a structured endpoint model
+const SUMMARY_EXPORT_FORMATS = {
+    text: { extension: 'txt', type: 'text/plain', label: 'Prompt' },
+    markdown: { extension: 'md', type: 'text/markdown', label: 'Markdown' },
+    html: { extension: 'html', type: 'text/html', label: 'HTML' },
+    json: { extension: 'endpoints.json', type: 'application/json', label: 'JSON' },
+    yaml: { extension: 'endpoints.yaml', type: 'application/yaml', label: 'YAML' }
+};
+
+function getExportBaseName(endpoints) {
+    const collectionNames = [...new Set(endpoints.map(e => e.collectionName).filter(Boolean))];
+    return slugify(collectionNames.join(' ')) || 'api';
+}
+
+// JSON bodies are kept as values so scripts don't have to parse them twice
+function parseBodyForExport(text) {
+    const parsed = parseJsonSafe(text);
+    return parsed !== undefined ? parsed : text;
+}
+
+// GraphQL bodies become the { query, variables } document that is actually sent
+function getExportBodyContent(body, endpoint) {
+    if (body.mode === 'graphql') {
+        try {
+            return getGraphqlPayload(body.graphql, text => applyVariables(text, endpoint));
+        } catch {
+            return applyVariables(formatRequestBody(body), endpoint);
+        }
+    }
+    return parseBodyForExport(applyVariables(formatRequestBody(body, endpoint.request.header), endpoint));
+}
+
+// Query and variables are shown apart so each block keeps its own highlighting
+function getExportBodyBlocks(body) {
+    if (body.mode === 'graphql' && body.content && typeof body.content === 'object') {
+        const blocks = [{ code: body.content.query, language: 'graphql' }];
+        if (body.content.variables) blocks.push({ code: JSON.stringify(body.content.variables, null, 2), language: 'json' });
+        return blocks;
+    }
+    return [{ code: formatExportBody(body.content), language: body.language }];
+}
+
+// Everything known about the selection, independent of the prompt template, detail toggles and budget
+function buildExportModel(selection = [...state.selectedEndpoints.values()]) {
+    const endpoints = selection.map(endpoint => {
+        const requestBody = endpoint.request && endpoint.request.body;
+        return {
+            collection: endpoint.collectionName || '',
+            folder: endpoint.folderPath || [],
+            name: endpoint.name || '',
+            method: endpoint.method.toUpperCase(),
+            url: applyVariables(endpoint.url, endpoint),
+            description: getDescriptionText(endpoint.request?.description).trim(),
+            auth: describeAuth(endpoint),
+            pathVariables: extractPathVariables(endpoint.request).map(v => ({ ...v, value: applyVariables(v.value, endpoint) })),
+            queryParams: extractQueryParams(endpoint.request).filter(q => q.key && !q.disabled).map(q => ({
+                key: q.key,
+                value: applyVariables(q.value || '', endpoint),
+                description: getDescriptionText(q.description)
+            })),
+            headers: getRelevantHeaders(endpoint),
+            body: requestBody && requestBody.mode
+                ? {
+                    mode: requestBody.mode,
+                    language: getBodyLanguage(requestBody),
+                    fields: getBodyFieldNames(requestBody),
+                    operation: requestBody.mode === 'graphql' ? getGraphqlOperation(requestBody.graphql?.query) : '',
+                    content: getExportBodyContent(requestBody, endpoint)
+                }
+                : null,
+            examples: (endpoint.response || []).map(response => {
+                const { request, ...example } = describeExample(endpoint, response);
+                return { ...example, request, body: response.body ? parseBodyForExport(response.body) : null };
+            })
+        };
+    });
+    
+    return {
+        generatedAt: new Date().toISOString(),
+        environment: state.activeEnvironment ? state.activeEnvironment.name : null,
+        collections: getCollectionDescriptions(selection).map(c => ({
+            name: c.name,
+            description: c.description,
+            folders: c.folders.map(folder => ({ path: folder.path, description: folder.description }))
+        })),
+        endpoints
+    };
+}
+
+// Collections, then folders in first-seen order, each with its endpoints
+function groupExportEndpoints(endpoints) {
+    const collections = new Map();
+    endpoints.forEach(endpoint => {
+        if (!collections.has(endpoint.collection)) collections.set(endpoint.collection, new Map());
+        const folders = collections.get(endpoint.collection);
+        const folder = endpoint.folder.join(' / ');
+        if (!folders.has(folder)) folders.set(folder, []);
+        folders.get(folder).push(endpoint);
+    });
+    return [...collections].map(([name, folders]) => ({
+        name,
+        folders: [...folders].map(([path, items]) => ({ path, endpoints: items }))
+    }));
+}
+
+function formatExportBody(content) {
+    return typeof content === 'string' ? content : JSON.stringify(content, null, 2);
+}
+
+function getEndpointTitle(endpoint) {
+    return `${endpoint.method} ${endpoint.name || endpoint.url}`;
+}
+
+function getExampleTitle(example) {
+    return example.name && example.name !== example.status
+        ? [example.statusLine, example.name].filter(Boolean).join(' · ')
+        : example.statusLine || example.name;
+}
+
+function markdownCell(text) {
+    return String(text ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ') || ' ';
+}
+
+// Longer fences than any run of backticks inside the code
+function markdownFence(code, language = '') {
+    const longest = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    return `${fence}${language}\n${code}\n${fence}`;
+}
+
+function markdownTable(headers, rows) {
+    return [
+        `| ${headers.join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`)
+    ].join('\n');
+}
+
+function endpointToMarkdown(endpoint, level) {
+    const heading = '#'.repeat(level);
+    const lines = [`${heading} ${getEndpointTitle(endpoint)}`, '', `\`${endpoint.method} ${endpoint.url}\``, ''];
+    
+    if (endpoint.description) lines.push(endpoint.description, '');
+    if (endpoint.auth) {
+        lines.push(`**Auth:** ${endpoint.auth.label}: \`${endpoint.auth.usage}\``, '');
+        endpoint.auth.notes.forEach(note => lines.push(`- ${note}`));
+        if (endpoint.auth.notes.length > 0) lines.push('');
+    }
+    if (endpoint.pathVariables.length > 0) {
+        lines.push('**Path variables**', '', markdownTable(['Name', 'Value', 'Description'],
+            endpoint.pathVariables.map(v => [`\`${v.key}\``, v.value, v.description])), '');
+    }
+    if (endpoint.queryParams.length > 0) {
+        lines.push('**Query parameters**', '', markdownTable(['Name', 'Value', 'Description'],
+            endpoint.queryParams.map(q => [`\`${q.key}\``, q.value, q.description])), '');
+    }
+    if (endpoint.headers.length > 0) {
+        lines.push('**Headers**', '', markdownTable(['Name', 'Value', 'Description'],
+            endpoint.headers.map(h => [`\`${h.key}\``, h.value, h.description])), '');
+    }
+    if (endpoint.body) {
+        lines.push(`**Request body** (${endpoint.body.operation ? `GraphQL ${endpoint.body.operation}` : endpoint.body.mode})`, '');
+        getExportBodyBlocks(endpoint.body).forEach(block => lines.push(markdownFence(block.code, block.language), ''));
+    }
+    endpoint.examples.forEach(example => {
+        lines.push(`**${example.isError ? 'Error example' : 'Response example'}:** ${getExampleTitle(example)}`, '');
+        if (example.contentType) lines.push(`Content-Type: \`${example.contentType}\``, '');
+        if (example.body !== null) {
+            lines.push(markdownFence(formatExportBody(example.body), typeof example.body === 'string' ? '' : 'json'), '');
+        }
+    });
+    return lines.join('\n');
+}
+
+function exportModelToMarkdown(model) {
+    const descriptions = new Map(model.collections.map(c => [c.name, c]));
+    const sections = groupExportEndpoints(model.endpoints).map(collection => {
+        const info = descriptions.get(collection.name);
+        const lines = [`# ${collection.name || 'Endpoints'}`, ''];
+        if (info && info.description) lines.push(info.description, '');
+        
+        collection.folders.forEach(folder => {
+            if (folder.path) {
+                lines.push(`## ${folder.path}`, '');
+                const folderInfo = info && info.folders.find(f => f.path === folder.endpoints[0].folder.join(' › '));
+                if (folderInfo && folderInfo.description) lines.push(folderInfo.description, '');
+            }
+            folder.endpoints.forEach(endpoint => lines.push(endpointToMarkdown(endpoint, folder.path ? 3 : 2)));
+        });
+        return lines.join('\n');
+    });
+    return `${sections.join('\n').trimEnd()}\n`;
+}
+
+function htmlTable(rows) {
+    return `
+        <table>
+            <thead><tr><th>Name</th><th>Value</th><th>Description</th></tr></thead>
+            <tbody>${rows.map(row => `<tr><td><code>${escapeHtml(row.key)}</code></td><td>${escapeHtml(row.value)}</td><td>${escapeHtml(row.description)}</td></tr>`).join('')}</tbody>
+        </table>`;
+}
+
+function endpointToHtml(endpoint, id) {
+    const parts = [`
+        <section class="endpoint" id="${id}">
+            <h3><span class="method method-${escapeHtml(endpoint.method.toLowerCase())}">${escapeHtml(endpoint.method)}</span> ${escapeHtml(endpoint.name || endpoint.url)}</h3>
+            <p><code>${escapeHtml(endpoint.url)}</code></p>`];
+    
+    if (endpoint.description) parts.push(`<p class="description">${escapeHtml(endpoint.description)}</p>`);
+    if (endpoint.auth) {
+        parts.push(`<p><strong>Auth:</strong> ${escapeHtml(endpoint.auth.label)}: <code>${escapeHtml(endpoint.auth.usage)}</code></p>`);
+        if (endpoint.auth.notes.length > 0) parts.push(`<ul>${endpoint.auth.notes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}</ul>`);
+    }
+    if (endpoint.pathVariables.length > 0) parts.push(`<h4>Path variables</h4>${htmlTable(endpoint.pathVariables)}`);
+    if (endpoint.queryParams.length > 0) parts.push(`<h4>Query parameters</h4>${htmlTable(endpoint.queryParams)}`);
+    if (endpoint.headers.length > 0) parts.push(`<h4>Headers</h4>${htmlTable(endpoint.headers)}`);
+    if (endpoint.body) {
+        parts.push(`<h4>Request body <small>${escapeHtml(endpoint.body.operation ? `GraphQL ${endpoint.body.operation}` : endpoint.body.mode)}</small></h4>`);
+        getExportBodyBlocks(endpoint.body).forEach(block => parts.push(`<pre><code>${escapeHtml(block.code)}</code></pre>`));
+    }
+    endpoint.examples.forEach(example => {
+        parts.push(`<h4 class="${example.isError ? 'error' : ''}">${example.isError ? 'Error example' : 'Response example'}: ${escapeHtml(getExampleTitle(example))}${example.contentType ? ` <small>${escapeHtml(example.contentType)}</small>` : ''}</h4>`);
+        if (example.body !== null) parts.push(`<pre><code>${escapeHtml(formatExportBody(example.body))}</code></pre>`);
+    });
+    parts.push('</section>');
+    return parts.join('\n');
+}
+
+const EXPORT_HTML_STYLES = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; color: #1f2937; background: #f9fafb; line-height: 1.5; }
+    nav { position: fixed; top: 0; bottom: 0; left: 0; width: 280px; overflow-y: auto; padding: 1.5rem; background: #fff; border-right: 1px solid #e5e7eb; box-sizing: border-box; font-size: 0.875rem; }
+    nav ul { list-style: none; padding-left: 0.75rem; margin: 0.25rem 0; }
+    nav a { color: #4b5563; text-decoration: none; }
+    nav a:hover { color: #7c3aed; }
+    main { margin-left: 280px; padding: 2rem 3rem; max-width: 960px; }
+    h1 { border-bottom: 2px solid #7c3aed; padding-bottom: 0.5rem; }
+    h2 { margin-top: 2.5rem; color: #4b5563; }
+    .endpoint { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; padding: 1rem 1.5rem; margin: 1.5rem 0; }
+    .method { display: inline-block; min-width: 4rem; text-align: center; padding: 0.1rem 0.5rem; border-radius: 4px; color: #fff; background: #6b7280; font-size: 0.8rem; }
+    .method-get { background: #10b981; } .method-post { background: #3b82f6; } .method-put { background: #f59e0b; }
+    .method-patch { background: #8b5cf6; } .method-delete { background: #ef4444; }
+    .description { white-space: pre-wrap; color: #4b5563; }
+    h4.error { color: #dc2626; }
+    small { color: #6b7280; font-weight: normal; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.875rem; }
+    th, td { border: 1px solid #e5e7eb; padding: 0.35rem 0.6rem; text-align: left; vertical-align: top; }
+    pre { background: #111827; color: #e5e7eb; padding: 1rem; border-radius: 6px; overflow-x: auto; font-size: 0.8rem; }
+    @media print { nav { display: none; } main { margin-left: 0; } }
+`;
+
+function exportModelToHtml(model, title) {
+    const usedIds = new Set();
+    const uniqueId = (text) => {
+        const base = slugify(text) || 'section';
+        let id = base;
+        for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+        usedIds.add(id);
+        return id;
+    };
+    
+    const toc = [];
+    const content = [];
+    groupExportEndpoints(model.endpoints).forEach(collection => {
+        const collectionId = uniqueId(collection.name);
+        const info = model.collections.find(c => c.name === collection.name);
+        content.push(`<h1 id="${collectionId}">${escapeHtml(collection.name || 'Endpoints')}</h1>`);
+        if (info && info.description) content.push(`<p class="description">${escapeHtml(info.description)}</p>`);
+        
+        const folderItems = collection.folders.map(folder => {
+            let folderId = '';
+            if (folder.path) {
+                folderId = uniqueId(`${collection.name} ${folder.path}`);
+                content.push(`<h2 id="${folderId}">${escapeHtml(folder.path)}</h2>`);
+            }
+            const endpointItems = folder.endpoints.map(endpoint => {
+                const id = uniqueId(`${folder.path} ${endpoint.method} ${endpoint.name}`);
+                content.push(endpointToHtml(endpoint, id));
+                return `<li><a href="#${id}">${escapeHtml(getEndpointTitle(endpoint))}</a></li>`;
+            }).join('');
+            return folder.path
+                ? `<li><a href="#${folderId}">${escapeHtml(folder.path)}</a><ul>${endpointItems}</ul></li>`
+                : endpointItems;
+        }).join('');
+        toc.push(`<li><a href="#${collectionId}">${escapeHtml(collection.name || 'Endpoints')}</a><ul>${folderItems}</ul></li>`);
+    });
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>${EXPORT_HTML_STYLES}</style>
+</head>
+<body>
+<nav>
+<strong>Contents</strong>
+<ul>${toc.join('\n')}</ul>
+<p><small>Generated ${escapeHtml(new Date(model.generatedAt).toLocaleString())}${model.environment ? ` · ${escapeHtml(model.environment)} environment` : ''}</small></p>
+</nav>
+<main>
+${content.join('\n')}
+</main>
+</body>
+</html>
+`;
+}
+
+async function exportSummary(format) {
     playSound(clickSound);
+    closeExportMenus();
     
-    const blob = new Blob([getSummaryText()], { type: 'text/plain' });
+    const selection = [...state.selectedEndpoints.values()];
+    if (selection.length === 0) return;
+    
+    const exportFormat = SUMMARY_EXPORT_FORMATS[format] || SUMMARY_EXPORT_FORMATS.text;
+    const baseName = getExportBaseName(selection);
+    let content;
+    let redacted = 0;
+    if (format === 'text') {
+        const output = await applyRedaction(getSummaryText());
+        if (!output) return;
+        ({ text: content, redacted } = output);
+    } else {
+        let model = buildExportModel(selection);
+        const findings = createRedactionFindings();
+        const redactedModel = redactValue(model, findings);
+        const redact = await confirmRedaction(findings);
+        if (redact === null) return;
+        if (redact) {
+            model = redactedModel;
+            redacted = findings.total();
+        }
+        
+        if (format === 'markdown') {
+            content = exportModelToMarkdown(model);
+        } else if (format === 'html') {
+            const title = [...new Set(selection.map(e => e.collectionName).filter(Boolean))].join(', ') || 'API';
+            content = exportModelToHtml(model, title);
+        } else if (format === 'json') {
+            content = JSON.stringify(model, null, 2);
+        } else {
+            content = toYaml(model) + '\n';
+        }
+    }
+    
+    downloadFile(content, `${baseName}.${exportFormat.extension}`, exportFormat.type);
+    
+    playSound(successSound);
+    showToast(`${exportFormat.label} downloaded${describeRedaction(redacted)}!`, 'success');
+}
+
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `postman-summary-${Date.now()}.txt`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
-    
-    playSound(successSound);
-    showToast('Summary downloaded!', 'success');
+}
+
+function slugify(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
 }
 
 // Toast Notifications
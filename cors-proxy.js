@@ -0,0 +1,140 @@
+// Local CORS proxy for Try it Out.
+//
+//   node cors-proxy.js [port]        (default 8787, or the PORT environment variable)
+//
+// Requests to http://localhost:8787/https://api.example.com/path are forwarded to
+// https://api.example.com/path and the response is returned with CORS headers.
+// Upstream failures come back as 502/504 with an X-Proxy-Error kind (dns, connection,
+// timeout, tls) and a JSON { error } body so the explorer can explain what went wrong.
+//
+// Binds to 127.0.0.1 and only answers pages whose Origin is allowed, so other sites open in
+// the browser cannot use it. By default that is the explorer served from this machine
+// (localhost on any port); list other origins, such as a hosted copy, instead with
+//
+//   ALLOWED_ORIGINS=https://explorer.example.com,http://localhost:8080 node cors-proxy.js
+
+const http = require('http');
+const https = require('https');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const UPSTREAM_TIMEOUT = 30000;
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Headers the browser or Node manage per connection
+const SKIPPED_REQUEST_HEADERS = ['host', 'origin', 'referer', 'connection', 'content-length', 'accept-encoding'];
+const SKIPPED_RESPONSE_HEADERS = ['connection', 'transfer-encoding', 'content-length', 'content-encoding'];
+
+const ERROR_KINDS = {
+    ENOTFOUND: 'dns',
+    EAI_AGAIN: 'dns',
+    ECONNREFUSED: 'connection',
+    ECONNRESET: 'connection',
+    EHOSTUNREACH: 'connection',
+    ENETUNREACH: 'connection',
+    ETIMEDOUT: 'timeout',
+    CERT_HAS_EXPIRED: 'tls',
+    DEPTH_ZERO_SELF_SIGNED_CERT: 'tls',
+    SELF_SIGNED_CERT_IN_CHAIN: 'tls',
+    UNABLE_TO_VERIFY_LEAF_SIGNATURE: 'tls',
+    ERR_TLS_CERT_ALTNAME_INVALID: 'tls'
+};
+
+// Requests without an Origin are refused too: browsers leave it out of image and navigation loads
+function isAllowedOrigin(origin) {
+    if (!origin) return false;
+    if (ALLOWED_ORIGINS.length > 0) return ALLOWED_ORIGINS.includes(origin);
+    try {
+        const { protocol, hostname } = new URL(origin);
+        return (protocol === 'http:' || protocol === 'https:') && LOOPBACK_HOSTS.includes(hostname);
+    } catch {
+        return false;
+    }
+}
+
+function corsHeaders(req) {
+    return {
+        'Access-Control-Allow-Origin': req.headers.origin,
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS',
+        'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || '*',
+        'Access-Control-Expose-Headers': '*',
+        'Access-Control-Max-Age': '600',
+        'Vary': 'Origin'
+    };
+}
+
+function sendError(req, res, status, kind, message) {
+    res.writeHead(status, {
+        ...corsHeaders(req),
+        'Content-Type': 'application/json',
+        'X-Proxy-Error': kind
+    });
+    res.end(JSON.stringify({ error: message }));
+}
+
+function getTarget(req) {
+    const raw = req.url.slice(1);
+    // "?url=" form, for proxy URLs configured as http://localhost:8787/?url={url}
+    const param = new URL(req.url, 'http://localhost').searchParams.get('url');
+    const target = new URL(param && !/^https?:/i.test(raw) ? param : raw);
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') throw new Error('Only http and https targets are supported');
+    return target;
+}
+
+const server = http.createServer((req, res) => {
+    if (!isAllowedOrigin(req.headers.origin)) {
+        console.error(`${req.method} ${req.url}: origin ${req.headers.origin || '(none)'} is not allowed`);
+        res.writeHead(403, { 'Content-Type': 'application/json', 'X-Proxy-Error': 'origin' });
+        res.end(JSON.stringify({ error: `Origin ${req.headers.origin || '(none)'} is not allowed. Add it to ALLOWED_ORIGINS.` }));
+        return;
+    }
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, corsHeaders(req));
+        res.end();
+        return;
+    }
+
+    let target;
+    try {
+        target = getTarget(req);
+    } catch (err) {
+        sendError(req, res, 400, 'invalid', `Expected /<absolute URL>, got ${req.url}: ${err.message}`);
+        return;
+    }
+
+    const headers = {};
+    Object.entries(req.headers).forEach(([key, value]) => {
+        if (!SKIPPED_REQUEST_HEADERS.includes(key)) headers[key] = value;
+    });
+
+    const client = target.protocol === 'https:' ? https : http;
+    const upstream = client.request(target, { method: req.method, headers }, upstreamRes => {
+        const responseHeaders = corsHeaders(req);
+        Object.entries(upstreamRes.headers).forEach(([key, value]) => {
+            if (!SKIPPED_RESPONSE_HEADERS.includes(key) && !key.startsWith('access-control-')) responseHeaders[key] = value;
+        });
+        res.writeHead(upstreamRes.statusCode, upstreamRes.statusMessage, responseHeaders);
+        upstreamRes.pipe(res);
+    });
+
+    upstream.setTimeout(UPSTREAM_TIMEOUT, () => {
+        upstream.destroy(Object.assign(new Error(`No response within ${UPSTREAM_TIMEOUT / 1000}s`), { code: 'ETIMEDOUT' }));
+    });
+    upstream.on('error', err => {
+        console.error(`${req.method} ${target.href}: ${err.code || ''} ${err.message}`);
+        if (res.headersSent) {
+            res.destroy(err);
+            return;
+        }
+        const kind = ERROR_KINDS[err.code] || 'connection';
+        sendError(req, res, kind === 'timeout' ? 504 : 502, kind, `${target.host}: ${err.code ? `${err.code} ` : ''}${err.message}`);
+    });
+
+    req.pipe(upstream);
+    console.log(`${req.method} ${target.href}`);
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+    console.log(`CORS proxy listening on http://localhost:${PORT} for ${ALLOWED_ORIGINS.length > 0 ? ALLOWED_ORIGINS.join(', ') : 'localhost origins'}`);
+});